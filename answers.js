@@ -0,0 +1,219 @@
+/**
+ * answers.js — Answer checking
+ * Compares a typed answer with the expected one, builds a character-level diff,
+ * and suggests a rating from the result. Also builds multiple-choice options
+ * from the other cards of a deck.
+ */
+
+const Answers = (() => {
+    const ANSWER_MODES = ['flip', 'type', 'choice']; // show answer and self-grade / type it / pick it from options
+    const DEFAULT_ANSWER_MODE = 'flip';
+    const CHOICE_COUNT = 4;
+    const DEFAULT_OPTIONS = {
+        ignoreCase: true,
+        ignoreAccents: false,
+        ignorePunctuation: true
+    };
+    const CLOSE_SIMILARITY = 0.75; // answers at least this similar count as "almost right"
+
+    const PUNCTUATION = /[\p{P}\p{S}]/u;
+
+    /**
+     * The answer checking options of a deck, with defaults for anything missing.
+     */
+    function getOptions(deck) {
+        return { ...DEFAULT_OPTIONS, ...((deck && deck.answerCheck) || {}) };
+    }
+
+    // ========================
+    // Normalization
+    // ========================
+
+    function collapseWhitespace(text) {
+        return String(text || '').trim().replace(/\s+/g, ' ');
+    }
+
+    function stripAccents(text) {
+        // Decompose (é -> e + ◌́) and drop the combining marks; ł/ø etc. have no decomposition
+        return text.normalize('NFD').replace(/\p{M}/gu, '')
+            .replace(/ł/g, 'l').replace(/Ł/g, 'L')
+            .replace(/ø/g, 'o').replace(/Ø/g, 'O')
+            .replace(/ß/g, 'ss');
+    }
+
+    /** The form of a single character that is compared, given the options. */
+    function compareKey(ch, options) {
+        let key = ch;
+        if (options.ignoreCase) key = key.toLocaleLowerCase();
+        if (options.ignoreAccents) key = stripAccents(key);
+        return key;
+    }
+
+    /**
+     * Normalize a whole answer the way check() compares it.
+     */
+    function normalize(text, options) {
+        options = { ...DEFAULT_OPTIONS, ...(options || {}) };
+        let chars = Array.from(collapseWhitespace(text));
+        if (options.ignorePunctuation) chars = chars.filter(ch => !PUNCTUATION.test(ch));
+        return collapseWhitespace(chars.map(ch => compareKey(ch, options)).join(''));
+    }
+
+    // ========================
+    // Diff
+    // ========================
+
+    /**
+     * Check a typed answer against the expected one.
+     * Returns { correct, similarity, parts } where parts is a list of
+     * { type: 'equal' | 'missing' | 'extra', text } in reading order:
+     *   equal   — text from the expected answer that was typed correctly
+     *   missing — text from the expected answer that wasn't typed (or was typed wrong)
+     *   extra   — typed text that isn't in the expected answer
+     * Ignored punctuation in the expected answer is shown as 'equal'.
+     */
+    function check(typed, expected, options) {
+        options = { ...DEFAULT_OPTIONS, ...(options || {}) };
+        const isIgnored = ch => options.ignorePunctuation && PUNCTUATION.test(ch);
+
+        const typedChars    = Array.from(collapseWhitespace(typed)).filter(ch => !isIgnored(ch));
+        const expectedChars = Array.from(collapseWhitespace(expected));
+        const compared      = expectedChars.map((ch, i) => i).filter(i => !isIgnored(expectedChars[i]));
+
+        const a = typedChars.map(ch => compareKey(ch, options));
+        const b = compared.map(i => compareKey(expectedChars[i], options));
+
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        // Walk the table; ignored expected characters are slotted back in by position
+        const ops = [];
+        let nextExpected = 0;
+        const pushExpected = (type, index) => {
+            for (; nextExpected < index; nextExpected++) ops.push({ type: 'equal', ch: expectedChars[nextExpected] });
+            ops.push({ type, ch: expectedChars[index] });
+            nextExpected = index + 1;
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                pushExpected('equal', compared[j]);
+                i++; j++;
+            } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                // Typed text before the expected text it replaced
+                ops.push({ type: 'extra', ch: typedChars[i] });
+                i++;
+            } else {
+                pushExpected('missing', compared[j]);
+                j++;
+            }
+        }
+        for (; nextExpected < expectedChars.length; nextExpected++) {
+            ops.push({ type: 'equal', ch: expectedChars[nextExpected] });
+        }
+
+        // Merge runs of the same type
+        const parts = [];
+        ops.forEach(op => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === op.type) last.text += op.ch;
+            else parts.push({ type: op.type, text: op.ch });
+        });
+
+        const longest = Math.max(a.length, b.length);
+        const similarity = longest === 0 ? 1 : lcs[0][0] / longest;
+        const correct = parts.every(p => p.type === 'equal');
+
+        return { correct, similarity, parts };
+    }
+
+    // ========================
+    // Rating suggestion
+    // ========================
+
+    /**
+     * Suggest a rating for a checked answer.
+     * Spaced mode: exact = good, close = hard, otherwise again. Simple mode: exact = remembered.
+     */
+    function suggestRating(result, learningMode) {
+        if (learningMode === 'simple') {
+            return result.correct ? 'remembered' : 'forgot';
+        }
+        if (result.correct) return 'good';
+        if (result.similarity >= CLOSE_SIMILARITY) return 'hard';
+        return 'again';
+    }
+
+    // ========================
+    // Multiple choice
+    // ========================
+
+    function commonPrefixLength(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[n] === b[n]) n++;
+        return n;
+    }
+
+    /**
+     * Build up to CHOICE_COUNT options for a card: the correct answer plus distractors taken
+     * from the answers of other cards in the deck. Distractors that look like the answer
+     * (shared prefix, similar length) are preferred, with a little randomness so the same
+     * card doesn't always get the same options.
+     * getAnswer(card) returns a card's answer text ('' to leave a card out).
+     * Returns { options, correctIndex }.
+     */
+    function buildChoices(deck, card, getAnswer) {
+        const answer = getAnswer(card);
+        const key    = normalize(answer);
+        const seen   = new Set([key]);
+
+        const candidates = [];
+        deck.cards.forEach(other => {
+            const text = getAnswer(other);
+            const otherKey = normalize(text);
+            if (other.id === card.id || !otherKey || seen.has(otherKey)) return;
+            seen.add(otherKey);
+            const score = commonPrefixLength(key, otherKey) * 2
+                - Math.abs(key.length - otherKey.length) * 0.5
+                + Math.random() * 2;
+            candidates.push({ text, score });
+        });
+
+        candidates.sort((a, b) => b.score - a.score);
+        const options = candidates.slice(0, CHOICE_COUNT - 1).map(c => c.text);
+
+        const correctIndex = Math.floor(Math.random() * (options.length + 1));
+        options.splice(correctIndex, 0, answer);
+        return { options, correctIndex };
+    }
+
+    /**
+     * Rating for a multiple-choice pick: right = good (remembered), wrong = again (forgot).
+     */
+    function choiceRating(correct, learningMode) {
+        if (learningMode === 'simple') return correct ? 'remembered' : 'forgot';
+        return correct ? 'good' : 'again';
+    }
+
+    return {
+        ANSWER_MODES,
+        DEFAULT_ANSWER_MODE,
+        DEFAULT_OPTIONS,
+        CHOICE_COUNT,
+        getOptions,
+        normalize,
+        check,
+        suggestRating,
+        buildChoices,
+        choiceRating
+    };
+})();
@@ -0,0 +1,479 @@
+/**
+ * apkg.js — Anki package import
+ * Reads Anki .apkg (deck) and .colpkg (collection) files in the browser, without a server
+ * or libraries: unzips the package, reads the SQLite collection inside it, and converts
+ * Anki's notes, cards and review history into decks in this app's import format.
+ *
+ * Nothing here touches the page or saved data: read() takes the file's bytes and resolves
+ * to { decks, skipped, media } or an error string, so it can be checked against fixture
+ * files. Each Anki deck becomes one deck; the decks are passed on to Config.importDeck.
+ *
+ * Supported: the collection.anki2 / collection.anki21 files that Anki writes with
+ * "Support older Anki versions" ticked. Anki's newest format (collection.anki21b) is
+ * compressed with zstd, which browsers can't unpack, and is refused with a hint.
+ */
+
+const Apkg = (() => {
+    const DAY_MS       = 24 * 60 * 60 * 1000;
+    const FIELD_SEP    = '\x1f';
+    const RATINGS      = ['again', 'hard', 'good', 'easy'];          // revlog ease 1..4
+    const REVIEW_TYPES = ['learning', 'review', 'relearning', 'review']; // revlog type 0..3
+
+    // ========================
+    // Zip
+    // ========================
+
+    /**
+     * The files in a zip archive: resolves to { name: Uint8Array }. Only "stored" and
+     * "deflate" entries are unpacked; others (and Zip64 archives) are skipped.
+     */
+    async function readZip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // End of central directory record: search back from the end (it may be followed by a comment)
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd === -1) throw new Error('not a zip file');
+
+        const count = view.getUint16(eocd + 10, true);
+        let   pos   = view.getUint32(eocd + 16, true);
+        const files = {};
+        const utf8  = new TextDecoder();
+
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('damaged zip directory');
+            const method     = view.getUint16(pos + 10, true);
+            const size       = view.getUint32(pos + 20, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extra      = view.getUint16(pos + 30, true);
+            const comment    = view.getUint16(pos + 32, true);
+            const offset     = view.getUint32(pos + 42, true);
+            const name       = utf8.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+            pos += 46 + nameLength + extra + comment;
+
+            if (size === 0xFFFFFFFF || offset === 0xFFFFFFFF) continue;
+            const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+            const data  = bytes.subarray(start, start + size);
+            if (method === 0) files[name] = data;
+            else if (method === 8) files[name] = await inflate(data);
+        }
+        return files;
+    }
+
+    async function inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // ========================
+    // SQLite (read-only)
+    // ========================
+
+    /**
+     * Open an SQLite database file for reading. Returns { tables, rows(table) }: `tables`
+     * lists the table names, rows(table) returns every row as an object keyed by column name.
+     * Follows the file format at sqlite.org/fileformat.html: table b-trees, overflow pages,
+     * records. Indexes, WAL files and write support are not needed here.
+     */
+    function readDatabase(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const utf8 = new TextDecoder();
+        if (utf8.decode(bytes.subarray(0, 15)) !== 'SQLite format 3') throw new Error('not an SQLite database');
+        if (view.getUint32(56) > 1) throw new Error('only UTF-8 databases are supported');
+
+        const rawSize  = view.getUint16(16);
+        const pageSize = rawSize === 1 ? 65536 : rawSize;
+        const usable   = pageSize - bytes[20];
+
+        const pageStart = page => (page - 1) * pageSize;
+
+        /** The payload of a table leaf cell, following overflow pages when it doesn't fit. */
+        function payload(pos, size) {
+            const maxLocal = usable - 35;
+            if (size <= maxLocal) return bytes.subarray(pos, pos + size);
+            const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+            const k        = minLocal + (size - minLocal) % (usable - 4);
+            const local    = k <= maxLocal ? k : minLocal;
+
+            const out = new Uint8Array(size);
+            out.set(bytes.subarray(pos, pos + local));
+            let filled = local;
+            let next   = view.getUint32(pos + local);
+            while (next && filled < size) {
+                const start = pageStart(next);
+                const take  = Math.min(usable - 4, size - filled);
+                out.set(bytes.subarray(start + 4, start + 4 + take), filled);
+                filled += take;
+                next = view.getUint32(start);
+            }
+            return out;
+        }
+
+        function record(data) {
+            const dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            const [headerSize, hl] = readVarint(data, 0);
+            const types = [];
+            let pos = hl;
+            while (pos < headerSize) {
+                const [type, l] = readVarint(data, pos);
+                types.push(type);
+                pos += l;
+            }
+            return types.map(type => {
+                if (type === 0) return null;
+                if (type === 8) return 0;
+                if (type === 9) return 1;
+                if (type === 7) { const v = dv.getFloat64(pos); pos += 8; return v; }
+                if (type >= 1 && type <= 6) {
+                    const size = [0, 1, 2, 3, 4, 6, 8][type];
+                    const v    = readInt(data, pos, size);
+                    pos += size;
+                    return v;
+                }
+                const length = Math.floor((type - 12) / 2);
+                const value  = data.subarray(pos, pos + length);
+                pos += length;
+                return type % 2 === 1 ? utf8.decode(value) : value;
+            });
+        }
+
+        /** Every [rowid, values] of the table b-tree rooted at `root`, in rowid order. */
+        function scan(root) {
+            const rows  = [];
+            const stack = [root];
+            while (stack.length > 0) {
+                const page   = stack.pop();
+                const header = page === 1 ? 100 : pageStart(page);
+                const type   = bytes[header];
+                const cells  = view.getUint16(header + 3);
+                const ptrs   = header + (type === 0x05 ? 12 : 8);
+
+                if (type === 0x05) {
+                    // Interior page: children pushed in reverse so the left-most is read first
+                    stack.push(view.getUint32(header + 8));
+                    for (let i = cells - 1; i >= 0; i--) {
+                        stack.push(view.getUint32(pageStart(page) + view.getUint16(ptrs + i * 2)));
+                    }
+                } else if (type === 0x0d) {
+                    for (let i = 0; i < cells; i++) {
+                        let pos = pageStart(page) + view.getUint16(ptrs + i * 2);
+                        const [size, l1]  = readVarint(bytes, pos); pos += l1;
+                        const [rowid, l2] = readVarint(bytes, pos); pos += l2;
+                        rows.push([rowid, record(payload(pos, size))]);
+                    }
+                } else {
+                    throw new Error('unexpected page type ' + type);
+                }
+            }
+            return rows;
+        }
+
+        // sqlite_master: type, name, tbl_name, rootpage, sql
+        const schema = {};
+        scan(1).forEach(([, values]) => {
+            if (values[0] === 'table') schema[values[1]] = { root: values[3], columns: parseColumns(values[4]) };
+        });
+
+        return {
+            tables: Object.keys(schema),
+            rows(table) {
+                const info = schema[table];
+                if (!info) return [];
+                return scan(info.root).map(([rowid, values]) => {
+                    const row = {};
+                    info.columns.forEach((col, i) => {
+                        // An INTEGER PRIMARY KEY column is stored as NULL and holds the rowid
+                        row[col.name] = col.rowid ? rowid : (values[i] === undefined ? null : values[i]);
+                    });
+                    return row;
+                });
+            }
+        };
+    }
+
+    /** SQLite variable-length integer at `pos`: [value, length in bytes]. */
+    function readVarint(data, pos) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const b = data[pos + i];
+            value = value * 128 + (b & 0x7f);
+            if (b < 0x80) return [value, i + 1];
+        }
+        return [value * 256 + data[pos + 8], 9];
+    }
+
+    /** Big-endian two's complement integer of 1–8 bytes (precise up to 2^53). */
+    function readInt(data, pos, size) {
+        let v = 0;
+        for (let i = 0; i < size; i++) v = v * 256 + data[pos + i];
+        return data[pos] & 0x80 ? v - Math.pow(2, size * 8) : v;
+    }
+
+    /** Column names (and which one is the rowid alias) from a CREATE TABLE statement. */
+    function parseColumns(sql) {
+        const body  = String(sql || '').slice(String(sql).indexOf('(') + 1, String(sql).lastIndexOf(')'));
+        const parts = [];
+        let depth = 0, current = '';
+        for (const ch of body) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) { parts.push(current); current = ''; }
+            else current += ch;
+        }
+        parts.push(current);
+
+        return parts.map(p => p.trim())
+            .filter(p => p && !/^(primary|unique|check|foreign|constraint)\b/i.test(p))
+            .map(p => {
+                const name = p.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)/)[1].replace(/^["`[]|["`\]]$/g, '');
+                return { name, rowid: /^\S+\s+integer\s+primary\s+key/i.test(p) };
+            });
+    }
+
+    // ========================
+    // Anki collection
+    // ========================
+
+    /** Anki field HTML as plain text: line breaks kept, tags, media and entities removed. */
+    function htmlToText(html) {
+        return String(html || '')
+            .replace(/\[sound:[^\]]*\]/g, '')
+            .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, '\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+            .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(parseInt(n, 10)))
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Start of the study day of an Anki day number. Anki's days begin at its own rollover hour,
+     * so midday of the day decides the date whatever either rollover hour is.
+     */
+    function ankiDayStart(crt, days) {
+        return Session.startOfDay(Session.toDateStr(crt * 1000 + days * DAY_MS + DAY_MS / 2, 0));
+    }
+
+    /**
+     * The schedule of an Anki card in this app's terms. Anki counts review due dates in days
+     * since the collection was created (`crt`, in seconds) and learning due times in seconds.
+     */
+    function convertSchedule(card, crt, lastReview) {
+        const schedule = { sessionStatus: 'TO_REVIEW', due: null, interval: 1, easeFactor: 2.5, learningState: null, learningStep: null };
+        const due  = card.odid ? card.odue : card.due;   // cards in a filtered deck keep their real due date aside
+        const ease = card.factor > 0 ? card.factor / 1000 : 2.5;
+        const dayDue = days => ankiDayStart(crt, days);
+
+        if (card.type === 2) {
+            Object.assign(schedule, { sessionStatus: 'SPACED', due: dayDue(due), interval: Math.max(1, card.ivl), easeFactor: ease });
+        } else if (card.type === 1 || card.type === 3) {
+            Object.assign(schedule, {
+                sessionStatus: 'SPACED',
+                due:           card.queue === 3 ? dayDue(due) : due * 1000,
+                interval:      Math.max(1, card.ivl),
+                easeFactor:    ease,
+                learningState: card.type === 1 ? 'learning' : 'relearning',
+                learningStep:  0
+            });
+        }
+        if (lastReview && schedule.sessionStatus === 'SPACED') schedule.lastReview = lastReview;
+        if (card.lapses > 0) schedule.lapses = card.lapses;
+        return schedule;
+    }
+
+    /**
+     * A note type for an Anki model: Basic or Cloze for two-field models, otherwise a type
+     * with the model's fields (Anki's HTML templates are not carried over).
+     */
+    function convertModel(model) {
+        const fields = (model.flds || []).slice().sort((a, b) => a.ord - b.ord).map(f => String(f.name));
+        const cloze  = model.type === 1;
+        if (fields.length <= 2) return { id: cloze ? 'cloze' : null, fields, cloze, builtIn: true };
+
+        const extra = fields.slice(2).map(name => `{{#${name}}}\n\n{{${name}}}{{/${name}}}`).join('');
+        return {
+            id:     'anki-' + model.id,
+            name:   String(model.name || 'Anki note'),
+            fields,
+            front:  cloze ? `{{cloze:${fields[0]}}}` : `{{${fields[0]}}}`,
+            back:   (cloze ? `{{cloze:${fields[0]}}}{{#${fields[1]}}}\n\n{{${fields[1]}}}{{/${fields[1]}}}` : `{{${fields[1]}}}`) + extra,
+            cloze
+        };
+    }
+
+    /**
+     * Turn an opened Anki collection into decks in Config.importDeck's format, each with
+     * `log` (its review history). Returns { decks, skipped } where skipped counts cards
+     * that have no place here (templates beyond the second of a non-cloze model).
+     */
+    function convert(db) {
+        const col = db.rows('col')[0];
+        if (!col) throw new Error('the collection has no col table');
+        const crt    = col.crt;
+        const models = JSON.parse(col.models || '{}');
+        const names  = {};
+        Object.values(JSON.parse(col.decks || '{}')).forEach(d => { names[d.id] = String(d.name); });
+
+        const notes = new Map(db.rows('notes').map(n => [n.id, n]));
+        const lastReviews = {};
+        const revlog = db.tables.includes('revlog') ? db.rows('revlog') : [];
+        revlog.forEach(r => { if (r.ease > 0 && !(r.id <= lastReviews[r.cid])) lastReviews[r.cid] = r.id; });
+
+        const decks   = {};
+        const cardIds = {};  // Anki card id -> { deck, id, reverse }
+        let   skipped = 0;
+
+        const deckFor = did => {
+            const name = names[did] || 'Anki';
+            if (!decks[name]) decks[name] = { name, cards: [], noteTypes: [], log: [], byNote: new Map(), reverse: false };
+            return decks[name];
+        };
+
+        // Cards in order of creation, so a note's first card decides its deck
+        db.rows('cards').sort((a, b) => a.id - b.id).forEach(card => {
+            const note  = notes.get(card.nid);
+            const model = note && models[note.mid];
+            if (!model) { skipped++; return; }
+
+            const type     = convertModel(model);
+            const values   = String(note.flds).split(FIELD_SEP).map(htmlToText);
+            const tags     = String(note.tags || '').trim();
+            const schedule = convertSchedule(card, crt, lastReviews[card.id]);
+
+            if (type.cloze) {
+                const deck = deckFor(card.odid || card.did);
+                const ours = { id: `anki-${note.id}-${card.ord + 1}`, word: values[0] || '', translation: values[1] || '',
+                    ...schedule, cloze: card.ord + 1, noteId: 'anki-' + note.id, noteType: type.id };
+                addFields(ours, type, values);
+                if (tags) ours.tags = tags;
+                if (card.queue === -1) ours.suspended = true;
+                deck.cards.push(ours);
+                addType(deck, type);
+                cardIds[card.id] = { deck, id: ours.id, reverse: false };
+                return;
+            }
+            if (card.ord > 1) { skipped++; return; }
+
+            // One card here per note; its second template is studied as the reverse direction
+            let deck = null;
+            let ours = null;
+            Object.values(decks).some(d => {
+                const found = d.byNote.get(note.id);
+                if (found) { deck = d; ours = found; }
+                return !!found;
+            });
+            if (!ours) {
+                deck = deckFor(card.odid || card.did);
+                ours = { id: 'anki-' + note.id, word: values[0] || '', translation: values[1] || '', ...createBlank() };
+                if (type.id) ours.noteType = type.id;
+                addFields(ours, type, values);
+                if (tags) ours.tags = tags;
+                deck.byNote.set(note.id, ours);
+                deck.cards.push(ours);
+                addType(deck, type);
+            }
+            if (card.ord === 0) {
+                Object.assign(ours, schedule);
+                // Only the whole card can be suspended here, so a suspended reverse card is not
+                if (card.queue === -1) ours.suspended = true;
+            } else {
+                ours.reverse = schedule;
+                deck.reverse = true;
+            }
+            cardIds[card.id] = { deck, id: ours.id, reverse: card.ord === 1 };
+        });
+
+        revlog.sort((a, b) => a.id - b.id).forEach(r => {
+            const target = cardIds[r.cid];
+            if (!target || !(r.ease >= 1 && r.ease <= 4)) return;
+            const card  = target.deck.cards.find(c => c.id === target.id);
+            const entry = {
+                ts:           r.id,
+                cardId:       target.id,
+                word:         card.word,
+                translation:  card.translation,
+                mode:         'spaced',
+                rating:       RATINGS[r.ease - 1],
+                type:         REVIEW_TYPES[r.type] || 'review',
+                prevInterval: Math.max(0, r.lastIvl),
+                interval:     Math.max(0, r.ivl),
+                ease:         r.factor > 0 ? r.factor / 1000 : 2.5,
+                timeMs:       Math.max(0, r.time || 0)
+            };
+            if (target.reverse) entry.reverse = true;
+            target.deck.log.push(entry);
+        });
+
+        // Sorted by name, so parent decks come before their subdecks
+        const result = Object.values(decks).filter(d => d.cards.length > 0).sort((a, b) => (a.name < b.name ? -1 : 1)).map(d => {
+            const deck = { name: d.name, cards: d.cards, noteTypes: d.noteTypes, learningMode: 'spaced', log: d.log,
+                dueDayStart: Config.getDayStartHour() };
+            if (d.reverse) deck.cardDirection = 'both';
+            return deck;
+        });
+        return { decks: result, skipped };
+    }
+
+    function createBlank() {
+        return { sessionStatus: 'TO_REVIEW', due: null, interval: 1, easeFactor: 2.5, learningState: null, learningStep: null };
+    }
+
+    function addFields(card, type, values) {
+        const fields = {};
+        type.fields.slice(2).forEach((name, i) => {
+            if (values[i + 2]) fields[name] = values[i + 2];
+        });
+        if (Object.keys(fields).length > 0) card.fields = fields;
+    }
+
+    function addType(deck, type) {
+        if (type.builtIn || deck.noteTypes.some(t => t.id === type.id)) return;
+        const { id, name, fields, front, back } = type;
+        deck.noteTypes.push(type.cloze ? { id, name, fields, front, back, cloze: true } : { id, name, fields, front, back });
+    }
+
+    // ========================
+    // Package
+    // ========================
+
+    /**
+     * Read an .apkg or .colpkg file (an ArrayBuffer or Uint8Array). Resolves to
+     * { decks, skipped, media } (media = number of media files left out), or an error string.
+     */
+    async function read(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let files;
+        try {
+            files = await readZip(bytes);
+        } catch (err) {
+            return 'This is not an Anki package (' + err.message + ').';
+        }
+
+        const name = ['collection.anki21', 'collection.anki2'].find(n => files[n]);
+        if (files['collection.anki21b'] && name !== 'collection.anki21') {
+            return 'This package uses Anki\'s newest format. In Anki, export it again with "Support older Anki versions" ticked.';
+        }
+        if (!name) return 'This package has no Anki collection in it.';
+
+        try {
+            const { decks, skipped } = convert(readDatabase(files[name]));
+            const media = Object.keys(files).filter(n => /^\d+$/.test(n)).length;
+            if (decks.length === 0) return 'The package has no cards.';
+            return { decks, skipped, media };
+        } catch (err) {
+            return 'Failed to read the Anki collection: ' + err.message;
+        }
+    }
+
+    return {
+        readZip,
+        readDatabase,
+        htmlToText,
+        convert,
+        read
+    };
+})();
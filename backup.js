@@ -0,0 +1,209 @@
+/**
+ * backup.js — Full backup and restore
+ * Saves every deck, its review history and the app config (theme, current deck, note types)
+ * in one versioned .json file, and restores such a file by replacing everything or by
+ * merging it into the decks already here. planRestore() says what a restore would change
+ * before applyRestore() does it.
+ */
+
+const Backup = (() => {
+    const FORMAT  = 'web-flashcards-backup';
+    const VERSION = 1;
+
+    // ========================
+    // Backup
+    // ========================
+
+    function createBackup() {
+        const names  = Config.getDeckNames();
+        const logs   = {};
+        const config = JSON.parse(JSON.stringify(Config.getConfig()));
+        delete config.sync; // this device's sync server and token stay with the device
+        names.forEach(name => { logs[name] = Config.loadReviewLog(name); });
+        return {
+            format:    FORMAT,
+            version:   VERSION,
+            createdAt: new Date().toISOString(),
+            config,
+            decks:     names.map(name => Config.loadDeck(name)).filter(Boolean),
+            logs
+        };
+    }
+
+    /**
+     * Download a backup of everything as flashcards-backup-YYYY-MM-DD.json.
+     */
+    function exportBackup() {
+        const data = JSON.stringify(createBackup());
+        const blob = new Blob([data], { type: 'application/json' });
+        const url  = URL.createObjectURL(blob);
+        const a    = document.createElement('a');
+        a.href     = url;
+        a.download = `flashcards-backup-${Session.getTodayStr()}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Check a parsed backup file. Returns the backup on success, or an error string.
+     */
+    function parseBackup(data) {
+        if (!data || typeof data !== 'object' || data.format !== FORMAT) {
+            return 'This is not a backup file. (Single decks are imported with "Import Deck".)';
+        }
+        if (typeof data.version !== 'number' || data.version > VERSION) {
+            return 'This backup was made by a newer version of the app. Update the app to restore it.';
+        }
+        if (!Array.isArray(data.decks) || data.decks.some(d => !d || typeof d.name !== 'string' || !Array.isArray(d.cards))) {
+            return 'The backup is damaged: its deck list is invalid.';
+        }
+        return {
+            ...data,
+            config: data.config && typeof data.config === 'object' ? data.config : {},
+            logs:   data.logs && typeof data.logs === 'object' ? data.logs : {}
+        };
+    }
+
+    // ========================
+    // Restore
+    // ========================
+
+    function clone(obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+    function logOf(backup, name) {
+        return Array.isArray(backup.logs[name]) ? backup.logs[name] : [];
+    }
+
+    /** Timestamp of each card's latest review in a log: { cardId: ts }. */
+    function lastReviews(log) {
+        const last = {};
+        log.forEach(entry => {
+            if (entry.cardId && !(entry.ts <= last[entry.cardId])) last[entry.cardId] = entry.ts;
+        });
+        return last;
+    }
+
+    /**
+     * Merge a deck from a backup into the local one, by card ID: cards only in the backup are
+     * added, and of a card on both sides the copy reviewed most recently wins. Local deck
+     * settings are kept; the review histories are combined.
+     * Returns { deck, log, added, updated, reviews } (reviews = entries new to the local log).
+     */
+    function mergeDeck(local, localLog, incoming, incomingLog) {
+        const deck     = clone(local);
+        const localAt  = lastReviews(localLog);
+        const remoteAt = lastReviews(incomingLog);
+        const reviewed = (card, at) => at[card.id] || card.lastReview || 0;
+        let added = 0, updated = 0;
+
+        incoming.cards.forEach(card => {
+            const idx = card.id ? deck.cards.findIndex(c => c.id === card.id) : -1;
+            if (idx === -1) {
+                deck.cards.push(clone(card));
+                added++;
+            } else if (reviewed(card, remoteAt) > reviewed(deck.cards[idx], localAt)) {
+                if (JSON.stringify(card) !== JSON.stringify(deck.cards[idx])) updated++;
+                deck.cards[idx] = clone(card);
+            }
+        });
+
+        const key  = e => `${e.ts}|${e.cardId || ''}|${e.rating || ''}`;
+        const seen = new Set(localLog.map(key));
+        const news = incomingLog.filter(e => !seen.has(key(e)));
+        const log  = localLog.concat(news).sort((a, b) => a.ts - b.ts);
+
+        return { deck, log, added, updated, reviews: news.length };
+    }
+
+    /**
+     * What restoring `backup` would do, without changing anything.
+     * mode 'replace': every local deck is deleted and the backup's decks and config take over.
+     * mode 'merge':   new decks are added and existing ones merged (see mergeDeck); config stays.
+     * Returns { mode, rows: [{ name, action, cards, added, updated, reviews }], kept }
+     * with action 'add' | 'replace' | 'delete' | 'merge', and kept = local decks left as they are.
+     */
+    function planRestore(backup, mode) {
+        const local = Config.getDeckNames();
+        const names = backup.decks.map(d => d.name);
+        const rows  = [];
+
+        backup.decks.forEach(deck => {
+            const row = { name: deck.name, cards: deck.cards.length, reviews: logOf(backup, deck.name).length };
+            if (!local.includes(deck.name)) {
+                rows.push({ ...row, action: 'add' });
+            } else if (mode === 'replace') {
+                rows.push({ ...row, action: 'replace' });
+            } else {
+                const existing = Config.loadDeck(deck.name);
+                const merged   = mergeDeck(existing, Config.loadReviewLog(deck.name), deck, logOf(backup, deck.name));
+                rows.push({ ...row, action: 'merge', added: merged.added, updated: merged.updated, reviews: merged.reviews });
+            }
+        });
+
+        const others = local.filter(name => !names.includes(name));
+        if (mode === 'replace') {
+            others.forEach(name => {
+                const deck = Config.loadDeck(name);
+                rows.push({ name, action: 'delete', cards: deck ? deck.cards.length : 0, reviews: Config.loadReviewLog(name).length });
+            });
+        }
+
+        return { mode, rows, kept: mode === 'replace' ? 0 : others.length };
+    }
+
+    /**
+     * Restore a backup (see planRestore for the modes). Returns the number of decks restored.
+     */
+    function applyRestore(backup, mode) {
+        const config    = Config.getConfig();
+        const noteTypes = Array.isArray(backup.config.noteTypes) ? backup.config.noteTypes : [];
+        const existing  = mode === 'merge' ? Config.getDeckNames().slice() : [];
+
+        if (mode === 'replace') {
+            Config.getDeckNames().slice().forEach(name => Config.deleteDeck(name));
+            Object.assign(config, clone(backup.config), { deckNames: [], currentDeckName: null });
+            if (!Array.isArray(config.collapsedDecks)) config.collapsedDecks = [];
+            config.noteTypes = clone(noteTypes);
+            Config.save();
+        }
+
+        // Merging adds the backup's note types like a deck import does (renamed if they clash)
+        const types = mode === 'replace' ? [] : noteTypes;
+        backup.decks.forEach(raw => {
+            const deck = Config.importDeck({ ...clone(raw), noteTypes: clone(types) });
+            if (typeof deck === 'string') return;
+            const log = clone(logOf(backup, raw.name));
+
+            // Parent decks created empty along the way are simply overwritten
+            if (existing.includes(deck.name)) {
+                const merged = mergeDeck(Config.loadDeck(deck.name), Config.loadReviewLog(deck.name), deck, log);
+                Config.saveDeck(merged.deck);
+                Config.saveReviewLog(deck.name, merged.log);
+            } else {
+                Config.saveDeck(deck);
+                Config.saveReviewLog(deck.name, log);
+            }
+        });
+
+        if (mode === 'replace' && Config.getDeckNames().includes(backup.config.currentDeckName)) {
+            config.currentDeckName = backup.config.currentDeckName;
+        }
+        Config.save();
+        return backup.decks.length;
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        createBackup,
+        exportBackup,
+        parseBackup,
+        mergeDeck,
+        planRestore,
+        applyRestore
+    };
+})();
@@ -1,38 +1,62 @@
 /**
  * config.js — Configuration and deck management
- * Stores app config and individual decks in localStorage.
+ * Keeps the app config and the decks; storage itself is handled by db.js.
+ *
+ * Decks nest by name: "Spanish::Verbs" is a subdeck of "Spanish". Every parent exists as
+ * a deck of its own (created empty when needed), so it has its own settings and limit.
  */
 
 const Config = (() => {
-    const CONFIG_KEY = 'flashcards_config';
-    const DECK_PREFIX = 'flashcards_deck_';
-
-    const DEFAULT_DAILY_LIMIT = 5;
+    const DEFAULT_DAILY_LIMIT = 5;           // cards per day in simple mode
+    const DEFAULT_NEW_PER_DAY = 10;          // spaced mode: new cards per day
+    const DEFAULT_MAX_REVIEWS = 100;         // spaced mode: reviews per day
+    const REVIEW_ORDERS = ['reviews-first', 'interleaved', 'overdue-first'];
+    const DEFAULT_REVIEW_ORDER = 'reviews-first';
     const DEFAULT_LEARNING_MODE = 'spaced';
+    const DEFAULT_LEARNING_STEPS = [1, 10];  // minutes, for new cards
+    const DEFAULT_RELEARNING_STEPS = [10];   // minutes, for lapsed cards
+    const CARD_DIRECTIONS = ['forward', 'reverse', 'random', 'both'];
+    const DEFAULT_CARD_DIRECTION = 'random';
+    const DECK_SEPARATOR = '::';
+    const DEFAULT_LEECH_THRESHOLD = 8;       // lapses before a card counts as a leech (0 = off)
+    const LEECH_ACTIONS = ['tag', 'suspend'];
+    const DEFAULT_LEECH_ACTION = 'tag';
+    const LEECH_TAG = 'leech';
+    const DEFAULT_DAY_START_HOUR = 4;        // a new study day starts at 4 AM local time
+    // What a card says; everything else on a card but its id is study progress
+    const CARD_TEXT_KEYS = ['word', 'translation', 'noteType', 'fields', 'tags', 'cloze', 'noteId'];
 
     let config = {
         currentDeckName: null,
         theme: 'dark',
-        deckNames: []
+        dayStartHour: DEFAULT_DAY_START_HOUR,
+        deckNames: [],
+        collapsedDecks: [], // parent decks folded up in the deck manager
+        noteTypes: []       // see notetypes.js; filled with the built-in types on first use
     };
 
     // ========================
     // Config load/save
     // ========================
 
+    /**
+     * Open storage and load the config. Resolves once the app can start.
+     */
+    async function init() {
+        await DB.init();
+        load();
+    }
+
     function load() {
-        const raw = localStorage.getItem(CONFIG_KEY);
-        if (raw) {
-            try {
-                const parsed = JSON.parse(raw);
-                config = { ...config, ...parsed };
-                if (!Array.isArray(config.deckNames)) config.deckNames = [];
-            } catch (e) {
-                console.warn('Config: Failed to parse stored config, using defaults.');
-                config = { currentDeckName: null, theme: 'dark', deckNames: [] };
-            }
+        const stored = DB.readConfig();
+        if (stored && typeof stored === 'object') {
+            config = { ...config, ...stored };
+            if (!Array.isArray(config.deckNames)) config.deckNames = [];
         }
 
+        migrateDecks();
+        getDeckNames().forEach(createParentDecks);
+
         // First launch: create and open the example deck
         if (config.deckNames.length === 0) {
             const example = createExampleDeck();
@@ -43,57 +67,52 @@ const Config = (() => {
     }
 
     function save() {
-        try {
-            localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
-        } catch (e) {
-            console.error('Config: Failed to save config:', e);
-        }
+        DB.writeConfig(config);
     }
 
     function getConfig() {
         return config;
     }
 
+    /** The hour (local time, 0–23) at which a new study day starts. */
+    function getDayStartHour() {
+        const hour = parseInt(config.dayStartHour, 10);
+        return isNaN(hour) ? DEFAULT_DAY_START_HOUR : Math.max(0, Math.min(23, hour));
+    }
+
+    /** Change the day rollover hour and move every stored deck's due dates onto it. */
+    function setDayStartHour(hour) {
+        config.dayStartHour = Math.max(0, Math.min(23, parseInt(hour, 10) || 0));
+        save();
+        migrateDecks();
+    }
+
     // ========================
     // Deck management
     // ========================
 
-    function deckKey(name) {
-        return DECK_PREFIX + name;
-    }
-
     function getDeckNames() {
         return config.deckNames || [];
     }
 
+    /** A fresh copy of a stored deck, or null. */
     function loadDeck(name) {
-        const raw = localStorage.getItem(deckKey(name));
-        if (!raw) return null;
-        try {
-            return JSON.parse(raw);
-        } catch (e) {
-            console.warn('Config: Failed to parse deck:', name);
-            return null;
-        }
+        return DB.readDeck(name);
     }
 
     function saveDeck(deck) {
         if (!deck || !deck.name) return false;
-        try {
-            localStorage.setItem(deckKey(deck.name), JSON.stringify(deck));
-            if (!config.deckNames.includes(deck.name)) {
-                config.deckNames.push(deck.name);
-                save();
-            }
-            return true;
-        } catch (e) {
-            console.error('Config: Failed to save deck:', e);
-            return false;
+        if (!DB.writeDeck(deck)) return false;
+        if (!config.deckNames.includes(deck.name)) {
+            config.deckNames.push(deck.name);
+            save();
+            createParentDecks(deck.name);
         }
+        return true;
     }
 
     function deleteDeck(name) {
-        localStorage.removeItem(deckKey(name));
+        DB.removeDeck(name);
         config.deckNames = config.deckNames.filter(n => n !== name);
         if (config.currentDeckName === name) {
             config.currentDeckName = null;
@@ -101,34 +120,236 @@ const Config = (() => {
         save();
     }
 
+    // ========================
+    // Deck hierarchy
+    // ========================
+
+    /**
+     * Tidy a deck name: "Spanish :: Verbs" -> "Spanish::Verbs". Returns null if a level is empty.
+     */
+    function normalizeDeckName(name) {
+        const parts = String(name || '').split(DECK_SEPARATOR).map(p => p.trim());
+        return parts.some(p => !p) ? null : parts.join(DECK_SEPARATOR);
+    }
+
+    function getParentName(name) {
+        const idx = name.lastIndexOf(DECK_SEPARATOR);
+        return idx === -1 ? null : name.slice(0, idx);
+    }
+
+    /** Names of all decks below a deck (children, grandchildren, ...). */
+    function getSubdeckNames(name) {
+        return getDeckNames().filter(n => n.startsWith(name + DECK_SEPARATOR));
+    }
+
+    /** Create any missing parent decks of a deck name (empty, with default settings). */
+    function createParentDecks(name) {
+        const parent = getParentName(name);
+        if (parent && !getDeckNames().includes(parent)) {
+            saveDeck(createEmptyDeck(parent)); // creates its own parents in turn
+        }
+    }
+
+    /**
+     * Sort deck names as a tree: every deck directly followed by its subdecks,
+     * siblings alphabetically.
+     */
+    function compareDeckNames(a, b) {
+        const pa = a.split(DECK_SEPARATOR);
+        const pb = b.split(DECK_SEPARATOR);
+        for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+            const diff = pa[i].localeCompare(pb[i]);
+            if (diff !== 0) return diff;
+        }
+        return pa.length - pb.length;
+    }
+
+    // ========================
+    // Review log
+    // ========================
+
+    /**
+     * Load the review log of a deck: one entry per rating, oldest first.
+     */
+    function loadReviewLog(name) {
+        return DB.readLog(name);
+    }
+
+    function saveReviewLog(name, log) {
+        return DB.writeLog(name, log);
+    }
+
+    function appendReviewLog(name, entry) {
+        if (!name || !entry) return false;
+        return DB.appendLog(name, entry);
+    }
+
+    /**
+     * Remove a review log entry (identified by its timestamp), e.g. when a rating is undone.
+     */
+    function removeReviewLogEntry(name, ts) {
+        return DB.removeLogEntry(name, ts);
+    }
+
     function createEmptyDeck(name) {
         return {
             name,
             dailyLimit: DEFAULT_DAILY_LIMIT,
+            newPerDay: DEFAULT_NEW_PER_DAY,
+            maxReviews: DEFAULT_MAX_REVIEWS,
+            reviewOrder: DEFAULT_REVIEW_ORDER,
             learningMode: DEFAULT_LEARNING_MODE,
+            scheduler: Scheduler.DEFAULT_SCHEDULER,
+            targetRetention: Scheduler.DEFAULT_TARGET_RETENTION,
+            learningSteps: DEFAULT_LEARNING_STEPS.slice(),
+            relearningSteps: DEFAULT_RELEARNING_STEPS.slice(),
+            answerMode: Answers.DEFAULT_ANSWER_MODE,
+            answerCheck: { ...Answers.DEFAULT_OPTIONS },
+            cardDirection: DEFAULT_CARD_DIRECTION,
+            leechThreshold: DEFAULT_LEECH_THRESHOLD,
+            leechAction: DEFAULT_LEECH_ACTION,
+            dueDayStart: getDayStartHour(),
             cards: [],
             lastSessionDate: null,
-            cardsReviewedToday: 0,
+            cardsReviewedToday: 0,  // simple mode
+            newCardsToday: 0,       // spaced mode
+            reviewsToday: 0,        // spaced mode
             sessionExtension: 0
         };
     }
 
+    function parseLimit(value, fallback, max) {
+        const n = parseInt(value, 10);
+        return isNaN(n) ? fallback : Math.max(0, Math.min(max, n));
+    }
+
+    /**
+     * New cards a spaced deck introduces per day. Decks from before the separate limits
+     * keep their daily limit as the pace for new cards.
+     */
+    function getNewLimit(deck) {
+        return parseLimit(deck.newPerDay, deck.dailyLimit || DEFAULT_NEW_PER_DAY, 999);
+    }
+
+    /** Reviews (cards that were studied before) a spaced deck shows per day. */
+    function getReviewLimit(deck) {
+        return parseLimit(deck.maxReviews, DEFAULT_MAX_REVIEWS, 9999);
+    }
+
+    function getReviewOrder(deck) {
+        return deck && REVIEW_ORDERS.includes(deck.reviewOrder) ? deck.reviewOrder : DEFAULT_REVIEW_ORDER;
+    }
+
+    /**
+     * Lapses after which a deck's cards count as leeches; 0 turns leech detection off.
+     * Decks from before leech detection get the default.
+     */
+    function getLeechThreshold(deck) {
+        const value = parseInt(deck.leechThreshold, 10);
+        return isNaN(value) ? DEFAULT_LEECH_THRESHOLD : Math.max(0, Math.min(99, value));
+    }
+
+    /**
+     * Generate a persistent unique card ID.
+     */
+    function generateCardId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'c-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Scheduling fields of a card that hasn't been studied yet. A card carries these for its
+     * forward direction (word → translation) and, once studied in reverse, in `card.reverse`.
+     */
+    function createSchedule() {
+        return {
+            sessionStatus: 'TO_REVIEW',
+            due:           null,
+            interval:      1,
+            easeFactor:    2.5,
+            learningState: null,
+            learningStep:  null
+        };
+    }
+
+    /**
+     * Copies of a card's text (CARD_TEXT_KEYS) and of its study progress (the rest: schedule,
+     * lapses, suspension, the reverse direction...) as { text, progress }.
+     */
+    function splitCard(card) {
+        const text = {}, progress = {};
+        Object.keys(card).forEach(key => {
+            if (key === 'id' || card[key] === undefined) return;
+            (CARD_TEXT_KEYS.includes(key) ? text : progress)[key] = JSON.parse(JSON.stringify(card[key]));
+        });
+        return { text, progress };
+    }
+
+    /**
+     * JSON with sorted keys and without empty values, so equal data always reads the same
+     * (a merged card, for one, is rebuilt with its keys in another order).
+     */
+    function canonicalJson(value) {
+        if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+        if (value && typeof value === 'object') {
+            return '{' + Object.keys(value).sort()
+                .filter(key => value[key] != null)
+                .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+                .join(',') + '}';
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Create a new, unstudied card.
+     */
+    function createCard(word, translation) {
+        return {
+            id: generateCardId(),
+            word,
+            translation,
+            ...createSchedule()
+        };
+    }
+
+    /**
+     * Tags as a list of unique words (a tag can't contain spaces). Accepts a list or a
+     * space-separated string like Anki's tag column; duplicates are compared case-insensitively.
+     */
+    function normalizeTags(value) {
+        const words = (Array.isArray(value) ? value : [value]).flatMap(v => String(v || '').split(/\s+/));
+        const seen  = new Set();
+        return words.filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /** Set a card's tags; cards without tags have no `tags` property. */
+    function setTags(card, value) {
+        const tags = normalizeTags(value);
+        if (tags.length > 0) card.tags = tags;
+        else delete card.tags;
+    }
+
     function createExampleDeck() {
         const deck = createEmptyDeck('Spanish Basics (Example)');
         deck.dailyLimit = 5;
         deck.cards = [
-            { word: 'Hola',            translation: 'Hello',        sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Adiós',           translation: 'Goodbye',      sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Gracias',         translation: 'Thank you',    sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Por favor',       translation: 'Please',       sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Sí',              translation: 'Yes',          sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Lo siento',       translation: 'I am sorry',   sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Gato',            translation: 'Cat',          sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Perro',           translation: 'Dog',          sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Agua',            translation: 'Water',        sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Pan',             translation: 'Bread',        sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Casa',            translation: 'House',        sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 },
-            { word: 'Libro',           translation: 'Book',         sessionStatus: 'TO_REVIEW', dueDate: null, interval: 1, easeFactor: 2.5 }
+            createCard('Hola',      'Hello'),
+            createCard('Adiós',     'Goodbye'),
+            createCard('Gracias',   'Thank you'),
+            createCard('Por favor', 'Please'),
+            createCard('Sí',        'Yes'),
+            createCard('Lo siento', 'I am sorry'),
+            createCard('Gato',      'Cat'),
+            createCard('Perro',     'Dog'),
+            createCard('Agua',      'Water'),
+            createCard('Pan',       'Bread'),
+            createCard('Casa',      'House'),
+            createCard('Libro',     'Book')
         ];
         return deck;
     }
@@ -137,8 +358,25 @@ const Config = (() => {
     // Export / Import
     // ========================
 
+    /**
+     * Export as text: "Word - Translation" per card, or tab-separated with every field
+     * for cards whose note type has more than two fields. Cloze notes are written once
+     * (not once per gap), tab-separated. Tags go in a last tab-separated column, as in Anki.
+     */
     function exportDeckTxt(deck) {
-        const lines = deck.cards.map(c => `${c.word} - ${c.translation}`).join('\n');
+        const notes = new Set();
+        const lines = deck.cards.filter(c => {
+            if (!c.noteId) return true;
+            if (notes.has(c.noteId)) return false;
+            notes.add(c.noteId);
+            return true;
+        }).map(c => {
+            const values = NoteTypes.getFieldValues(c);
+            if (c.tags) values.push(c.tags.join(' '));
+            return values.length > 2 || c.cloze
+                ? values.map(v => v.replace(/[\t\n]/g, ' ')).join('\t')
+                : `${c.word} - ${c.translation}`;
+        }).join('\n');
         const blob  = new Blob([lines], { type: 'text/plain' });
         const url   = URL.createObjectURL(blob);
         const a     = document.createElement('a');
@@ -151,7 +389,8 @@ const Config = (() => {
     }
 
     function exportDeck(deck) {
-        const data = JSON.stringify(deck, null, 2);
+        // Include the note types the cards use, so the deck can be imported elsewhere
+        const data = JSON.stringify({ ...deck, noteTypes: NoteTypes.getUsedTypes(deck) }, null, 2);
         const blob = new Blob([data], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -164,47 +403,276 @@ const Config = (() => {
     }
 
     /**
-     * Validate and normalize an imported deck JSON object.
+     * Validate and normalize an imported deck JSON object, then register the note types that
+     * came with it (see registerNoteTypes).
      * Returns the normalized deck on success, or an error string on failure.
      */
     function importDeck(data) {
+        const deck = normalizeDeck(data);
+        return typeof deck === 'string' ? deck : registerNoteTypes(deck);
+    }
+
+    /**
+     * Validate and normalize an imported deck JSON object, without changing anything here: the
+     * note types that came with it stay in `deck.noteTypes` until registerNoteTypes(deck), so a
+     * deck that is only previewed (or merged later) leaves the note types here as they are.
+     * Returns the normalized deck on success, or an error string on failure.
+     */
+    function normalizeDeck(data) {
         if (!data || typeof data !== 'object') return 'Invalid deck format.';
         if (!data.name || typeof data.name !== 'string') return 'Deck is missing a name.';
+        const name = normalizeDeckName(data.name);
+        if (!name) return `Deck name "${data.name}" has an empty level.`;
+        data.name = name;
         if (!Array.isArray(data.cards)) return 'Deck is missing a cards array.';
 
         // Normalize cards (support both camelCase and snake_case keys from Python export)
-        data.cards = data.cards.map(card => ({
-            word: card.word || '',
-            translation: card.translation || '',
-            sessionStatus: card.sessionStatus || card.session_status || 'TO_REVIEW',
-            dueDate: card.dueDate || card.due_date || null,
-            interval: card.interval != null ? card.interval : 1,
-            easeFactor: card.easeFactor || card.ease_factor || 2.5
-        })).filter(c => c.word || c.translation);
+        data.cards = data.cards.map(card => {
+            const normalized = {
+                id: card.id || null,
+                word: card.word || '',
+                translation: card.translation || '',
+                ...normalizeSchedule(card)
+            };
+            if (card.noteType) normalized.noteType = String(card.noteType);
+            if (card.fields && typeof card.fields === 'object') {
+                normalized.fields = {};
+                Object.keys(card.fields).forEach(name => {
+                    if (card.fields[name]) normalized.fields[name] = String(card.fields[name]);
+                });
+            }
+            if (card.reverse && typeof card.reverse === 'object') {
+                normalized.reverse = normalizeSchedule(card.reverse);
+            }
+            if (card.suspended) normalized.suspended = true;
+            if (typeof card.buried === 'string') normalized.buried = card.buried;
+            if (card.tags) setTags(normalized, card.tags);
+            if (parseInt(card.cloze, 10) > 0) {
+                normalized.cloze  = parseInt(card.cloze, 10);
+                if (card.noteId) normalized.noteId = String(card.noteId);
+            }
+            return normalized;
+        }).filter(c => c.word || c.translation);
+        assignMissingCardIds(data.cards);
+        Session.alignDueDates(data);
+        data.cards.forEach(card => {
+            if (card.cloze && !card.noteId) card.noteId = card.id;
+        });
+        data.noteTypes = Array.isArray(data.noteTypes) ? data.noteTypes : [];
 
         // Normalize deck-level fields
         data.dailyLimit = data.dailyLimit || data.daily_limit || DEFAULT_DAILY_LIMIT;
+        data.newPerDay = getNewLimit(data);
+        data.maxReviews = getReviewLimit(data);
+        data.reviewOrder = getReviewOrder(data);
         data.learningMode = data.learningMode || data.learning_mode || DEFAULT_LEARNING_MODE;
+        data.scheduler = Scheduler.get(data.scheduler).id;
+        data.targetRetention = data.targetRetention || data.target_retention || Scheduler.DEFAULT_TARGET_RETENTION;
+        data.learningSteps = normalizeSteps(data.learningSteps || data.learning_steps, DEFAULT_LEARNING_STEPS);
+        data.relearningSteps = normalizeSteps(data.relearningSteps || data.relearning_steps, DEFAULT_RELEARNING_STEPS);
+        data.answerMode = Answers.ANSWER_MODES.includes(data.answerMode) ? data.answerMode : Answers.DEFAULT_ANSWER_MODE;
+        data.answerCheck = Answers.getOptions(data);
+        data.cardDirection = CARD_DIRECTIONS.includes(data.cardDirection) ? data.cardDirection : DEFAULT_CARD_DIRECTION;
+        data.leechThreshold = getLeechThreshold(data);
+        data.leechAction = LEECH_ACTIONS.includes(data.leechAction) ? data.leechAction : DEFAULT_LEECH_ACTION;
         data.lastSessionDate = data.lastSessionDate || data.last_session_date || null;
         data.cardsReviewedToday = data.cardsReviewedToday || data.cards_reviewed_today || 0;
+        data.newCardsToday = data.newCardsToday || 0;
+        data.reviewsToday = data.reviewsToday || 0;
         data.sessionExtension = data.sessionExtension || data.session_extension || 0;
 
         return data;
     }
 
+    /**
+     * Register the note types that came with a deck from normalizeDeck and point its cards at
+     * them; cards with an unknown type fall back to Basic (and a cloze gap whose type isn't a
+     * cloze type to a plain card). Returns the deck, without its `noteTypes`.
+     */
+    function registerNoteTypes(deck) {
+        NoteTypes.importTypes(deck.noteTypes || [], deck.cards);
+        deck.cards.forEach(card => {
+            if (card.cloze && !NoteTypes.isCloze(NoteTypes.getForCard(card))) {
+                delete card.cloze;
+                delete card.noteId;
+            }
+        });
+        delete deck.noteTypes;
+        return deck;
+    }
+
+    /**
+     * Normalize the scheduling fields of an imported card (or of its reverse direction).
+     */
+    function normalizeSchedule(src) {
+        const schedule = {
+            sessionStatus: src.sessionStatus || src.session_status || 'TO_REVIEW',
+            due: parseTimestamp(src.due != null ? src.due : (src.dueDate || src.due_date)),
+            interval: src.interval != null ? src.interval : 1,
+            easeFactor: src.easeFactor || src.ease_factor || 2.5,
+            learningState: src.learningState || null,
+            learningStep: src.learningState ? (src.learningStep || 0) : null
+        };
+        if (src.lapses > 0) schedule.lapses = parseInt(src.lapses, 10);
+        // FSRS memory state (only present on cards scheduled with FSRS)
+        const lastReview = parseTimestamp(src.lastReview || src.last_review);
+        if (lastReview) schedule.lastReview = lastReview;
+        if (src.stability != null) schedule.stability = src.stability;
+        if (src.difficulty != null) schedule.difficulty = src.difficulty;
+        return schedule;
+    }
+
+    // ========================
+    // Migrations
+    // ========================
+
+    /**
+     * Convert a stored date to a timestamp. Accepts timestamps, ISO date-times,
+     * and the day-level "YYYY-MM-DD" strings older versions stored (start of that day).
+     */
+    function parseTimestamp(value) {
+        if (value == null || value === '') return null;
+        if (typeof value === 'number') return value;
+        const ts = /^\d{4}-\d{2}-\d{2}$/.test(value)
+            ? Date.parse(value + 'T00:00:00Z')
+            : Date.parse(value);
+        return isNaN(ts) ? null : ts;
+    }
+
+    function normalizeSteps(steps, defaults) {
+        if (!Array.isArray(steps)) return defaults.slice();
+        return steps.map(Number).filter(n => n > 0);
+    }
+
+    /**
+     * Give every card without an ID (or with an ID already used in the deck) a fresh one.
+     * Returns true if any ID was assigned.
+     */
+    function assignMissingCardIds(cards) {
+        const seen = new Set();
+        let changed = false;
+        cards.forEach(card => {
+            if (!card.id || seen.has(card.id)) {
+                card.id = generateCardId();
+                changed = true;
+            }
+            seen.add(card.id);
+        });
+        return changed;
+    }
+
+    /**
+     * Link review log entries written before cards had IDs to their card (by word + translation).
+     */
+    function migrateReviewLog(deck) {
+        const log = loadReviewLog(deck.name);
+        let changed = false;
+        log.forEach(entry => {
+            if (entry.cardId) return;
+            const card = deck.cards.find(c => c.word === entry.word && c.translation === entry.translation);
+            if (card) {
+                entry.cardId = card.id;
+                changed = true;
+            }
+        });
+        if (changed) saveReviewLog(deck.name, log);
+    }
+
+    /**
+     * Bring a stored deck up to the current data model. Returns true if anything changed.
+     */
+    function migrateDeck(deck) {
+        let changed = false;
+
+        if (!Array.isArray(deck.learningSteps) || !Array.isArray(deck.relearningSteps)) {
+            deck.learningSteps   = normalizeSteps(deck.learningSteps, DEFAULT_LEARNING_STEPS);
+            deck.relearningSteps = normalizeSteps(deck.relearningSteps, DEFAULT_RELEARNING_STEPS);
+            changed = true;
+        }
+
+        deck.cards.forEach(card => {
+            // Due dates moved from day strings to timestamps so learning steps can hold a time of day
+            if ('dueDate' in card) {
+                card.due = parseTimestamp(card.dueDate);
+                delete card.dueDate;
+                changed = true;
+            }
+            if (typeof card.lastReview === 'string') {
+                card.lastReview = parseTimestamp(card.lastReview);
+                changed = true;
+            }
+            if (card.learningState === undefined) {
+                card.learningState = null;
+                card.learningStep  = null;
+                changed = true;
+            }
+        });
+
+        if (assignMissingCardIds(deck.cards)) changed = true;
+        if (Session.alignDueDates(deck)) changed = true;
+
+        return changed;
+    }
+
+    function migrateDecks() {
+        getDeckNames().forEach(name => {
+            const deck = loadDeck(name);
+            if (!deck || !Array.isArray(deck.cards)) return;
+            if (migrateDeck(deck)) saveDeck(deck);
+            migrateReviewLog(deck);
+        });
+    }
+
     return {
         DEFAULT_DAILY_LIMIT,
+        DEFAULT_NEW_PER_DAY,
+        DEFAULT_MAX_REVIEWS,
+        REVIEW_ORDERS,
         DEFAULT_LEARNING_MODE,
+        DEFAULT_LEARNING_STEPS,
+        DEFAULT_RELEARNING_STEPS,
+        CARD_DIRECTIONS,
+        DEFAULT_CARD_DIRECTION,
+        DECK_SEPARATOR,
+        DEFAULT_LEECH_THRESHOLD,
+        LEECH_ACTIONS,
+        DEFAULT_LEECH_ACTION,
+        LEECH_TAG,
+        CARD_TEXT_KEYS,
+        init,
         load,
         save,
         getConfig,
+        getDayStartHour,
+        setDayStartHour,
         getDeckNames,
         loadDeck,
         saveDeck,
         deleteDeck,
+        normalizeDeckName,
+        getParentName,
+        getSubdeckNames,
+        compareDeckNames,
+        loadReviewLog,
+        saveReviewLog,
+        appendReviewLog,
+        removeReviewLogEntry,
         createEmptyDeck,
+        getLeechThreshold,
+        getNewLimit,
+        getReviewLimit,
+        getReviewOrder,
+        createSchedule,
+        splitCard,
+        canonicalJson,
+        createCard,
+        generateCardId,
+        normalizeTags,
+        setTags,
         exportDeckTxt,
         exportDeck,
-        importDeck
+        importDeck,
+        normalizeDeck,
+        registerNoteTypes
     };
 })();
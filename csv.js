@@ -0,0 +1,239 @@
+/**
+ * csv.js — CSV and TSV files
+ * Reads and writes delimited text as described in RFC 4180: fields may be quoted with ",
+ * a quoted field can hold the delimiter, line breaks and "" for a quote, and lines end in
+ * CRLF or LF. Tab- and semicolon-separated files use the same rules with another delimiter.
+ *
+ * Importing is done in steps so the dialog can show each one: parse() the text into rows,
+ * guess the header and the column mapping, then mapRows() into card values.
+ */
+
+const Csv = (() => {
+    const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+    // Column mapping targets besides the note type's fields ('field:N')
+    const IGNORE = 'ignore';
+    const TAGS   = 'tags';
+
+    // Header names that mean "this column holds the tags" or the first two fields
+    const TAG_NAMES   = ['tags', 'tag'];
+    const FRONT_NAMES = ['word', 'front', 'question', 'term'];
+    const BACK_NAMES  = ['translation', 'back', 'answer', 'definition', 'meaning'];
+
+    // ========================
+    // Parsing
+    // ========================
+
+    /**
+     * Split delimited text into rows of fields. Quotes only count at the start of a field;
+     * a stray quote inside an unquoted field is kept as text. Empty lines are dropped.
+     */
+    function parse(text, delimiter) {
+        const src  = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row    = [];
+        let field  = '';
+        let quoted = false;
+        let i      = 0;
+
+        const endField = () => { row.push(field); field = ''; };
+        const endRow   = () => {
+            endField();
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+        };
+
+        while (i < src.length) {
+            const ch = src[i];
+            if (quoted) {
+                if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+                if (ch === '"') { quoted = false; i++; continue; }
+                field += ch;
+                i++;
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+                i++;
+            } else if (ch === delimiter) {
+                endField();
+                i++;
+            } else if (ch === '\r' || ch === '\n') {
+                endRow();
+                i += ch === '\r' && src[i + 1] === '\n' ? 2 : 1;
+            } else {
+                field += ch;
+                i++;
+            }
+        }
+        if (field !== '' || row.length > 0) endRow();
+        return rows;
+    }
+
+    /**
+     * Guess the delimiter: the one that splits the first lines into the same number
+     * (more than one) of columns most often. Returns a key of DELIMITERS.
+     */
+    function detectDelimiter(text) {
+        const sample = String(text || '').split(/\r?\n/).slice(0, 20).join('\n');
+        let best = 'comma', bestScore = -1;
+        ['tab', 'comma', 'semicolon'].forEach(key => {
+            const rows = parse(sample, DELIMITERS[key]);
+            if (rows.length === 0 || rows[0].length < 2) return;
+            const score = rows.filter(r => r.length === rows[0].length).length;
+            if (score > bestScore) { best = key; bestScore = score; }
+        });
+        return best;
+    }
+
+    // ========================
+    // Header and column mapping
+    // ========================
+
+    function headerTarget(name, fieldNames) {
+        const key = String(name || '').trim().toLowerCase();
+        if (!key) return null;
+        if (TAG_NAMES.includes(key)) return TAGS;
+        const idx = fieldNames.findIndex(f => f.toLowerCase() === key);
+        if (idx !== -1) return 'field:' + idx;
+        if (FRONT_NAMES.includes(key)) return 'field:0';
+        if (BACK_NAMES.includes(key)) return 'field:1';
+        return null;
+    }
+
+    /** Does the first row look like column names (at least one is a known field or "Tags")? */
+    function looksLikeHeader(row, fieldNames) {
+        return !!row && row.some(name => headerTarget(name, fieldNames) !== null);
+    }
+
+    /**
+     * A mapping target for each of `columnCount` columns: from the header names when there are
+     * any, otherwise the fields in order, with one column left over becoming the tags.
+     * A header naming none of the first field falls back to the order too.
+     */
+    function guessMapping(columnCount, fieldNames, header) {
+        if (header && !header.some(name => headerTarget(name, fieldNames) === 'field:0')) {
+            return guessMapping(columnCount, fieldNames, null);
+        }
+        const mapping = [];
+        const used    = new Set();
+        for (let col = 0; col < columnCount; col++) {
+            let target = header ? headerTarget(header[col], fieldNames) : null;
+            if (!header) {
+                if (col < fieldNames.length) target = 'field:' + col;
+                else if (col === fieldNames.length) target = TAGS;
+            }
+            if (target && used.has(target)) target = null;
+            if (target) used.add(target);
+            mapping.push(target || IGNORE);
+        }
+        return mapping;
+    }
+
+    /**
+     * Turn rows into card values with a mapping. Returns
+     * [{ values: [field values in note type order], tags: [...] }] for every row.
+     */
+    function mapRows(rows, mapping, fieldCount) {
+        return rows.map(row => {
+            const values = new Array(fieldCount).fill('');
+            const tags   = [];
+            mapping.forEach((target, col) => {
+                const text = (row[col] || '').trim();
+                if (!text || target === IGNORE) return;
+                if (target === TAGS) tags.push(text);
+                else values[parseInt(target.slice(6), 10)] = text;
+            });
+            return { values, tags: Config.normalizeTags(tags) };
+        });
+    }
+
+    // ========================
+    // Writing
+    // ========================
+
+    function quote(value, delimiter) {
+        const text = String(value == null ? '' : value);
+        return /["\r\n]/.test(text) || text.includes(delimiter) || /^\s|\s$/.test(text)
+            ? '"' + text.replace(/"/g, '""') + '"'
+            : text;
+    }
+
+    /** Rows of fields as delimited text, CRLF line endings. */
+    function stringify(rows, delimiter) {
+        return rows.map(row => row.map(v => quote(v, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * A deck as rows with a header: the fields of every note type its cards use, Tags and,
+     * with options.schedule, the forward schedule's Due date, Interval (days) and Ease.
+     * Cloze notes are written once, not once per gap.
+     */
+    function buildRows(deck, options) {
+        const opts  = options || {};
+        const notes = new Set();
+        const cards = deck.cards.filter(c => {
+            if (!c.noteId) return true;
+            if (notes.has(c.noteId)) return false;
+            notes.add(c.noteId);
+            return true;
+        });
+
+        // First two columns always hold the first two fields, whatever they are called
+        const extra = [];
+        cards.forEach(card => {
+            NoteTypes.getForCard(card).fields.slice(2).forEach(name => {
+                if (!extra.includes(name)) extra.push(name);
+            });
+        });
+
+        const header = ['Word', 'Translation', ...extra, 'Tags'];
+        if (opts.schedule) header.push('Due', 'Interval', 'Ease');
+
+        const rows = cards.map(card => {
+            const row = [card.word || '', card.translation || '',
+                ...extra.map(name => (card.fields && card.fields[name]) || ''),
+                (card.tags || []).join(' ')];
+            if (opts.schedule) {
+                row.push(
+                    card.due != null ? Session.toDateStr(card.due) : '',
+                    card.sessionStatus === 'SPACED' ? card.interval : '',
+                    card.sessionStatus === 'SPACED' && card.easeFactor ? card.easeFactor.toFixed(2) : ''
+                );
+            }
+            return row;
+        });
+        return [header, ...rows];
+    }
+
+    /**
+     * Download a deck as .csv (or .tsv with the tab delimiter). options: { delimiter, schedule }.
+     */
+    function exportDeck(deck, options) {
+        const opts = options || {};
+        const key  = DELIMITERS[opts.delimiter] ? opts.delimiter : 'comma';
+        const data = stringify(buildRows(deck, opts), DELIMITERS[key]);
+        // The byte order mark lets Excel read the file as UTF-8
+        const blob = new Blob(['\uFEFF' + data], { type: key === 'tab' ? 'text/tab-separated-values' : 'text/csv' });
+        const url  = URL.createObjectURL(blob);
+        const a    = document.createElement('a');
+        a.href     = url;
+        a.download = deck.name.replace(/[^a-z0-9_\-]/gi, '_') + (key === 'tab' ? '.tsv' : '.csv');
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    return {
+        DELIMITERS,
+        IGNORE,
+        TAGS,
+        parse,
+        detectDelimiter,
+        looksLikeHeader,
+        guessMapping,
+        mapRows,
+        stringify,
+        buildRows,
+        exportDeck
+    };
+})();
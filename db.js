@@ -0,0 +1,541 @@
+/**
+ * db.js — Storage backend
+ * Persists the config, decks and review logs in IndexedDB, one record per card and per
+ * review log entry, so a rating only writes the records it changed.
+ *
+ * Everything is read into memory once at startup (init), which keeps reads synchronous for
+ * the rest of the app; writes update that copy right away and reach IndexedDB in the
+ * background. When a write fails (storage full), what it should have stored is written in full
+ * on the next save, or by retryFailedWrites once space was freed. Data from older versions
+ * (one localStorage key per deck) is moved over on first load. Where IndexedDB isn't
+ * available (some private browsing modes) the old localStorage layout is used instead.
+ */
+
+const DB = (() => {
+    const DB_NAME    = 'flashcards';
+    const DB_VERSION = 1;
+
+    // localStorage keys (older versions, and the fallback backend)
+    const CONFIG_KEY  = 'flashcards_config';
+    const DECK_PREFIX = 'flashcards_deck_';
+    const LOG_PREFIX  = 'flashcards_log_';
+
+    const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024; // characters; what browsers typically allow per site
+
+    let db = null;            // Open IndexedDB database, null while using localStorage
+    let config = null;        // Stored config (IndexedDB backend)
+    let decks  = new Map();   // name -> { settings: JSON of the deck without its cards, cards: Map id -> JSON }
+    let logs   = new Map();   // name -> [{ n, entry }], oldest first; n is the record's key within the deck
+    let listener = null;      // Called with ('write') after data was stored and ('error', { error, what }) when it wasn't
+
+    // What the last write failed to store: the in-memory copy no longer says what is stored
+    let unsavedDecks  = new Set();
+    let unsavedLogs   = new Set();
+    let configUnsaved = false;
+    let pending       = new Set();  // background writes under way
+
+    // ========================
+    // Startup
+    // ========================
+
+    /**
+     * Open the database, read it into memory and move over any localStorage data.
+     * Resolves to the backend in use: 'indexeddb' or 'localStorage'.
+     */
+    async function init() {
+        if (typeof indexedDB === 'undefined') return getBackend();
+        try {
+            db = await openDatabase();
+            await readAll();
+            if (config === null) await migrateLocalStorage();
+        } catch (e) {
+            console.error('DB: IndexedDB unavailable, using localStorage:', e);
+            db = null;
+        }
+        return getBackend();
+    }
+
+    function getBackend() {
+        return db ? 'indexeddb' : 'localStorage';
+    }
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const idb = request.result;
+                idb.createObjectStore('meta');
+                idb.createObjectStore('decks', { keyPath: 'name' });
+                idb.createObjectStore('cards', { keyPath: ['deck', 'id'] });
+                idb.createObjectStore('log',   { keyPath: ['deck', 'n'] });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror   = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab.'));
+        });
+    }
+
+    async function readAll() {
+        const tx = db.transaction(['meta', 'decks', 'cards', 'log'], 'readonly');
+        const [stored, deckRecords, cardRecords, logRecords] = await Promise.all([
+            promisify(tx.objectStore('meta').get('config')),
+            promisify(tx.objectStore('decks').getAll()),
+            promisify(tx.objectStore('cards').getAll()),
+            promisify(tx.objectStore('log').getAll())
+        ]);
+
+        config = stored === undefined ? null : stored;
+        decks  = new Map();
+        logs   = new Map();
+        deckRecords.forEach(record => {
+            decks.set(record.name, { settings: JSON.stringify(record), cards: new Map() });
+        });
+        cardRecords.forEach(record => {
+            const cached = decks.get(record.deck);
+            if (cached) cached.cards.set(record.id, JSON.stringify(record.card));
+        });
+        logRecords.forEach(record => {  // getAll returns them in key order: by deck, then n
+            if (!logs.has(record.deck)) logs.set(record.deck, []);
+            logs.get(record.deck).push({ n: record.n, entry: record.entry });
+        });
+    }
+
+    /**
+     * Copy the config, decks and review logs of older versions from localStorage into
+     * IndexedDB, then remove them from localStorage once they are safely stored.
+     */
+    async function migrateLocalStorage() {
+        let keys = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+        } catch (e) {
+            return; // localStorage blocked: nothing to migrate
+        }
+        keys = keys.filter(k => k === CONFIG_KEY || k.startsWith(DECK_PREFIX) || k.startsWith(LOG_PREFIX));
+        if (keys.length === 0) return;
+
+        const ops = [];
+        const parse = key => {
+            try { return JSON.parse(localStorage.getItem(key)); } catch (e) { return null; }
+        };
+        keys.forEach(key => {
+            const value = parse(key);
+            if (key === CONFIG_KEY) {
+                if (value && typeof value === 'object') {
+                    config = value;
+                    ops.push(putOp('meta', value, 'config'));
+                }
+            } else if (key.startsWith(DECK_PREFIX)) {
+                if (value && Array.isArray(value.cards)) {
+                    ensureCardIds(value.cards);
+                    ops.push(...deckOps(value));
+                }
+            } else if (Array.isArray(value)) {
+                ops.push(...logOps(key.slice(LOG_PREFIX.length), value));
+            }
+        });
+
+        await write(ops);
+        keys.forEach(key => localStorage.removeItem(key));
+        console.info(`DB: Moved ${keys.length} item(s) from localStorage to IndexedDB.`);
+    }
+
+    /**
+     * Cards are stored by ID, so decks from versions before card IDs need them first.
+     */
+    function ensureCardIds(cards) {
+        const seen = new Set();
+        cards.forEach(card => {
+            if (!card.id || seen.has(card.id)) {
+                card.id = typeof crypto !== 'undefined' && crypto.randomUUID
+                    ? crypto.randomUUID()
+                    : 'c-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+            }
+            seen.add(card.id);
+        });
+    }
+
+    // ========================
+    // Writing
+    // ========================
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror   = () => reject(request.error);
+        });
+    }
+
+    function putOp(store, value, key) {
+        return { store, put: value, key };
+    }
+
+    function deleteOp(store, key) {
+        return { store, delete: key };
+    }
+
+    /** Key range of every record of a deck in the cards or log store. */
+    function deckRange(name) {
+        return IDBKeyRange.bound([name], [name, []]); // arrays sort after any id or number
+    }
+
+    /**
+     * Apply a list of put/delete operations in one transaction. Resolves when committed.
+     */
+    function write(ops) {
+        if (ops.length === 0) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(Array.from(new Set(ops.map(op => op.store))), 'readwrite');
+            ops.forEach(op => {
+                const store = tx.objectStore(op.store);
+                if ('put' in op) {
+                    if (op.key === undefined) store.put(op.put);
+                    else store.put(op.put, op.key);
+                } else {
+                    store.delete(op.delete);
+                }
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error || new Error('Transaction aborted.'));
+        });
+    }
+
+    /** Write in the background; failures run onFail and are reported to the listener. */
+    function writeLater(ops, what, onFail) {
+        const done = write(ops).then(() => notify('write'), e => {
+            onFail();
+            report(e, what);
+        });
+        const forget = () => pending.delete(done);
+        pending.add(done);
+        done.then(forget, forget);
+    }
+
+    /**
+     * Resolves once the writes started so far are finished: to true if the deck `name` and its
+     * review log are stored, false if writing either failed.
+     */
+    async function whenStored(name) {
+        if (!db) return true;   // localStorage writes are done (or failed) at once
+        await Promise.allSettled(Array.from(pending));
+        return !unsavedDecks.has(name) && !unsavedLogs.has(name);
+    }
+
+    function setListener(fn) {
+        listener = fn;
+    }
+
+    function notify(event, detail) {
+        if (listener) listener(event, detail);
+    }
+
+    function report(error, what) {
+        console.error(`DB: Failed to save ${what}:`, error);
+        notify('error', { error, what });
+    }
+
+    /** Whether an error means the browser ran out of storage space. */
+    function isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /**
+     * Operations that bring a deck's stored records in line with `deck`, updating the
+     * in-memory copy as they go: only changed cards are written, or every card if the
+     * deck's last write failed.
+     */
+    function deckOps(deck) {
+        const full   = unsavedDecks.has(deck.name);
+        const cached = (!full && decks.get(deck.name)) || { settings: null, cards: new Map() };
+        const { cards, ...rest } = deck;
+        const ops = full ? [deleteOp('cards', deckRange(deck.name))] : [];
+        unsavedDecks.delete(deck.name);
+
+        const settings = JSON.stringify({ ...rest, cardIds: cards.map(c => c.id) });
+        if (settings !== cached.settings) {
+            ops.push(putOp('decks', JSON.parse(settings)));
+            cached.settings = settings;
+        }
+
+        const ids = new Set();
+        cards.forEach(card => {
+            ids.add(card.id);
+            const json = JSON.stringify(card);
+            if (cached.cards.get(card.id) === json) return;
+            ops.push(putOp('cards', { deck: deck.name, id: card.id, card: JSON.parse(json) }));
+            cached.cards.set(card.id, json);
+        });
+        Array.from(cached.cards.keys()).filter(id => !ids.has(id)).forEach(id => {
+            ops.push(deleteOp('cards', [deck.name, id]));
+            cached.cards.delete(id);
+        });
+
+        decks.set(deck.name, cached);
+        return ops;
+    }
+
+    /** Operations that replace a deck's whole review log. */
+    function logOps(name, log) {
+        const entries = log.map((entry, i) => ({ n: i + 1, entry }));
+        logs.set(name, entries);
+        unsavedLogs.delete(name);
+        return [
+            deleteOp('log', deckRange(name)),
+            ...entries.map(e => putOp('log', { deck: name, n: e.n, entry: e.entry }))
+        ];
+    }
+
+    // ========================
+    // Config
+    // ========================
+
+    function readConfig() {
+        if (db) return config === null ? null : JSON.parse(JSON.stringify(config));
+        const raw = localStorage.getItem(CONFIG_KEY);
+        if (!raw) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            console.warn('DB: Failed to parse stored config.');
+            return null;
+        }
+    }
+
+    function writeConfig(value) {
+        try {
+            if (db) {
+                config = JSON.parse(JSON.stringify(value));
+                configUnsaved = false;
+                writeLater([putOp('meta', config, 'config')], 'settings', () => { configUnsaved = true; });
+            } else {
+                localStorage.setItem(CONFIG_KEY, JSON.stringify(value));
+                notify('write');
+            }
+            return true;
+        } catch (e) {
+            report(e, 'settings');
+            return false;
+        }
+    }
+
+    // ========================
+    // Decks
+    // ========================
+
+    /**
+     * A fresh copy of a stored deck, or null.
+     */
+    function readDeck(name) {
+        if (!db) {
+            const raw = localStorage.getItem(DECK_PREFIX + name);
+            if (!raw) return null;
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                console.warn('DB: Failed to parse deck:', name);
+                return null;
+            }
+        }
+
+        const cached = decks.get(name);
+        if (!cached) return null;
+        const { cardIds, ...deck } = JSON.parse(cached.settings);
+        deck.cards = (cardIds || [])
+            .filter(id => cached.cards.has(id))
+            .map(id => JSON.parse(cached.cards.get(id)));
+        return deck;
+    }
+
+    function writeDeck(deck) {
+        try {
+            if (db) {
+                writeLater(deckOps(deck), `deck "${deck.name}"`, () => unsavedDecks.add(deck.name));
+            } else {
+                localStorage.setItem(DECK_PREFIX + deck.name, JSON.stringify(deck));
+                notify('write');
+            }
+            return true;
+        } catch (e) {
+            report(e, `deck "${deck.name}"`);
+            return false;
+        }
+    }
+
+    /** Remove a deck together with its review log. */
+    function removeDeck(name) {
+        if (!db) {
+            localStorage.removeItem(DECK_PREFIX + name);
+            localStorage.removeItem(LOG_PREFIX + name);
+            return;
+        }
+        decks.delete(name);
+        logs.delete(name);
+        unsavedDecks.delete(name);
+        unsavedLogs.delete(name);
+        writeLater([
+            deleteOp('decks', name),
+            deleteOp('cards', deckRange(name)),
+            deleteOp('log', deckRange(name))
+        ], `deletion of deck "${name}"`, () => {});
+    }
+
+    // ========================
+    // Review logs
+    // ========================
+
+    function readLog(name) {
+        if (db) return (logs.get(name) || []).map(e => ({ ...e.entry }));
+        const raw = localStorage.getItem(LOG_PREFIX + name);
+        if (!raw) return [];
+        try {
+            const log = JSON.parse(raw);
+            return Array.isArray(log) ? log : [];
+        } catch (e) {
+            console.warn('DB: Failed to parse review log:', name);
+            return [];
+        }
+    }
+
+    function writeLog(name, log) {
+        try {
+            if (db) {
+                writeLater(logOps(name, log), `review history of "${name}"`, () => unsavedLogs.add(name));
+            } else {
+                localStorage.setItem(LOG_PREFIX + name, JSON.stringify(log));
+                notify('write');
+            }
+            return true;
+        } catch (e) {
+            report(e, `review history of "${name}"`);
+            return false;
+        }
+    }
+
+    function appendLog(name, entry) {
+        if (!db) return writeLog(name, readLog(name).concat([entry]));
+        if (!logs.has(name)) logs.set(name, []);
+        const entries = logs.get(name);
+        const n = entries.length > 0 ? entries[entries.length - 1].n + 1 : 1;
+        const record = { deck: name, n, entry: JSON.parse(JSON.stringify(entry)) };
+        entries.push({ n, entry: record.entry });
+        writeLater(unsavedLogs.has(name) ? logOps(name, readLog(name)) : [putOp('log', record)],
+            `review history of "${name}"`, () => unsavedLogs.add(name));
+        return true;
+    }
+
+    /**
+     * Remove the last review log entry with timestamp `ts`. Returns false if there is none.
+     */
+    function removeLogEntry(name, ts) {
+        if (!db) {
+            const log = readLog(name);
+            const idx = log.map(e => e.ts).lastIndexOf(ts);
+            if (idx === -1) return false;
+            log.splice(idx, 1);
+            return writeLog(name, log);
+        }
+        const entries = logs.get(name) || [];
+        const idx = entries.map(e => e.entry.ts).lastIndexOf(ts);
+        if (idx === -1) return false;
+        const [removed] = entries.splice(idx, 1);
+        writeLater(unsavedLogs.has(name) ? logOps(name, readLog(name)) : [deleteOp('log', [name, removed.n])],
+            `review history of "${name}"`, () => unsavedLogs.add(name));
+        return true;
+    }
+
+    /**
+     * Write again, in full, every deck, review history and the settings whose last write
+     * failed, e.g. once space was freed. Returns how many were retried.
+     */
+    function retryFailedWrites() {
+        if (!db) return 0;
+        const count = unsavedDecks.size + unsavedLogs.size + (configUnsaved ? 1 : 0);
+        Array.from(unsavedDecks).forEach(name => {
+            const deck = readDeck(name);
+            if (deck) writeDeck(deck);
+            else unsavedDecks.delete(name);
+        });
+        Array.from(unsavedLogs).forEach(name => writeLog(name, readLog(name)));
+        if (configUnsaved && config !== null) writeConfig(config);
+        return count;
+    }
+
+    // ========================
+    // Usage
+    // ========================
+
+    /**
+     * Approximate stored size (in characters of JSON) of every stored deck and review log,
+     * including any left behind by decks no longer in the deck list.
+     * Returns { name: { deck, log } }.
+     */
+    function getSizes() {
+        const sizes = {};
+        const entry = name => sizes[name] || (sizes[name] = { deck: 0, log: 0 });
+        if (db) {
+            decks.forEach((cached, name) => {
+                let size = cached.settings.length;
+                cached.cards.forEach(json => { size += json.length; });
+                entry(name).deck = size;
+            });
+            logs.forEach((entries, name) => {
+                entry(name).log = entries.reduce((sum, e) => sum + JSON.stringify(e.entry).length, 0);
+            });
+            return sizes;
+        }
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            const size = (localStorage.getItem(key) || '').length;
+            if (key.startsWith(DECK_PREFIX)) entry(key.slice(DECK_PREFIX.length)).deck = size;
+            else if (key.startsWith(LOG_PREFIX)) entry(key.slice(LOG_PREFIX.length)).log = size;
+        }
+        return sizes;
+    }
+
+    /**
+     * How much storage the app uses and may use, in bytes (characters for localStorage).
+     * Resolves to { usage, quota }; quota is null when the browser doesn't say.
+     */
+    async function estimate() {
+        if (!db) {
+            let usage = 0;
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                usage += key.length + (localStorage.getItem(key) || '').length;
+            }
+            return { usage, quota: LOCAL_STORAGE_QUOTA };
+        }
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                return { usage: usage || 0, quota: quota || null };
+            } catch (e) {
+                // fall through to our own count
+            }
+        }
+        const sizes = getSizes();
+        const usage = Object.values(sizes).reduce((sum, s) => sum + s.deck + s.log, 0);
+        return { usage, quota: null };
+    }
+
+    return {
+        init,
+        getBackend,
+        setListener,
+        isQuotaError,
+        getSizes,
+        estimate,
+        readConfig,
+        writeConfig,
+        readDeck,
+        writeDeck,
+        removeDeck,
+        readLog,
+        writeLog,
+        appendLog,
+        removeLogEntry,
+        retryFailedWrites,
+        whenStored
+    };
+})();
@@ -1,10 +1,19 @@
 /**
  * dialogs.js — Modal dialog management
- * Handles deck manager, card editor, card add/edit, import from text, and settings.
+ * Handles deck manager, card editor, card add/edit, note types, import from text, custom study,
+ * settings, statistics, storage, backup and restore, sync, and the undo history.
  */
 
 const Dialogs = (() => {
-    let editingCardIndex = null; // null = adding, number = editing
+    let editingCardId = null;                        // null = adding, string = id of the card being edited
+    let lastNoteTypeId = NoteTypes.DEFAULT_NOTE_TYPE; // note type preselected when adding cards
+    let editingNoteTypeId = null;                    // null = new note type, string = id being edited
+    let lastTags = '';                               // tags prefilled when adding cards
+    let selectedDeckName = null;                     // deck selected in the deck manager tree
+    let pendingBackup = null;                        // parsed backup waiting in the restore dialog
+    let pendingMerge = null;                         // re-imported deck waiting in the merge dialog
+    let pendingCsv = null;                           // CSV/TSV file waiting in the import dialog
+    let pendingApkg = null;                          // Anki package waiting in the import dialog
 
     // ========================
     // Generic modal helpers
@@ -52,6 +61,26 @@ const Dialogs = (() => {
     function initEventListeners() {
         // Deck manager
         document.getElementById('btn-deck-open').addEventListener('click', openSelectedDeck);
+        document.getElementById('deck-tree').addEventListener('keydown', onDeckTreeKey);
+        document.getElementById('btn-deck-storage').addEventListener('click', openStorage);
+
+        // Storage
+        document.getElementById('btn-storage-prune').addEventListener('click', pruneHistory);
+        document.getElementById('btn-storage-compact').addEventListener('click', compactData);
+        document.getElementById('btn-storage-backup').addEventListener('click', exportBackup);
+
+        // Backup and restore
+        document.getElementById('btn-backup-export').addEventListener('click', exportBackup);
+        document.getElementById('btn-backup-restore-trigger').addEventListener('click', () => {
+            const fi = document.getElementById('backup-file-input');
+            fi.value = '';
+            fi.click();
+        });
+        document.getElementById('backup-file-input').addEventListener('change', handleBackupFile);
+        document.querySelectorAll('input[name="restore-mode"]').forEach(r => {
+            r.addEventListener('change', renderRestorePreview);
+        });
+        document.getElementById('btn-restore-confirm').addEventListener('click', confirmRestore);
         document.getElementById('btn-deck-new').addEventListener('click', openNewDeckModal);
         document.getElementById('btn-deck-delete').addEventListener('click', deleteSelectedDeck);
         document.getElementById('btn-deck-export').addEventListener('click', exportSelectedDeck);
@@ -65,6 +94,43 @@ const Dialogs = (() => {
         document.getElementById('deck-txt-file-input').addEventListener('change', handleDeckImportTxtFile);
         document.getElementById('btn-new-deck-create').addEventListener('click', createNewDeck);
 
+        // Sync
+        document.getElementById('btn-sync-now').addEventListener('click', syncNow);
+        document.getElementById('btn-sync-disconnect').addEventListener('click', disconnectSync);
+        document.getElementById('sync-endpoint-input').addEventListener('keydown', e => {
+            if (e.key === 'Enter') syncNow();
+        });
+
+        // CSV/TSV import and export
+        document.getElementById('btn-deck-import-csv-trigger').addEventListener('click', () => {
+            const fi = document.getElementById('csv-file-input');
+            fi.value = '';
+            fi.click();
+        });
+        document.getElementById('csv-file-input').addEventListener('change', handleCsvFile);
+        ['csv-delimiter-select', 'csv-note-type-select', 'csv-header-input'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => updateCsvImport(true));
+        });
+        document.getElementById('btn-csv-import-confirm').addEventListener('click', importCsv);
+        document.getElementById('btn-deck-export-csv').addEventListener('click', openCsvExport);
+        document.getElementById('btn-csv-export-confirm').addEventListener('click', exportCsv);
+
+        // Anki packages
+        document.getElementById('btn-deck-import-apkg-trigger').addEventListener('click', () => {
+            const fi = document.getElementById('apkg-file-input');
+            fi.value = '';
+            fi.click();
+        });
+        document.getElementById('apkg-file-input').addEventListener('change', handleApkgFile);
+        document.getElementById('btn-apkg-confirm').addEventListener('click', importApkg);
+
+        // Merge a re-imported deck
+        document.getElementById('btn-merge-confirm').addEventListener('click', confirmMerge);
+        document.getElementById('btn-merge-copy').addEventListener('click', importMergeAsCopy);
+        ['merge-newer-progress', 'merge-delete-missing'].forEach(id => {
+            document.getElementById(id).addEventListener('change', renderMergePreview);
+        });
+
         // Allow Enter in deck name field to create
         document.getElementById('new-deck-name').addEventListener('keydown', e => {
             if (e.key === 'Enter') createNewDeck();
@@ -77,15 +143,26 @@ const Dialogs = (() => {
         });
         document.getElementById('btn-add-card').addEventListener('click', openAddCard);
         document.getElementById('btn-import-cards-open').addEventListener('click', openImportCards);
+        document.getElementById('btn-find-duplicates').addEventListener('click', openDuplicates);
+        document.getElementById('btn-duplicates-merge-all').addEventListener('click', mergeAllDuplicates);
 
-        // Card add/edit
+        // Card add/edit (Enter in a field moves to the next one, and saves from the tags)
         document.getElementById('btn-card-save').addEventListener('click', saveCard);
-        document.getElementById('card-word-input').addEventListener('keydown', e => {
-            if (e.key === 'Enter') document.getElementById('card-translation-input').focus();
-        });
-        document.getElementById('card-translation-input').addEventListener('keydown', e => {
+        document.getElementById('card-tags-input').addEventListener('keydown', e => {
             if (e.key === 'Enter') saveCard();
         });
+        document.getElementById('card-note-type-select').addEventListener('change', () => {
+            renderCardFields(NoteTypes.get(document.getElementById('card-note-type-select').value), readCardFields());
+        });
+
+        // Note types
+        document.getElementById('btn-note-types-open').addEventListener('click', openNoteTypes);
+        document.getElementById('note-type-listbox').addEventListener('change', () => {
+            selectNoteType(document.getElementById('note-type-listbox').value);
+        });
+        document.getElementById('btn-note-type-new').addEventListener('click', () => selectNoteType(null));
+        document.getElementById('btn-note-type-save').addEventListener('click', saveNoteType);
+        document.getElementById('btn-note-type-delete').addEventListener('click', deleteNoteType);
 
         // Import from text
         document.getElementById('btn-import-confirm').addEventListener('click', importCards);
@@ -94,12 +171,31 @@ const Dialogs = (() => {
             document.getElementById('import-txt-file-input').click();
         });
         document.getElementById('import-txt-file-input').addEventListener('change', handleImportTxtFile);
+        document.getElementById('import-note-type-select').addEventListener('change', updateImportNoteTypeHint);
+
+        // Custom study
+        document.getElementById('btn-custom-start').addEventListener('click', startCustomStudy);
+        ['custom-tag-input', 'custom-kind-select', 'custom-days-input', 'custom-ease-input',
+         'custom-limit-input', 'custom-ignore-limit-input'].forEach(id => {
+            document.getElementById(id).addEventListener('input', updateCustomStudyFields);
+        });
+        document.getElementById('custom-deck-list').addEventListener('change', updateCustomStudyFields);
 
         // Settings
         document.getElementById('btn-settings-save').addEventListener('click', saveSettings);
+        document.getElementById('scheduler-select').addEventListener('change', updateSchedulerFields);
+        document.querySelectorAll('input[name="answer-mode"]').forEach(r => {
+            r.addEventListener('change', updateAnswerModeFields);
+        });
         document.getElementById('btn-extend-confirm').addEventListener('click', extendSessionFromSettings);
         document.getElementById('btn-reset-cards').addEventListener('click', resetDeckCards);
 
+        // Undo history
+        document.getElementById('btn-history-clear').addEventListener('click', () => {
+            Undo.clear();
+            renderHistory();
+        });
+
         // Re-build session queue when card editor closes (cards may have changed)
         document.getElementById('card-editor-modal').querySelector('.modal-close-button')
             .addEventListener('click', onCardEditorClose);
@@ -121,39 +217,126 @@ const Dialogs = (() => {
     // ========================
 
     function openDeckManager() {
+        selectedDeckName = Config.getConfig().currentDeckName;
         refreshDeckList();
         openModal('deck-manager-modal');
+        document.getElementById('deck-tree').focus();
     }
 
+    /**
+     * Render the decks as a tree: subdecks indented below their parent, collapsible,
+     * with due and card counts that include everything below a deck.
+     */
     function refreshDeckList() {
-        const listbox = document.getElementById('deck-listbox');
-        listbox.innerHTML = '';
+        const tree = document.getElementById('deck-tree');
+        tree.innerHTML = '';
 
-        const names = Config.getDeckNames();
-        const currentName = Config.getConfig().currentDeckName;
+        const cfg       = Config.getConfig();
+        const names     = Config.getDeckNames().slice().sort(Config.compareDeckNames);
+        const collapsed = cfg.collapsedDecks || [];
+        const sep       = Config.DECK_SEPARATOR;
 
         if (names.length === 0) {
-            const opt = document.createElement('option');
-            opt.disabled = true;
-            opt.textContent = '(No decks yet — create or import one)';
-            listbox.appendChild(opt);
+            tree.innerHTML = '<div class="deck-tree-empty">(No decks yet — create or import one)</div>';
             return;
         }
+        if (!names.includes(selectedDeckName)) selectedDeckName = null;
 
         names.forEach(name => {
-            const deck = Config.loadDeck(name);
-            const count = deck ? deck.cards.length : 0;
-            const mode  = deck ? (deck.learningMode === 'spaced' ? ' [Spaced]' : ' [Simple]') : '';
-            const opt   = document.createElement('option');
-            opt.value   = name;
-            opt.textContent = `${name}${mode} — ${count} card${count !== 1 ? 's' : ''}${name === currentName ? ' ✓' : ''}`;
-            listbox.appendChild(opt);
+            // Hidden while any of its parents is collapsed
+            if (collapsed.some(c => name.startsWith(c + sep))) return;
+
+            const deck = Undo.getLiveDeck(name);
+            if (!deck) return;
+            const stats    = Session.getTreeStats(deck);
+            const pending  = stats.mode === 'spaced' ? `${stats.due} due` : `${stats.toReview} to review`;
+            const parts    = name.split(sep);
+            const hasChild = Config.getSubdeckNames(name).length > 0;
+            const isOpen   = !collapsed.includes(name);
+
+            const row = document.createElement('div');
+            row.className = 'deck-tree-row' + (name === selectedDeckName ? ' selected' : '');
+            row.dataset.name = name;
+            row.style.paddingLeft = `${8 + (parts.length - 1) * 20}px`;
+
+            const toggle = document.createElement('span');
+            toggle.className   = 'deck-tree-toggle';
+            toggle.textContent = hasChild ? (isOpen ? '▾' : '▸') : '';
+            if (hasChild) {
+                toggle.title = isOpen ? 'Collapse' : 'Expand';
+                toggle.addEventListener('click', e => {
+                    e.stopPropagation();
+                    setDeckCollapsed(name, isOpen);
+                });
+            }
+
+            const label = document.createElement('span');
+            label.className   = 'deck-tree-name';
+            label.textContent = parts[parts.length - 1] + (name === cfg.currentDeckName ? ' ✓' : '');
+
+            const counts = document.createElement('span');
+            counts.className   = 'deck-tree-counts';
+            counts.textContent = `${pending} • ${stats.total} card${stats.total !== 1 ? 's' : ''}` +
+                (deck.learningMode === 'spaced' ? ' [Spaced]' : ' [Simple]');
+
+            row.append(toggle, label, counts);
+            row.addEventListener('click', () => selectDeckRow(name));
+            row.addEventListener('dblclick', () => { selectDeckRow(name); openSelectedDeck(); });
+            tree.appendChild(row);
         });
     }
 
+    function selectDeckRow(name) {
+        selectedDeckName = name;
+        document.querySelectorAll('#deck-tree .deck-tree-row').forEach(row => {
+            row.classList.toggle('selected', row.dataset.name === name);
+        });
+    }
+
+    function setDeckCollapsed(name, collapse) {
+        const cfg = Config.getConfig();
+        const collapsed = (cfg.collapsedDecks || []).filter(n => n !== name);
+        if (collapse) collapsed.push(name);
+        cfg.collapsedDecks = collapsed;
+        Config.save();
+        // A selected subdeck that gets hidden passes the selection to the collapsed deck
+        if (collapse && selectedDeckName && selectedDeckName.startsWith(name + Config.DECK_SEPARATOR)) {
+            selectedDeckName = name;
+        }
+        refreshDeckList();
+    }
+
+    /**
+     * Keyboard navigation: Up/Down move the selection, Left/Right collapse and expand, Enter opens.
+     */
+    function onDeckTreeKey(e) {
+        const rows  = Array.from(document.querySelectorAll('#deck-tree .deck-tree-row'));
+        const index = rows.findIndex(row => row.dataset.name === selectedDeckName);
+        const name  = selectedDeckName;
+        const hasChild = name && Config.getSubdeckNames(name).length > 0;
+        const isOpen   = name && !(Config.getConfig().collapsedDecks || []).includes(name);
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const next = rows[e.key === 'ArrowDown' ? Math.min(rows.length - 1, index + 1) : Math.max(0, index - 1)];
+            if (next) {
+                selectDeckRow(next.dataset.name);
+                next.scrollIntoView({ block: 'nearest' });
+            }
+        } else if (e.key === 'ArrowRight' && hasChild && !isOpen) {
+            setDeckCollapsed(name, false);
+        } else if (e.key === 'ArrowLeft' && name) {
+            if (hasChild && isOpen) setDeckCollapsed(name, true);
+            else if (Config.getParentName(name)) selectDeckRow(Config.getParentName(name));
+        } else if (e.key === 'Enter' && name) {
+            openSelectedDeck();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
     function openSelectedDeck() {
-        const listbox  = document.getElementById('deck-listbox');
-        const selected = listbox.value;
+        const selected = selectedDeckName;
         if (!selected) { UI.showMessage('Please select a deck.', 'warning'); return; }
 
         UI.openDeck(selected);
@@ -167,8 +350,14 @@ const Dialogs = (() => {
     }
 
     function createNewDeck() {
-        const name = document.getElementById('new-deck-name').value.trim();
-        if (!name) { UI.showMessage('Please enter a deck name.', 'error'); return; }
+        const input = document.getElementById('new-deck-name').value.trim();
+        if (!input) { UI.showMessage('Please enter a deck name.', 'error'); return; }
+
+        const name = Config.normalizeDeckName(input);
+        if (!name) {
+            UI.showMessage(`Every level of a subdeck name needs a name, e.g. "Spanish${Config.DECK_SEPARATOR}Verbs".`, 'error');
+            return;
+        }
 
         if (Config.getDeckNames().includes(name)) {
             UI.showMessage(`A deck named "${name}" already exists.`, 'error');
@@ -185,26 +374,30 @@ const Dialogs = (() => {
     }
 
     function deleteSelectedDeck() {
-        const listbox  = document.getElementById('deck-listbox');
-        const selected = listbox.value;
+        const selected = selectedDeckName;
         if (!selected) { UI.showMessage('Please select a deck to delete.', 'warning'); return; }
 
-        if (!confirm(`Delete deck "${selected}"? This cannot be undone.`)) return;
+        const subdecks = Config.getSubdeckNames(selected);
+        const question = subdecks.length > 0
+            ? `Delete deck "${selected}" and its ${subdecks.length} subdeck(s)? This cannot be undone.`
+            : `Delete deck "${selected}"? This cannot be undone.`;
+        if (!confirm(question)) return;
 
-        Config.deleteDeck(selected);
+        const deleted   = [selected, ...subdecks];
+        const inSession = deleted.some(name => Session.getSessionDeck(name));
+        deleted.forEach(name => Config.deleteDeck(name));
+        selectedDeckName = null;
         refreshDeckList();
 
-        if (!Config.getConfig().currentDeckName) {
-            UI.setCurrentDeck(null);
-            UI.updateState();
-        }
+        if (!Config.getConfig().currentDeckName) UI.setCurrentDeck(null);
+        if (inSession) UI.rebuildSession(); // the session was studying a deleted deck
+        UI.updateState();
 
         UI.showMessage(`Deck "${selected}" deleted.`, 'info');
     }
 
     function exportSelectedDeck() {
-        const listbox  = document.getElementById('deck-listbox');
-        const selected = listbox.value;
+        const selected = selectedDeckName;
         if (!selected) { UI.showMessage('Please select a deck to export.', 'warning'); return; }
 
         const deck = Config.loadDeck(selected);
@@ -215,8 +408,7 @@ const Dialogs = (() => {
     }
 
     function exportSelectedDeckTxt() {
-        const listbox  = document.getElementById('deck-listbox');
-        const selected = listbox.value;
+        const selected = selectedDeckName;
         if (!selected) { UI.showMessage('Please select a deck to export.', 'warning'); return; }
 
         const deck = Config.loadDeck(selected);
@@ -240,26 +432,19 @@ const Dialogs = (() => {
         reader.onload = e => {
             try {
                 const data   = JSON.parse(e.target.result);
-                const result = Config.importDeck(data);
+                const result = Config.normalizeDeck(data); // its note types are added once it's saved or merged
 
                 if (typeof result === 'string') {
                     UI.showMessage(result, 'error');
                     return;
                 }
 
-                // Resolve name conflict
-                let finalName = result.name;
-                if (Config.getDeckNames().includes(finalName)) {
-                    finalName = finalName + ' (imported)';
-                    result.name = finalName;
+                // A deck with this name is here already: offer to merge into it
+                if (Config.getDeckNames().includes(result.name)) {
+                    openMergePreview(result, null, '');
+                    return;
                 }
-
-                Config.saveDeck(result);
-                refreshDeckList();
-                UI.showMessage(
-                    `Deck "${finalName}" imported (${result.cards.length} cards).`,
-                    'success'
-                );
+                saveImportedDeck(result, '');
             } catch (err) {
                 UI.showMessage('Failed to parse deck file: ' + err.message, 'error');
             }
@@ -276,16 +461,18 @@ const Dialogs = (() => {
             const lines = e.target.result.split('\n').filter(l => l.trim());
             const cards = [];
             const skipped = [];
+            let tagsColumn = 2;
 
             lines.forEach(line => {
+                const header = parseTagsHeader(line);
+                if (header !== null) { tagsColumn = header; return; }
                 if (line.startsWith('#')) return; // Anki export comment/header lines
                 const parsed = parseTxtLine(line);
                 if (parsed) {
-                    cards.push({
-                        word: parsed.word, translation: parsed.translation,
-                        sessionStatus: 'TO_REVIEW',
-                        dueDate: null, interval: 1, easeFactor: 2.5
-                    });
+                    const { values, tags } = splitTagsColumn([parsed.word, parsed.translation, ...parsed.extra], tagsColumn);
+                    const card = Config.createCard(values[0], values[1]);
+                    Config.setTags(card, tags);
+                    cards.push(card);
                 } else { skipped.push(line); }
             });
 
@@ -295,23 +482,442 @@ const Dialogs = (() => {
             }
 
             // Use filename (without extension) as deck name
-            let deckName = file.name.replace(/\.txt$/i, '').trim() || 'Imported Deck';
+            const deckName = Config.normalizeDeckName(file.name.replace(/\.txt$/i, '')) || 'Imported Deck';
+            const deck     = Config.createEmptyDeck(deckName);
+            deck.cards = cards;
+
+            const note = skipped.length > 0 ? ` ${skipped.length} line(s) skipped.` : '';
             if (Config.getDeckNames().includes(deckName)) {
-                deckName = deckName + ' (imported)';
+                // A .txt list only says the words and translations (and tags when it has them)
+                const keys = ['word', 'translation'];
+                if (cards.some(c => c.tags && c.tags.length > 0)) keys.push('tags');
+                openMergePreview(deck, keys, note);
+                return;
             }
+            saveImportedDeck(deck, note);
+        };
+        reader.readAsText(file);
+    }
 
-            const deck = Config.createEmptyDeck(deckName);
-            deck.cards = cards;
-            Config.saveDeck(deck);
-            refreshDeckList();
+    /**
+     * Save an imported deck as a deck of its own, renamed when the name is taken.
+     * `note` is appended to the success message.
+     */
+    function saveImportedDeck(deck, note) {
+        Config.registerNoteTypes(deck);
+        if (Config.getDeckNames().includes(deck.name)) {
+            deck.name = deck.name + ' (imported)';
+        }
+
+        Config.saveDeck(deck);
+        Undo.recordDeckChange(`Import deck "${deck.name}"`, deck.name, null, Undo.snapshotDeck(deck));
+        refreshDeckList();
+        UI.showMessage(`Deck "${deck.name}" imported (${deck.cards.length} cards).${note}`, 'success');
+    }
+
+    // ========================
+    // CSV/TSV import and export
+    // ========================
+
+    function handleCsvFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-            let msg = `Deck "${deckName}" created with ${cards.length} card(s).`;
-            if (skipped.length > 0) msg += ` ${skipped.length} line(s) skipped.`;
-            UI.showMessage(msg, 'success');
+        const reader = new FileReader();
+        reader.onload = e => {
+            const text = e.target.result;
+            pendingCsv = { text, fileName: file.name, rows: [], mapping: [] };
+            document.getElementById('csv-deck-name').value = file.name.replace(/\.(csv|tsv|txt)$/i, '');
+            document.getElementById('csv-delimiter-select').value = Csv.detectDelimiter(text);
+            fillNoteTypeSelect(document.getElementById('csv-note-type-select'), lastNoteTypeId);
+
+            const type  = NoteTypes.get(lastNoteTypeId);
+            const first = Csv.parse(text, Csv.DELIMITERS[document.getElementById('csv-delimiter-select').value])[0];
+            document.getElementById('csv-header-input').checked = Csv.looksLikeHeader(first, type.fields);
+            updateCsvImport(true);
+            openModal('csv-import-modal');
         };
         reader.readAsText(file);
     }
 
+    /**
+     * Parse the file with the chosen delimiter and show the preview. `remap` guesses the
+     * column mapping again (after the delimiter, note type or header row changed).
+     */
+    function updateCsvImport(remap) {
+        if (!pendingCsv) return;
+        const type      = NoteTypes.get(document.getElementById('csv-note-type-select').value);
+        const delimiter = Csv.DELIMITERS[document.getElementById('csv-delimiter-select').value];
+        const hasHeader = document.getElementById('csv-header-input').checked;
+
+        const rows    = Csv.parse(pendingCsv.text, delimiter);
+        const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        pendingCsv.header = hasHeader ? rows[0] || [] : null;
+        pendingCsv.rows   = hasHeader ? rows.slice(1) : rows;
+        if (remap || pendingCsv.mapping.length !== columns) {
+            pendingCsv.mapping = Csv.guessMapping(columns, type.fields, pendingCsv.header);
+        }
+        renderCsvPreview(type);
+    }
+
+    /** The cards the current settings would import: [{ values, tags }] with the required fields. */
+    function getCsvNotes(type) {
+        return Csv.mapRows(pendingCsv.rows, pendingCsv.mapping, type.fields.length).filter(note =>
+            NoteTypes.isCloze(type)
+                ? NoteTypes.getClozeNumbers(note.values[0]).length > 0
+                : note.values[0] && note.values[1]);
+    }
+
+    /**
+     * Table of the first rows, with a select above each column to map it to a field or the tags.
+     */
+    function renderCsvPreview(type) {
+        const PREVIEW_ROWS = 8;
+        const container = document.getElementById('csv-preview');
+        const mapping   = pendingCsv.mapping;
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        table.className = 'stats-table csv-table';
+        const mapRow = document.createElement('tr');
+        mapping.forEach((target, col) => {
+            const th     = document.createElement('th');
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            const options = [[Csv.IGNORE, '(ignore)'], ...type.fields.map((name, i) => ['field:' + i, name]), [Csv.TAGS, 'Tags']];
+            options.forEach(([value, label]) => {
+                const opt = document.createElement('option');
+                opt.value = value;
+                opt.textContent = label;
+                select.appendChild(opt);
+            });
+            select.value = target;
+            select.addEventListener('change', () => {
+                mapping[col] = select.value;
+                renderCsvPreview(type);
+            });
+            if (pendingCsv.header && pendingCsv.header[col]) {
+                const name = document.createElement('div');
+                name.className = 'csv-column-name';
+                name.textContent = pendingCsv.header[col];
+                th.appendChild(name);
+            }
+            th.appendChild(select);
+            mapRow.appendChild(th);
+        });
+        table.appendChild(mapRow);
+
+        pendingCsv.rows.slice(0, PREVIEW_ROWS).forEach(row => {
+            const tr = document.createElement('tr');
+            mapping.forEach((target, col) => {
+                const td = document.createElement('td');
+                td.textContent = row[col] || '';
+                if (target === Csv.IGNORE) td.className = 'csv-ignored';
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        container.appendChild(table);
+
+        const notes = getCsvNotes(type);
+        const skipped = pendingCsv.rows.length - notes.length;
+        const required = NoteTypes.isCloze(type) ? `a ${type.fields[0]} with gaps` : `${type.fields[0]} and ${type.fields[1]}`;
+        document.getElementById('csv-summary').textContent =
+            `${pendingCsv.rows.length} row(s)` + (pendingCsv.rows.length > PREVIEW_ROWS ? `, first ${PREVIEW_ROWS} shown` : '') +
+            `. ${notes.length} will be imported` + (skipped > 0 ? `; ${skipped} without ${required} are skipped.` : '.');
+        document.getElementById('btn-csv-import-confirm').disabled = notes.length === 0;
+    }
+
+    /**
+     * Create a deck from the mapped rows, or offer to merge it when the name is taken.
+     */
+    function importCsv() {
+        if (!pendingCsv) return;
+        const type = NoteTypes.get(document.getElementById('csv-note-type-select').value);
+        const name = Config.normalizeDeckName(document.getElementById('csv-deck-name').value);
+        if (!name) { UI.showMessage('Please enter a deck name.', 'warning'); return; }
+
+        const deck = Config.createEmptyDeck(name);
+        getCsvNotes(type).forEach(({ values, tags }) => {
+            if (NoteTypes.isCloze(type)) {
+                let noteId = null;
+                NoteTypes.getClozeNumbers(values[0]).forEach(number => {
+                    const card = createClozeCard(type, values, number, noteId, tags);
+                    noteId = card.noteId;
+                    deck.cards.push(card);
+                });
+                return;
+            }
+            const card = Config.createCard(values[0], values[1]);
+            NoteTypes.setFieldValues(card, type, values);
+            Config.setTags(card, tags);
+            deck.cards.push(card);
+        });
+
+        const skipped = pendingCsv.rows.length - getCsvNotes(type).length;
+        const note    = skipped > 0 ? ` ${skipped} row(s) skipped.` : '';
+        const mapped  = pendingCsv.mapping;
+        lastNoteTypeId = type.id;
+        pendingCsv = null;
+        closeModal('csv-import-modal');
+
+        if (Config.getDeckNames().includes(name)) {
+            // Only what the columns say is compared; unmapped fields stay as they are
+            const keys = ['word', 'translation'];
+            if (mapped.some(t => t.startsWith('field:') && parseInt(t.slice(6), 10) >= 2)) keys.push('noteType', 'fields');
+            if (mapped.includes(Csv.TAGS)) keys.push('tags');
+            if (NoteTypes.isCloze(type)) keys.push('noteType', 'cloze', 'noteId');
+            openMergePreview(deck, keys, note);
+            return;
+        }
+        saveImportedDeck(deck, note);
+    }
+
+    function openCsvExport() {
+        if (!selectedDeckName) { UI.showMessage('Please select a deck to export.', 'warning'); return; }
+        document.getElementById('csv-export-deck-name').textContent = selectedDeckName;
+        openModal('csv-export-modal');
+    }
+
+    function exportCsv() {
+        const deck = Config.loadDeck(selectedDeckName);
+        if (!deck) return;
+        Csv.exportDeck(deck, {
+            delimiter: document.getElementById('csv-export-delimiter-select').value,
+            schedule:  document.getElementById('csv-export-schedule-input').checked
+        });
+        closeModal('csv-export-modal');
+        UI.showMessage(`Deck "${deck.name}" exported.`, 'success', 3000);
+    }
+
+    // ========================
+    // Anki packages
+    // ========================
+
+    function handleApkgFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async e => {
+            const result = await Apkg.read(e.target.result);
+            if (typeof result === 'string') {
+                UI.showMessage(result, 'error');
+                return;
+            }
+            pendingApkg = result;
+            renderApkgPreview();
+            openModal('apkg-modal');
+        };
+        reader.readAsArrayBuffer(file);
+    }
+
+    /**
+     * One row per Anki deck: its cards by state, and whether it becomes a new deck or is merged.
+     */
+    function renderApkgPreview() {
+        const { decks, skipped, media } = pendingApkg;
+        const local = Config.getDeckNames();
+        const total = decks.reduce((sum, d) => sum + d.cards.length, 0);
+
+        let summary = `${decks.length} deck(s), ${total} card(s).`;
+        if (skipped > 0) summary += ` ${skipped} card(s) of templates beyond front and back are left out.`;
+        if (media > 0) summary += ` ${media} media file(s) (sounds, images) are not imported.`;
+        document.getElementById('apkg-summary').textContent = summary;
+
+        const table = document.createElement('table');
+        table.className = 'stats-table restore-table';
+        table.innerHTML = '<tr><th>Deck</th><th>New</th><th>Learning</th><th>Review</th><th>Change</th></tr>';
+        decks.forEach(deck => {
+            const schedules = deck.cards.flatMap(c => (c.reverse ? [c, c.reverse] : [c]));
+            const learning  = schedules.filter(s => s.learningState).length;
+            const review    = schedules.filter(s => s.due != null && !s.learningState).length;
+            const fresh     = schedules.length - learning - review;
+            let change = 'New deck';
+            if (local.includes(deck.name)) {
+                const plan = Merge.planMerge(Config.loadDeck(deck.name), deck);
+                change = `Merge: ${plan.added.length} new card(s), ${plan.updated.length} updated`;
+            }
+            const tr = document.createElement('tr');
+            tr.className = local.includes(deck.name) ? 'restore-merge' : 'restore-add';
+            tr.innerHTML = `<td>${escHtml(deck.name)}</td><td>${fresh}</td><td>${learning}</td><td>${review}</td><td>${escHtml(change)}</td>`;
+            table.appendChild(tr);
+        });
+        const container = document.getElementById('apkg-preview');
+        container.innerHTML = '';
+        container.appendChild(table);
+    }
+
+    /**
+     * Create a deck for every Anki deck with its review history. A deck whose name is here
+     * already is merged (see Merge) and takes Anki's progress where it is newer.
+     */
+    function importApkg() {
+        if (!pendingApkg) return;
+        const existing = Config.getDeckNames().slice();
+        let   inSession = false;
+        let   cards     = 0;
+
+        pendingApkg.decks.forEach(raw => {
+            const { log, ...data } = JSON.parse(JSON.stringify(raw));
+            const deck = Config.importDeck(data);
+            if (typeof deck === 'string') return;
+            cards += deck.cards.length;
+
+            // Parent decks created empty along the way are simply overwritten
+            if (!existing.includes(deck.name)) {
+                Config.saveDeck(deck);
+                Config.saveReviewLog(deck.name, log);
+                Undo.recordDeckChange(`Import deck "${deck.name}"`, deck.name, null, Undo.snapshotDeck(deck));
+                return;
+            }
+
+            const live   = Undo.getLiveDeck(deck.name);
+            const before = Undo.snapshotDeck(live);
+            const plan   = Merge.planMerge(live, deck);
+            Merge.applyMerge(live, plan, { takeNewerProgress: true });
+            Config.saveDeck(live);
+            Undo.recordDeckChange(`Merge Anki deck into "${deck.name}"`, deck.name, before, Undo.snapshotDeck(live));
+            if (Session.getSessionDeck(deck.name)) inSession = true;
+
+            // History of matched cards moves to the card here; reviews already in the log are left out
+            const ids = new Map(plan.updated.map(u => [u.incoming.id, u.local.id]));
+            plan.added.forEach(c => ids.set(c.id, c.id));
+            const ownLog = Config.loadReviewLog(deck.name);
+            const seen   = new Set(ownLog.map(e => `${e.ts}|${e.cardId}`));
+            const news   = log.filter(e => ids.has(e.cardId))
+                .map(e => ({ ...e, cardId: ids.get(e.cardId) }))
+                .filter(e => !seen.has(`${e.ts}|${e.cardId}`));
+            if (news.length > 0) Config.saveReviewLog(deck.name, ownLog.concat(news).sort((a, b) => a.ts - b.ts));
+        });
+
+        const count = pendingApkg.decks.length;
+        pendingApkg = null;
+        closeModal('apkg-modal');
+        if (inSession) {
+            UI.rebuildSession();
+            UI.updateState();
+        }
+        refreshDeckList();
+        UI.showMessage(`Imported ${count} Anki deck(s) with ${cards} card(s).`, 'success');
+    }
+
+    // ========================
+    // Merge a re-imported deck
+    // ========================
+
+    /**
+     * Compare an imported deck with the deck of the same name and show what merging would do.
+     * `keys` are the card texts the file carries (null = all), `note` goes into the final message.
+     */
+    function openMergePreview(incoming, keys, note) {
+        const local = Config.loadDeck(incoming.name);
+        if (!local) { saveImportedDeck(incoming, note); return; }
+
+        pendingMerge = { name: incoming.name, incoming, plan: Merge.planMerge(local, incoming, keys), note };
+        document.getElementById('merge-summary').textContent =
+            `"${incoming.name}" is already here (${local.cards.length} card(s)). The file has ${incoming.cards.length} card(s).`;
+        document.getElementById('merge-newer-progress').checked = false;
+        document.getElementById('merge-delete-missing').checked = false;
+        renderMergePreview();
+        openModal('merge-modal');
+    }
+
+    /**
+     * List the cards the merge would add, change and (optionally) delete.
+     */
+    function renderMergePreview() {
+        if (!pendingMerge) return;
+        const { plan }   = pendingMerge;
+        const newer      = document.getElementById('merge-newer-progress').checked;
+        const remove     = document.getElementById('merge-delete-missing').checked;
+        const container  = document.getElementById('merge-preview');
+        const label      = card => `${card.word} — ${card.translation}`;
+        const updated    = plan.updated.filter(u => u.changes.length > 0 || (newer && u.newerProgress));
+        const progressed = plan.updated.filter(u => u.newerProgress).length;
+
+        container.innerHTML = '';
+        const section = (title, className, items) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('h3');
+            heading.textContent = `${title} (${items.length})`;
+            const list = document.createElement('ul');
+            list.className = 'merge-list ' + className;
+            items.forEach(html => {
+                const li = document.createElement('li');
+                li.innerHTML = html;
+                list.appendChild(li);
+            });
+            container.appendChild(heading);
+            container.appendChild(list);
+        };
+
+        section('New cards', 'merge-added', plan.added.map(c => escHtml(label(c))));
+        section('Changed cards', 'merge-updated', updated.map(u => {
+            const text = u.changes.length > 0 && label(u.local) !== label(u.incoming)
+                ? `<del>${escHtml(label(u.local))}</del> → ${escHtml(label(u.incoming))}`
+                : escHtml(label(u.local));
+            const other = u.changes.filter(k => k !== 'word' && k !== 'translation');
+            const notes = [];
+            if (other.length > 0) notes.push(`changed ${other.join(', ')}`);
+            if (newer && u.newerProgress) notes.push('newer progress from the file');
+            return notes.length > 0 ? `${text} <span class="merge-note">(${escHtml(notes.join('; '))})</span>` : text;
+        }));
+        section(remove ? 'Deleted cards' : 'Cards not in the file (kept)',
+            remove ? 'merge-deleted' : 'merge-missing', plan.missing.map(c => escHtml(label(c))));
+
+        const summary = document.createElement('p');
+        summary.className = 'modal-subtitle';
+        summary.textContent = `${plan.unchanged} card(s) unchanged. Study progress here is kept` +
+            (newer ? ', except where the file\'s copy was reviewed more recently.' : '.') +
+            (!newer && progressed > 0 ? ` The file has newer progress for ${progressed} card(s).` : '');
+        container.appendChild(summary);
+
+        document.getElementById('btn-merge-confirm').disabled =
+            plan.added.length === 0 && updated.length === 0 && !(remove && plan.missing.length > 0);
+    }
+
+    function confirmMerge() {
+        if (!pendingMerge) return;
+        const { name, incoming, plan, note } = pendingMerge;
+        const deck = Undo.getLiveDeck(name);
+        if (!deck) return;
+        const remove = document.getElementById('merge-delete-missing').checked;
+        if (remove && plan.missing.length > 0 && !confirm(`Delete ${plan.missing.length} card(s) that are not in the file?`)) return;
+
+        Config.registerNoteTypes(incoming); // the plan's cards are the incoming deck's own
+        const before = Undo.snapshotDeck(deck);
+        const result = Merge.applyMerge(deck, plan, {
+            takeNewerProgress: document.getElementById('merge-newer-progress').checked,
+            deleteMissing:     remove
+        });
+        Config.saveDeck(deck);
+        Undo.recordDeckChange(`Merge import into "${name}"`, name, before, Undo.snapshotDeck(deck));
+        pendingMerge = null;
+        closeModal('merge-modal');
+
+        if (Session.getSessionDeck(name)) {
+            UI.rebuildSession();
+            UI.updateState();
+        }
+        refreshDeckList();
+
+        const parts = [`${result.added} added`, `${result.updated} updated`];
+        if (remove) parts.push(`${result.deleted} deleted`);
+        UI.showMessage(`Merged into "${name}": ${parts.join(', ')}.${note}`, 'success');
+    }
+
+    /**
+     * Import the file as a separate deck after all (the old behaviour).
+     */
+    function importMergeAsCopy() {
+        if (!pendingMerge) return;
+        const { incoming, note } = pendingMerge;
+        pendingMerge = null;
+        closeModal('merge-modal');
+        saveImportedDeck(incoming, note);
+    }
+
     // ========================
     // Card Editor
     // ========================
@@ -334,18 +940,24 @@ const Dialogs = (() => {
             ? cards.filter(c => {
                 const term = filter.toLowerCase();
                 return c.word.toLowerCase().includes(term) ||
-                       c.translation.toLowerCase().includes(term);
+                       c.translation.toLowerCase().includes(term) ||
+                       Object.values(c.fields || {}).some(v => v.toLowerCase().includes(term)) ||
+                       (c.tags || []).some(t => t.toLowerCase().includes(term));
               })
             : cards.slice();
 
-        // Sort: TO_REVIEW first, then SPACED by due date, then FINISHED last
+        // Sort by the first studied direction: TO_REVIEW first, then SPACED by due date, then FINISHED last
+        const deck = UI.getCurrentDeck();
         const statusOrder = s => s === 'FINISHED' ? 2 : s === 'SPACED' ? 1 : 0;
-        list.sort((a, b) => {
+        const primary = card => Session.getCardItems(deck, card)[0].schedule;
+        list.sort((x, y) => {
+            const a = primary(x);
+            const b = primary(y);
             const diff = statusOrder(a.sessionStatus) - statusOrder(b.sessionStatus);
             if (diff !== 0) return diff;
             // Within SPACED, sort by due date ascending
             if (a.sessionStatus === 'SPACED' && b.sessionStatus === 'SPACED') {
-                return (a.dueDate || '') < (b.dueDate || '') ? -1 : 1;
+                return (a.due || 0) - (b.due || 0);
             }
             return 0;
         });
@@ -356,28 +968,33 @@ const Dialogs = (() => {
         }
 
         list.forEach(card => {
-            const realIndex = cards.indexOf(card);
-
             const row = document.createElement('div');
             row.className = 'card-row';
 
-            // Word — Translation
+            // Word — Translation (cloze cards: the text with this card's gap blanked — the gap)
+            const sides = getListSides(card);
             const info = document.createElement('div');
             info.className = 'card-row-info';
             info.innerHTML =
-                `<span class="card-word">${escHtml(card.word)}</span>` +
+                `<span class="card-word">${escHtml(sides.question)}</span>` +
                 `<span class="card-sep"> — </span>` +
-                `<span class="card-translation">${escHtml(card.translation)}</span>`;
-
-            // Status badge
-            const badge = document.createElement('span');
-            badge.className = 'card-status-badge';
-            if (card.sessionStatus === 'FINISHED') {
-                badge.textContent = 'Finished';
-            } else if (card.dueDate) {
-                badge.textContent = `Due: ${card.dueDate}`;
-            } else {
-                badge.textContent = 'To Review';
+                `<span class="card-translation">${escHtml(sides.answer)}</span>` +
+                (card.tags ? `<span class="card-tags">${card.tags.map(t => escHtml('#' + t)).join(' ')}</span>` : '');
+
+            // Status badge, one per studied direction (marked → / ← when a card is studied both ways)
+            const items  = Session.getCardItems(deck, card);
+            const badges = items.map(item => {
+                const badge = document.createElement('span');
+                badge.className = 'card-status-badge';
+                const prefix = items.length > 1 ? (item.reverse ? '← ' : '→ ') : '';
+                badge.textContent = prefix + scheduleStatusText(item.schedule);
+                return badge;
+            });
+            if (card.suspended || Session.isBuried(card)) {
+                const badge = document.createElement('span');
+                badge.className = 'card-status-badge parked';
+                badge.textContent = card.suspended ? 'Suspended' : 'Buried';
+                badges.push(badge);
             }
 
             // Action buttons
@@ -387,70 +1004,202 @@ const Dialogs = (() => {
             const editBtn = document.createElement('button');
             editBtn.className = 'card-action-btn';
             editBtn.textContent = 'Edit';
-            editBtn.addEventListener('click', () => openEditCard(realIndex));
+            editBtn.addEventListener('click', () => openEditCard(card.id));
+
+            const buryBtn = document.createElement('button');
+            buryBtn.className = 'card-action-btn';
+            buryBtn.textContent = Session.isBuried(card) ? 'Unbury' : 'Bury';
+            buryBtn.title = 'Skip this card until tomorrow';
+            buryBtn.addEventListener('click', () => toggleParked(card.id, 'bury'));
+
+            const suspendBtn = document.createElement('button');
+            suspendBtn.className = 'card-action-btn';
+            suspendBtn.textContent = card.suspended ? 'Unsuspend' : 'Suspend';
+            suspendBtn.title = 'Leave this card out of every session until unsuspended';
+            suspendBtn.addEventListener('click', () => toggleParked(card.id, 'suspend'));
 
             const delBtn = document.createElement('button');
             delBtn.className = 'card-action-btn danger';
             delBtn.textContent = 'Delete';
-            delBtn.addEventListener('click', () => deleteCard(realIndex));
+            delBtn.addEventListener('click', () => deleteCard(card.id));
 
             actions.appendChild(editBtn);
+            actions.appendChild(buryBtn);
+            actions.appendChild(suspendBtn);
             actions.appendChild(delBtn);
 
             row.appendChild(info);
-            row.appendChild(badge);
+            badges.forEach(badge => row.appendChild(badge));
             row.appendChild(actions);
             container.appendChild(row);
         });
     }
 
+    function getListSides(card) {
+        return card.cloze
+            ? NoteTypes.getClozeSides(card)
+            : { question: card.word, answer: card.translation };
+    }
+
+    function scheduleStatusText(schedule) {
+        if (schedule.sessionStatus === 'FINISHED') return 'Finished';
+        if (schedule.learningState) return schedule.learningState === 'relearning' ? 'Relearning' : 'Learning';
+        if (schedule.due != null) return `Due: ${Session.toDateStr(schedule.due)}`;
+        return 'To Review';
+    }
+
     function openAddCard() {
-        editingCardIndex = null;
+        editingCardId = null;
         document.getElementById('card-edit-title').textContent = 'Add Card';
-        document.getElementById('card-word-input').value = '';
-        document.getElementById('card-translation-input').value = '';
-        openModal('card-edit-modal');
-        setTimeout(() => document.getElementById('card-word-input').focus(), 50);
+        openCardFields(NoteTypes.get(lastNoteTypeId), [], lastTags);
     }
 
-    function openEditCard(idx) {
+    function openEditCard(cardId) {
         const deck = UI.getCurrentDeck();
-        if (!deck || idx < 0 || idx >= deck.cards.length) return;
+        const card = deck && deck.cards.find(c => c.id === cardId);
+        if (!card) return;
 
-        const card = deck.cards[idx];
-        editingCardIndex = idx;
+        editingCardId = cardId;
         document.getElementById('card-edit-title').textContent = 'Edit Card';
-        document.getElementById('card-word-input').value = card.word;
-        document.getElementById('card-translation-input').value = card.translation;
+        const type = NoteTypes.getForCard(card);
+        openCardFields(type, NoteTypes.getFieldValues(card, type), (card.tags || []).join(' '));
+    }
+
+    function openCardFields(type, values, tags) {
+        fillNoteTypeSelect(document.getElementById('card-note-type-select'), type.id);
+        renderCardFields(type, values);
+        document.getElementById('card-tags-input').value = tags;
         openModal('card-edit-modal');
-        setTimeout(() => document.getElementById('card-word-input').focus(), 50);
+        setTimeout(() => {
+            const first = document.querySelector('#card-fields input');
+            if (first) first.focus();
+        }, 50);
+    }
+
+    function fillNoteTypeSelect(select, selectedId) {
+        select.innerHTML = '';
+        NoteTypes.getAll().forEach(type => {
+            const opt = document.createElement('option');
+            opt.value = type.id;
+            opt.textContent = `${type.name} (${type.fields.length} fields)`;
+            select.appendChild(opt);
+        });
+        select.value = selectedId;
+    }
+
+    /**
+     * One input per field of the note type. values are kept by position when switching types.
+     */
+    function renderCardFields(type, values) {
+        const container = document.getElementById('card-fields');
+        container.innerHTML = '';
+
+        const cloze = NoteTypes.isCloze(type);
+        type.fields.forEach((name, i) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            // Cloze notes only need the text; everything else needs the first two fields
+            const required = cloze ? i === 0 : i < 2;
+            const label = document.createElement('label');
+            label.htmlFor = `card-field-${i}`;
+            label.textContent = required ? `${name}:` : `${name} (optional):`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `card-field-${i}`;
+            input.value = values[i] || '';
+            if (cloze && i === 0) input.placeholder = 'Me {{c1::gusta}} el {{c2::café}}';
+            input.addEventListener('keydown', e => {
+                if (e.key !== 'Enter') return;
+                const next = document.getElementById(`card-field-${i + 1}`) || document.getElementById('card-tags-input');
+                next.focus();
+            });
+
+            group.appendChild(label);
+            group.appendChild(input);
+            if (cloze && i === 0) {
+                const gapBtn = document.createElement('button');
+                gapBtn.type = 'button';
+                gapBtn.className = 'card-action-btn';
+                gapBtn.textContent = 'Make Gap';
+                gapBtn.title = 'Wrap the selected text in the next cloze number';
+                gapBtn.addEventListener('click', () => wrapCloze(input));
+
+                const hint = document.createElement('p');
+                hint.className = 'modal-subtitle';
+                hint.textContent = 'Mark gaps as {{c1::answer}} or {{c1::answer::hint}}; each number becomes its own card.';
+                group.appendChild(gapBtn);
+                group.appendChild(hint);
+            }
+            container.appendChild(group);
+        });
+    }
+
+    /** Wrap the selected text in a cloze with the next unused number. */
+    function wrapCloze(input) {
+        const numbers = NoteTypes.getClozeNumbers(input.value);
+        const open    = `{{c${numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1}::`;
+        const start   = input.selectionStart;
+        const end     = input.selectionEnd;
+        input.value = input.value.slice(0, start) + open + input.value.slice(start, end) + '}}' + input.value.slice(end);
+        input.focus();
+        input.setSelectionRange(end + open.length, end + open.length);
+    }
+
+    function readCardFields() {
+        return Array.from(document.querySelectorAll('#card-fields input')).map(input => input.value.trim());
     }
 
     function saveCard() {
-        const word        = document.getElementById('card-word-input').value.trim();
-        const translation = document.getElementById('card-translation-input').value.trim();
+        const type   = NoteTypes.get(document.getElementById('card-note-type-select').value);
+        const values = readCardFields();
+        const cloze  = NoteTypes.isCloze(type);
 
-        if (!word || !translation) {
-            UI.showMessage('Please enter both a word and a translation.', 'error');
+        if (cloze && NoteTypes.getClozeNumbers(values[0]).length === 0) {
+            UI.showMessage(`Please mark at least one gap in ${type.fields[0]}, e.g. {{c1::gusta}}.`, 'error');
+            return;
+        }
+        if (!cloze && (!values[0] || !values[1])) {
+            UI.showMessage(`Please fill in both ${type.fields[0]} and ${type.fields[1]}.`, 'error');
             return;
         }
 
         const deck = UI.getCurrentDeck();
         if (!deck) return;
+        const tags = Config.normalizeTags(document.getElementById('card-tags-input').value);
+        lastNoteTypeId = type.id;
+        if (editingCardId === null) lastTags = tags.join(' ');
+
+        if (!cloze) {
+            const probe   = { id: editingCardId, word: values[0], translation: values[1] };
+            const matches = Duplicates.findMatches(deck.cards, probe);
+            if (matches.length > 0) {
+                const other = matches[0].card;
+                const kind  = matches[0].exact ? 'already in the deck' : 'similar to a card in the deck';
+                const more  = matches.length > 1 ? ` (and ${matches.length - 1} more)` : '';
+                if (!confirm(`This card is ${kind}: "${other.word} — ${other.translation}"${more}. Save it anyway?`)) return;
+            }
+        }
 
-        if (editingCardIndex !== null) {
-            deck.cards[editingCardIndex].word        = word;
-            deck.cards[editingCardIndex].translation = translation;
+        if (cloze) {
+            if (!saveClozeNote(deck, type, values, tags)) return;
+        } else if (editingCardId !== null) {
+            const card = deck.cards.find(c => c.id === editingCardId);
+            if (!card) { UI.showMessage('This card no longer exists.', 'error'); return; }
+            const before = JSON.parse(JSON.stringify(card));
+            NoteTypes.setFieldValues(card, type, values);
+            Config.setTags(card, tags);
+            delete card.cloze;
+            delete card.noteId;
+            Undo.recordCardChange(`Edit "${card.word}"`, deck.name, before, card, deck.cards.indexOf(card));
             UI.showMessage('Card updated.', 'success', 2000);
         } else {
-            deck.cards.push({
-                word,
-                translation,
-                sessionStatus: 'TO_REVIEW',
-                dueDate:       null,
-                interval:      1,
-                easeFactor:    2.5
-            });
+            const card = Config.createCard(values[0], values[1]);
+            NoteTypes.setFieldValues(card, type, values);
+            Config.setTags(card, tags);
+            deck.cards.push(card);
+            Undo.recordCardChange(`Add "${card.word}"`, deck.name, null, card, deck.cards.length - 1);
             UI.showMessage('Card added.', 'success', 2000);
         }
 
@@ -459,33 +1208,209 @@ const Dialogs = (() => {
         renderCardList(deck.cards, document.getElementById('card-search').value.trim());
     }
 
-    function deleteCard(idx) {
+    /**
+     * Add or edit a cloze note: one card per cloze number, all sharing a noteId. Editing keeps
+     * the cards (and schedules) of numbers still in the text, adds cards for new numbers and
+     * deletes the cards of numbers that were removed. Tags belong to the whole note.
+     * Returns false if nothing was saved.
+     */
+    function saveClozeNote(deck, type, values, tags) {
+        const editing = editingCardId !== null ? deck.cards.find(c => c.id === editingCardId) : null;
+        if (editingCardId !== null && !editing) { UI.showMessage('This card no longer exists.', 'error'); return false; }
+
+        const before   = Undo.snapshotDeck(deck);
+        const numbers  = NoteTypes.getClozeNumbers(values[0]);
+        const siblings = !editing ? [] : editing.noteId ? deck.cards.filter(c => c.noteId === editing.noteId) : [editing];
+        let   noteId   = editing ? editing.noteId || editing.id : null;
+
+        // A card switched over from another note type keeps its schedule as the first gap
+        if (editing && !editing.cloze) editing.cloze = numbers[0];
+
+        const removed = siblings.filter(c => !numbers.includes(c.cloze));
+        removed.forEach(card => deck.cards.splice(deck.cards.indexOf(card), 1));
+
+        let added = 0;
+        numbers.forEach(number => {
+            const card = siblings.find(c => c.cloze === number);
+            if (card) {
+                NoteTypes.setFieldValues(card, type, values);
+                Config.setTags(card, tags);
+                card.noteId = noteId;
+            } else {
+                const created = createClozeCard(type, values, number, noteId, tags);
+                noteId = created.noteId;
+                deck.cards.push(created);
+                added++;
+            }
+        });
+
+        const label = editing ? 'Edit cloze note' : `Add cloze note (${added} card(s))`;
+        Undo.recordDeckChange(label, deck.name, before, Undo.snapshotDeck(deck));
+
+        if (!editing) {
+            UI.showMessage(`${added} cloze card(s) added.`, 'success', 2000);
+        } else if (added > 0 || removed.length > 0) {
+            UI.showMessage(`Cloze note updated (${added} card(s) added, ${removed.length} removed).`, 'success', 2000);
+        } else {
+            UI.showMessage('Card updated.', 'success', 2000);
+        }
+        return true;
+    }
+
+    /** A new card for one gap of a cloze note; noteId = null starts a new note. */
+    function createClozeCard(type, values, number, noteId, tags) {
+        const card = Config.createCard(values[0], values[1] || '');
+        NoteTypes.setFieldValues(card, type, values);
+        Config.setTags(card, tags);
+        card.cloze  = number;
+        card.noteId = noteId || card.id;
+        return card;
+    }
+
+    function deleteCard(cardId) {
         const deck = UI.getCurrentDeck();
-        if (!deck || idx < 0 || idx >= deck.cards.length) return;
+        const idx  = deck ? deck.cards.findIndex(c => c.id === cardId) : -1;
+        if (idx === -1) return;
 
-        const card = deck.cards[idx];
-        if (!confirm(`Delete "${card.word} — ${card.translation}"?`)) return;
+        const card  = deck.cards[idx];
+        const sides = getListSides(card);
+        if (!confirm(`Delete "${sides.question} — ${sides.answer}"?`)) return;
 
         deck.cards.splice(idx, 1);
         Config.saveDeck(deck);
+        Undo.recordCardChange(`Delete "${card.word}"`, deck.name, card, null, idx);
         renderCardList(deck.cards, document.getElementById('card-search').value.trim());
         UI.showMessage('Card deleted.', 'info', 2000);
     }
 
+    /**
+     * Suspend or unsuspend ('suspend'), bury or unbury ('bury') a card. The session picks
+     * the change up when the card editor closes.
+     */
+    function toggleParked(cardId, action) {
+        const deck = UI.getCurrentDeck();
+        const card = deck && deck.cards.find(c => c.id === cardId);
+        if (!card) return;
+
+        const before = JSON.parse(JSON.stringify(card));
+        let label;
+        if (action === 'suspend') {
+            if (card.suspended) delete card.suspended;
+            else card.suspended = true;
+            label = card.suspended ? 'Suspend' : 'Unsuspend';
+        } else {
+            if (Session.isBuried(card)) delete card.buried;
+            else card.buried = Session.getTodayStr();
+            label = card.buried ? 'Bury' : 'Unbury';
+        }
+        Config.saveDeck(deck);
+        Undo.recordCardChange(`${label} "${card.word}"`, deck.name, before, card, deck.cards.indexOf(card));
+        renderCardList(deck.cards, document.getElementById('card-search').value.trim());
+    }
+
+    /** Open the card editor on one card of the open deck (used by the leech warning). */
+    function editCard(cardId) {
+        openCardEditor();
+        openEditCard(cardId);
+    }
+
     // ========================
-    // Import Cards from Text
+    // Note Types
     // ========================
 
-    function openImportCards() {
-        document.getElementById('import-text-area').value = '';
-        document.getElementById('import-file-name').textContent = 'or paste text below';
-        openModal('import-cards-modal');
-        setTimeout(() => document.getElementById('import-text-area').focus(), 50);
+    function openNoteTypes() {
+        refreshNoteTypeList();
+        selectNoteType(NoteTypes.getAll()[0].id);
+        openModal('note-types-modal');
     }
 
-    function handleImportTxtFile(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    function refreshNoteTypeList() {
+        const listbox = document.getElementById('note-type-listbox');
+        listbox.innerHTML = '';
+        NoteTypes.getAll().forEach(type => {
+            const opt = document.createElement('option');
+            opt.value = type.id;
+            opt.textContent = type.name;
+            listbox.appendChild(opt);
+        });
+    }
+
+    /** Load a note type into the form (null = start a new one). */
+    function selectNoteType(id) {
+        const type = id ? NoteTypes.get(id) : null;
+        editingNoteTypeId = type ? type.id : null;
+
+        document.getElementById('note-type-listbox').value = editingNoteTypeId || '';
+        document.getElementById('note-type-name').value   = type ? type.name : '';
+        document.getElementById('note-type-fields').value = type ? type.fields.join('\n') : 'Front\nBack';
+        document.getElementById('note-type-front').value  = type ? type.front : '{{Front}}';
+        document.getElementById('note-type-back').value   = type ? type.back : '{{Back}}';
+        document.getElementById('btn-note-type-delete').disabled =
+            !type || NoteTypes.isRequired(type.id);
+    }
+
+    function saveNoteType() {
+        const result = NoteTypes.save({
+            id:     editingNoteTypeId,
+            name:   document.getElementById('note-type-name').value.trim(),
+            fields: document.getElementById('note-type-fields').value.split('\n').map(f => f.trim()).filter(Boolean),
+            front:  document.getElementById('note-type-front').value,
+            back:   document.getElementById('note-type-back').value
+        });
+        if (typeof result === 'string') {
+            UI.showMessage(result, 'error');
+            return;
+        }
+
+        // Carry renamed fields over on every card of this type
+        if (Object.keys(result.renames).length > 0) {
+            const current = UI.getCurrentDeck();
+            Config.getDeckNames().forEach(name => {
+                const deck = current && current.name === name ? current : Config.loadDeck(name);
+                if (deck && NoteTypes.renameFields(deck.cards, result.type.id, result.renames)) {
+                    Config.saveDeck(deck);
+                }
+            });
+        }
+
+        refreshNoteTypeList();
+        selectNoteType(result.type.id);
+        UI.updateState();
+        UI.showMessage(`Note type "${result.type.name}" saved.`, 'success', 2000);
+    }
+
+    function deleteNoteType() {
+        if (!editingNoteTypeId) return;
+        const type = NoteTypes.get(editingNoteTypeId);
+        if (!confirm(`Delete the note type "${type.name}"?`)) return;
+
+        const error = NoteTypes.remove(type.id);
+        if (error) {
+            UI.showMessage(error, 'error');
+            return;
+        }
+        if (lastNoteTypeId === type.id) lastNoteTypeId = NoteTypes.DEFAULT_NOTE_TYPE;
+        refreshNoteTypeList();
+        selectNoteType(NoteTypes.DEFAULT_NOTE_TYPE);
+        UI.showMessage(`Note type "${type.name}" deleted.`, 'info', 2000);
+    }
+
+    // ========================
+    // Import Cards from Text
+    // ========================
+
+    function openImportCards() {
+        fillNoteTypeSelect(document.getElementById('import-note-type-select'), lastNoteTypeId);
+        updateImportNoteTypeHint();
+        document.getElementById('import-text-area').value = '';
+        document.getElementById('import-file-name').textContent = 'or paste text below';
+        openModal('import-cards-modal');
+        setTimeout(() => document.getElementById('import-text-area').focus(), 50);
+    }
+
+    function handleImportTxtFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
         const reader = new FileReader();
         reader.onload = e => {
@@ -495,29 +1420,72 @@ const Dialogs = (() => {
         reader.readAsText(file);
     }
 
+    function updateImportNoteTypeHint() {
+        const type = NoteTypes.get(document.getElementById('import-note-type-select').value);
+        let hint = 'A third tab-separated column is read as space-separated tags (as in Anki exports).';
+        if (NoteTypes.isCloze(type)) {
+            hint = `One note per line with gaps marked as {{c1::answer}}; a tab-separated second column fills ${type.fields[1]}, a third holds tags.`;
+        } else if (type.fields.length > 2) {
+            hint = `Tab-separated columns fill the fields in order: ${type.fields.join(', ')}; a column after them holds tags.`;
+        }
+        document.getElementById('import-note-type-hint').textContent = hint;
+    }
+
     function importCards() {
         const text = document.getElementById('import-text-area').value.trim();
         if (!text) { UI.showMessage('Please enter cards to import.', 'warning'); return; }
 
         const deck = UI.getCurrentDeck();
         if (!deck) return;
-
-        const lines   = text.split('\n').filter(l => l.trim());
-        let   added   = 0;
-        let   skipped = 0;
+        const type = NoteTypes.get(document.getElementById('import-note-type-select').value);
+
+        const before     = Undo.snapshotDeck(deck);
+        const lines      = text.split('\n').filter(l => l.trim());
+        const duplicates = document.getElementById('import-duplicates-select').value;
+        let   added      = 0;
+        let   skipped    = 0;
+        let   replaced   = 0;
+        let   dupSkipped = 0;
+        let   similar    = 0;   // added, but sharing only a translation with a card already there
+        let   tagsColumn = type.fields.length; // Anki writes the tags after the fields
 
         lines.forEach(line => {
+            const header = parseTagsHeader(line);
+            if (header !== null) { tagsColumn = header; return; }
             if (line.startsWith('#')) return; // Anki export comment/header lines
+            if (NoteTypes.isCloze(type)) {
+                const { values, tags } = splitTagsColumn(line.split('\t').map(c => c.trim()), tagsColumn);
+                const numbers = NoteTypes.getClozeNumbers(values[0]);
+                if (numbers.length === 0) { skipped++; return; }
+                let noteId = null;
+                numbers.forEach(number => {
+                    const card = createClozeCard(type, values, number, noteId, tags);
+                    noteId = card.noteId;
+                    deck.cards.push(card);
+                    added++;
+                });
+                return;
+            }
             const parsed = parseTxtLine(line);
             if (parsed) {
-                deck.cards.push({
-                    word:          parsed.word,
-                    translation:   parsed.translation,
-                    sessionStatus: 'TO_REVIEW',
-                    dueDate:       null,
-                    interval:      1,
-                    easeFactor:    2.5
-                });
+                const { values, tags } = splitTagsColumn([parsed.word, parsed.translation, ...parsed.extra], tagsColumn);
+                const card    = Config.createCard(values[0], values[1]);
+                const matches = duplicates !== 'keep' ? Duplicates.findMatches(deck.cards, card) : [];
+                // Only the same word makes a line the card that is there: a shared translation
+                // may well be a synonym ("gato - cat", "minino - cat")
+                const match   = matches.find(m => m.sameWord);
+                if (!match && matches.length > 0) similar++;
+                if (match && duplicates === 'skip') { dupSkipped++; return; }
+                if (match) {
+                    // Replace the text of the card that is there, keeping its progress
+                    NoteTypes.setFieldValues(match.card, type, values);
+                    Config.setTags(match.card, tags);
+                    replaced++;
+                    return;
+                }
+                NoteTypes.setFieldValues(card, type, values);
+                Config.setTags(card, tags);
+                deck.cards.push(card);
                 added++;
             } else {
                 skipped++;
@@ -525,12 +1493,215 @@ const Dialogs = (() => {
         });
 
         Config.saveDeck(deck);
+        if (added + replaced > 0) {
+            const label = replaced > 0 ? `Import ${added} card(s), replace ${replaced}` : `Import ${added} card(s)`;
+            Undo.recordDeckChange(label, deck.name, before, Undo.snapshotDeck(deck));
+        }
         closeModal('import-cards-modal');
         renderCardList(deck.cards, document.getElementById('card-search').value.trim());
 
         let msg = `${added} card(s) imported.`;
-        if (skipped > 0) msg += ` ${skipped} line(s) skipped (use "Word - Translation" or tab-separated format).`;
-        UI.showMessage(msg, added > 0 ? 'success' : 'warning');
+        if (replaced > 0) msg += ` ${replaced} existing card(s) replaced.`;
+        if (dupSkipped > 0) msg += ` ${dupSkipped} duplicate(s) skipped.`;
+        if (similar > 0) msg += ` ${similar} of them share only a translation with a card already in the deck (see Find Duplicates).`;
+        if (skipped > 0) {
+            msg += NoteTypes.isCloze(type)
+                ? ` ${skipped} line(s) skipped (no {{c1::...}} gaps).`
+                : ` ${skipped} line(s) skipped (use "Word - Translation" or tab-separated format).`;
+        }
+        UI.showMessage(msg, added + replaced > 0 ? 'success' : 'warning');
+    }
+
+    // ========================
+    // Duplicates
+    // ========================
+
+    function openDuplicates() {
+        const deck = UI.getCurrentDeck();
+        if (!deck) return;
+        renderDuplicates();
+        openModal('duplicates-modal');
+    }
+
+    /**
+     * List the groups of duplicate cards in the open deck, marking the card each merge keeps.
+     */
+    function renderDuplicates() {
+        const deck      = UI.getCurrentDeck();
+        const container = document.getElementById('duplicates-list');
+        const groups    = deck ? Duplicates.findGroups(deck.cards) : [];
+        container.innerHTML = '';
+        document.getElementById('btn-duplicates-merge-all').disabled = groups.length === 0;
+        document.getElementById('duplicates-summary').textContent = groups.length === 0
+            ? 'No duplicates found.'
+            : `${groups.length} group(s) of cards with the same word or translation (ignoring case, accents and spaces).`;
+
+        groups.forEach(group => {
+            const box = document.createElement('div');
+            box.className = 'duplicate-group';
+
+            const heading = document.createElement('div');
+            heading.className = 'duplicate-group-heading';
+            heading.textContent = group.exact ? 'Exact duplicates' : 'Similar cards';
+            const mergeBtn = document.createElement('button');
+            mergeBtn.className = 'card-action-btn';
+            mergeBtn.textContent = 'Merge';
+            mergeBtn.addEventListener('click', () => mergeDuplicates([group]));
+            heading.appendChild(mergeBtn);
+            box.appendChild(heading);
+
+            const best = Duplicates.pickBest(group.cards);
+            group.cards.forEach(card => {
+                const row = document.createElement('div');
+                row.className = 'card-row' + (card === best ? ' duplicate-keep' : '');
+                const info = document.createElement('div');
+                info.className = 'card-row-info';
+                info.innerHTML =
+                    `<span class="card-word">${escHtml(card.word)}</span>` +
+                    `<span class="card-sep"> — </span>` +
+                    `<span class="card-translation">${escHtml(card.translation)}</span>` +
+                    (card.tags ? `<span class="card-tags">${card.tags.map(t => escHtml('#' + t)).join(' ')}</span>` : '');
+                const badge = document.createElement('span');
+                badge.className = 'card-status-badge';
+                badge.textContent = (card === best ? 'Kept · ' : '') + scheduleStatusText(card) +
+                    (card.sessionStatus === 'SPACED' ? ` · ${card.interval}d` : '');
+                row.appendChild(info);
+                row.appendChild(badge);
+                box.appendChild(row);
+            });
+            container.appendChild(box);
+        });
+    }
+
+    /**
+     * Merge each group into its card with the best progress (see Duplicates.mergeGroup).
+     */
+    function mergeDuplicates(groups) {
+        const deck = UI.getCurrentDeck();
+        if (!deck || groups.length === 0) return;
+
+        const before  = Undo.snapshotDeck(deck);
+        const removed = groups.reduce((sum, group) => sum + group.cards.length - 1, 0);
+        groups.forEach(group => Duplicates.mergeGroup(deck, group.cards));
+        Config.saveDeck(deck);
+        Undo.recordDeckChange(`Merge ${removed} duplicate(s)`, deck.name, before, Undo.snapshotDeck(deck));
+
+        renderDuplicates();
+        renderCardList(deck.cards, document.getElementById('card-search').value.trim());
+        UI.showMessage(`${removed} duplicate(s) merged.`, 'success', 3000);
+    }
+
+    function mergeAllDuplicates() {
+        const deck = UI.getCurrentDeck();
+        if (!deck) return;
+        const groups = Duplicates.findGroups(deck.cards);
+        if (groups.length === 0) return;
+        if (!confirm(`Merge ${groups.length} group(s) of duplicates? Each group keeps its card with the most progress.`)) return;
+        mergeDuplicates(groups);
+    }
+
+    // ========================
+    // Custom Study
+    // ========================
+
+    function openCustomStudy() {
+        const current = UI.getCurrentDeck();
+        if (!current) return;
+
+        const list = document.getElementById('custom-deck-list');
+        list.innerHTML = '';
+        const subdecks = Config.getSubdeckNames(current.name);
+        Config.getDeckNames().slice().sort(Config.compareDeckNames).forEach(name => {
+            const label = document.createElement('label');
+            const box   = document.createElement('input');
+            box.type    = 'checkbox';
+            box.value   = name;
+            box.checked = name === current.name || subdecks.includes(name);
+            label.appendChild(box);
+            label.appendChild(document.createTextNode(name));
+            list.appendChild(label);
+        });
+
+        updateCustomStudyFields();
+        openModal('custom-study-modal');
+    }
+
+    /** The selected decks; decks already open or in the session are used as the live objects they share. */
+    function getCustomStudyDecks() {
+        return Array.from(document.querySelectorAll('#custom-deck-list input:checked'))
+            .map(box => Undo.getLiveDeck(box.value))
+            .filter(Boolean);
+    }
+
+    function readCustomFilter() {
+        return {
+            tag:              document.getElementById('custom-tag-input').value.trim().replace(/^#/, ''),
+            kind:             document.getElementById('custom-kind-select').value,
+            days:             Math.max(0, parseInt(document.getElementById('custom-days-input').value, 10) || 0),
+            ease:             parseFloat(document.getElementById('custom-ease-input').value) || 2.0,
+            limit:            Math.max(1, parseInt(document.getElementById('custom-limit-input').value, 10) || 50),
+            ignoreDailyLimit: document.getElementById('custom-ignore-limit-input').checked
+        };
+    }
+
+    /**
+     * Show the inputs the chosen filter needs, offer the tags of the selected decks,
+     * and count the matching cards.
+     */
+    function updateCustomStudyFields() {
+        const filter = readCustomFilter();
+        const decks  = getCustomStudyDecks();
+
+        document.getElementById('custom-days-group').classList.toggle('hidden', filter.kind !== 'due' && filter.kind !== 'failed');
+        document.getElementById('custom-ease-group').classList.toggle('hidden', filter.kind !== 'ease');
+        document.getElementById('custom-days-label').textContent =
+            filter.kind === 'failed' ? 'Failed in the Last (days):' : 'Due Within (days, 0 = today):';
+
+        const tags = Config.normalizeTags(decks.flatMap(deck => deck.cards.flatMap(c => c.tags || []))).sort();
+        document.getElementById('custom-tag-options').innerHTML =
+            tags.map(tag => `<option value="${escHtml(tag)}"></option>`).join('');
+
+        const count = Session.getCustomItems(decks, filter).length;
+        document.getElementById('custom-match-count').textContent = decks.length === 0
+            ? 'Select at least one deck.'
+            : `${count} card(s) match` + (count > filter.limit ? ` — the first ${filter.limit} (random) will be studied.` : '.');
+    }
+
+    function describeCustomFilter(filter, decks) {
+        const kinds = {
+            all:    'All cards',
+            due:    filter.days === 0 ? 'Due today' : `Due within ${filter.days} day(s)`,
+            new:    'New cards',
+            ease:   `Ease below ${filter.ease}`,
+            failed: `Failed in the last ${filter.days} day(s)`
+        };
+        let name = (filter.tag ? `#${filter.tag} · ` : '') + kinds[filter.kind];
+        if (decks.length > 1) name += ` (${decks.length} decks)`;
+        return name;
+    }
+
+    function startCustomStudy() {
+        const decks  = getCustomStudyDecks();
+        const filter = readCustomFilter();
+        if (decks.length === 0) {
+            UI.showMessage('Please select at least one deck.', 'warning');
+            return;
+        }
+
+        filter.name = describeCustomFilter(filter, decks);
+        const count = Session.buildCustomQueue(decks, filter);
+        decks.forEach(deck => Config.saveDeck(deck)); // persist day-reset changes
+        if (count === 0) {
+            Session.endCustomSession();
+            UI.showMessage(filter.ignoreDailyLimit
+                ? 'No cards match this filter.'
+                : 'No cards match this filter within today\'s daily limits.', 'warning');
+            return;
+        }
+
+        closeModal('custom-study-modal');
+        UI.updateState();
+        UI.showMessage(`Custom study: ${count} card(s).`, 'info', 2000);
     }
 
     // ========================
@@ -546,6 +1717,37 @@ const Dialogs = (() => {
             r.checked = r.value === mode;
         });
         document.getElementById('daily-limit-input').value = limit;
+        document.getElementById('new-per-day-input').value =
+            deck ? Config.getNewLimit(deck) : Config.DEFAULT_NEW_PER_DAY;
+        document.getElementById('max-reviews-input').value =
+            deck ? Config.getReviewLimit(deck) : Config.DEFAULT_MAX_REVIEWS;
+        document.getElementById('review-order-select').value = Config.getReviewOrder(deck);
+        document.getElementById('day-start-input').value = Config.getDayStartHour();
+        document.getElementById('scheduler-select').value =
+            deck ? Scheduler.get(deck.scheduler).id : Scheduler.DEFAULT_SCHEDULER;
+        document.getElementById('target-retention-input').value =
+            (deck && deck.targetRetention) || Scheduler.DEFAULT_TARGET_RETENTION;
+        document.getElementById('learning-steps-input').value =
+            formatSteps(deck ? deck.learningSteps : Config.DEFAULT_LEARNING_STEPS);
+        document.getElementById('relearning-steps-input').value =
+            formatSteps(deck ? deck.relearningSteps : Config.DEFAULT_RELEARNING_STEPS);
+        document.getElementById('leech-threshold-input').value =
+            deck ? Config.getLeechThreshold(deck) : Config.DEFAULT_LEECH_THRESHOLD;
+        document.getElementById('leech-action-select').value =
+            (deck && deck.leechAction) || Config.DEFAULT_LEECH_ACTION;
+        updateSchedulerFields();
+        document.getElementById('card-direction-select').value =
+            (deck && deck.cardDirection) || Config.DEFAULT_CARD_DIRECTION;
+
+        const answerMode  = (deck && deck.answerMode) || Answers.DEFAULT_ANSWER_MODE;
+        const answerCheck = Answers.getOptions(deck);
+        document.querySelectorAll('input[name="answer-mode"]').forEach(r => {
+            r.checked = r.value === answerMode;
+        });
+        document.getElementById('ignore-case-input').checked        = answerCheck.ignoreCase;
+        document.getElementById('ignore-accents-input').checked     = answerCheck.ignoreAccents;
+        document.getElementById('ignore-punctuation-input').checked = answerCheck.ignorePunctuation;
+        updateAnswerModeFields();
 
         // Show extend only when a deck is active
         const extendGroup = document.getElementById('extend-session-group');
@@ -563,20 +1765,86 @@ const Dialogs = (() => {
         const mode       = modeInput ? modeInput.value : Config.DEFAULT_LEARNING_MODE;
         const limitInput = parseInt(document.getElementById('daily-limit-input').value, 10);
         const limit      = isNaN(limitInput) ? Config.DEFAULT_DAILY_LIMIT : Math.max(1, Math.min(500, limitInput));
+        const scheduler  = document.getElementById('scheduler-select').value;
+        const retention  = parseFloat(document.getElementById('target-retention-input').value);
+        const learning   = parseSteps(document.getElementById('learning-steps-input').value);
+        const relearning = parseSteps(document.getElementById('relearning-steps-input').value);
+        const answerInput = document.querySelector('input[name="answer-mode"]:checked');
+        const direction  = document.getElementById('card-direction-select').value;
+        const leechInput = document.getElementById('leech-threshold-input').value;
+        const dayStart   = parseInt(document.getElementById('day-start-input').value, 10);
+
+        if (learning === null || relearning === null) {
+            UI.showMessage('Learning steps must be durations like "1m 10m" or "1h".', 'error');
+            return;
+        }
 
         const deck = UI.getCurrentDeck();
         if (deck) {
-            deck.learningMode = mode;
-            deck.dailyLimit   = limit;
+            deck.learningMode    = mode;
+            deck.dailyLimit      = limit;
+            deck.newPerDay       = Config.getNewLimit({ newPerDay: document.getElementById('new-per-day-input').value });
+            deck.maxReviews      = Config.getReviewLimit({ maxReviews: document.getElementById('max-reviews-input').value });
+            deck.reviewOrder     = document.getElementById('review-order-select').value;
+            deck.targetRetention = isNaN(retention)
+                ? Scheduler.DEFAULT_TARGET_RETENTION
+                : Math.max(0.7, Math.min(0.99, retention));
+            deck.learningSteps   = learning;
+            deck.relearningSteps = relearning;
+            deck.leechThreshold  = Config.getLeechThreshold({ leechThreshold: leechInput });
+            deck.leechAction     = document.getElementById('leech-action-select').value;
+            deck.cardDirection   = direction;
+            deck.answerMode      = answerInput ? answerInput.value : Answers.DEFAULT_ANSWER_MODE;
+            deck.answerCheck     = {
+                ignoreCase:        document.getElementById('ignore-case-input').checked,
+                ignoreAccents:     document.getElementById('ignore-accents-input').checked,
+                ignorePunctuation: document.getElementById('ignore-punctuation-input').checked
+            };
+            Scheduler.migrateDeck(deck, scheduler);
             Config.saveDeck(deck);
             Session.buildQueue(deck);
             UI.updateState();
         }
 
+        // The day boundary is app-wide: every deck's due dates move, so the deck is reloaded
+        if (!isNaN(dayStart) && dayStart !== Config.getDayStartHour()) {
+            Config.setDayStartHour(dayStart);
+            if (deck) UI.openDeck(deck.name);
+        }
+
         closeModal('settings-modal');
         UI.showMessage('Settings saved.', 'success', 2000);
     }
 
+    /**
+     * Parse learning steps like "1m 10m 1h" (plain numbers are minutes) into minutes.
+     * Returns null if any step is invalid; an empty string means no steps.
+     */
+    function parseSteps(text) {
+        const units = { m: 1, h: 60, d: 1440 };
+        const steps = [];
+        for (const part of text.trim().split(/[\s,]+/).filter(Boolean)) {
+            const match = part.match(/^(\d+(?:\.\d+)?)([mhd]?)$/i);
+            if (!match || parseFloat(match[1]) <= 0) return null;
+            steps.push(parseFloat(match[1]) * units[(match[2] || 'm').toLowerCase()]);
+        }
+        return steps;
+    }
+
+    function formatSteps(steps) {
+        return (steps || []).map(m => m % 1440 === 0 ? `${m / 1440}d` : m % 60 === 0 ? `${m / 60}h` : `${m}m`).join(' ');
+    }
+
+    function updateSchedulerFields() {
+        const isFsrs = document.getElementById('scheduler-select').value === 'fsrs';
+        document.getElementById('target-retention-group').classList.toggle('hidden', !isFsrs);
+    }
+
+    function updateAnswerModeFields() {
+        const checked = document.querySelector('input[name="answer-mode"]:checked');
+        document.getElementById('answer-check-group').classList.toggle('hidden', !checked || checked.value !== 'type');
+    }
+
     function extendSessionFromSettings() {
         const deck = UI.getCurrentDeck();
         if (!deck) return;
@@ -597,51 +1865,619 @@ const Dialogs = (() => {
 
         if (!confirm(`Reset all ${deck.cards.length} cards in "${deck.name}" back to "To Review"? This clears all progress and spaced repetition data.`)) return;
 
+        const before = Undo.snapshotDeck(deck);
+
         deck.cards.forEach(card => {
             card.sessionStatus = 'TO_REVIEW';
-            card.dueDate       = null;
+            card.due           = null;
             card.interval      = 1;
             card.easeFactor    = 2.5;
+            card.learningState = null;
+            card.learningStep  = null;
+            delete card.lastReview;
+            delete card.lapses;
+            delete card.buried;
+            delete card.stability;
+            delete card.difficulty;
+            delete card.reverse;
         });
         deck.cardsReviewedToday = 0;
+        deck.newCardsToday      = 0;
+        deck.reviewsToday       = 0;
         deck.sessionExtension   = 0;
         deck.lastSessionDate    = null;
 
         Config.saveDeck(deck);
+        Undo.recordDeckChange(`Reset "${deck.name}"`, deck.name, before, Undo.snapshotDeck(deck));
         Session.buildQueue(deck);
         renderCardList(deck.cards, '');
         UI.updateState();
         UI.showMessage(`All cards in "${deck.name}" reset to "To Review".`, 'success');
     }
 
+    // ========================
+    // Statistics
+    // ========================
+
+    function openStatistics() {
+        const deck = UI.getCurrentDeck();
+        if (!deck) return;
+
+        const log       = Config.loadReviewLog(deck.name);
+        const container = document.getElementById('stats-content');
+        container.innerHTML = '';
+        document.getElementById('stats-deck-name').textContent = deck.name;
+
+        // Summary line
+        const summary = Stats.getSummary(log);
+        const summaryEl = document.createElement('p');
+        summaryEl.className = 'modal-subtitle';
+        summaryEl.textContent =
+            `${summary.today} review(s) today • ${summary.total} in total • ` +
+            `${(summary.avgTimeMs / 1000).toFixed(1)}s average answer time`;
+        container.appendChild(summaryEl);
+
+        // Reviews per day
+        const perDay = Stats.reviewsPerDay(log, 30);
+        container.appendChild(renderStatsHeading('Reviews per Day (last 30 days)'));
+        container.appendChild(renderBarChart(perDay.map(d => ({
+            label: d.date.slice(8),
+            value: d.count,
+            title: `${d.date}: ${d.count} review(s), ${d.failed} failed`
+        }))));
+
+        // Retention
+        container.appendChild(renderStatsHeading('Retention'));
+        container.appendChild(renderRetention(log));
+
+        // Due forecast (spaced mode only)
+        if (deck.learningMode === 'spaced') {
+            const forecast = Stats.dueForecast(deck, 30);
+            container.appendChild(renderStatsHeading('Due Forecast (next 30 days)'));
+            container.appendChild(renderBarChart(forecast.map((d, i) => ({
+                label: i === 0 ? 'T' : String(i),
+                value: d.count,
+                title: `${d.date}: ${d.count} card(s) due`
+            }))));
+
+            if (deck.scheduler === 'fsrs') {
+                container.appendChild(renderStatsHeading('Difficulty Distribution (FSRS)'));
+                container.appendChild(renderBarChart(Stats.difficultyDistribution(deck).map(b => ({
+                    label: b.label, value: b.count, title: `Difficulty ${b.label}: ${b.count} card(s)`
+                }))));
+            } else {
+                container.appendChild(renderStatsHeading('Ease Distribution'));
+                container.appendChild(renderBarChart(Stats.easeDistribution(deck).map(b => ({
+                    label: b.label, value: b.count, title: `Ease ${b.label}: ${b.count} card(s)`
+                }))));
+            }
+
+            container.appendChild(renderStatsHeading('Interval Distribution'));
+            container.appendChild(renderBarChart(Stats.intervalDistribution(deck).map(b => ({
+                label: b.label, value: b.count, title: `Interval ${b.label}: ${b.count} card(s)`
+            }))));
+        }
+
+        openModal('stats-modal');
+    }
+
+    function renderStatsHeading(text) {
+        const h = document.createElement('h3');
+        h.textContent = text;
+        return h;
+    }
+
+    /**
+     * Render a simple vertical bar chart. bars = [{ label, value, title }].
+     */
+    function renderBarChart(bars) {
+        const max   = Math.max(1, ...bars.map(b => b.value));
+        const chart = document.createElement('div');
+        chart.className = 'stats-chart';
+
+        bars.forEach(b => {
+            const col = document.createElement('div');
+            col.className = 'stats-bar-col';
+            col.title = b.title;
+
+            const value = document.createElement('span');
+            value.className = 'stats-bar-value';
+            value.textContent = b.value > 0 ? b.value : '';
+
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.style.height = `${Math.round((b.value / max) * 100)}%`;
+
+            const track = document.createElement('div');
+            track.className = 'stats-bar-track';
+            track.appendChild(bar);
+
+            const label = document.createElement('span');
+            label.className = 'stats-bar-label';
+            label.textContent = b.label;
+
+            col.appendChild(value);
+            col.appendChild(track);
+            col.appendChild(label);
+            chart.appendChild(col);
+        });
+
+        return chart;
+    }
+
+    function renderRetention(log) {
+        const wrapper = document.createElement('div');
+        const pct = (part, whole) => whole > 0 ? `${Math.round((part / whole) * 100)}%` : '—';
+
+        const retention = Stats.trueRetention(log);
+        const retentionEl = document.createElement('p');
+        retentionEl.className = 'stats-retention';
+        retentionEl.textContent =
+            `True retention: ${pct(retention.all.passed, retention.all.total)} overall • ` +
+            `${pct(retention.young.passed, retention.young.total)} young • ` +
+            `${pct(retention.mature.passed, retention.mature.total)} mature ` +
+            `(mature = interval of ${Stats.MATURE_INTERVAL}+ days)`;
+        wrapper.appendChild(retentionEl);
+
+        const breakdown = Stats.ratingBreakdown(log);
+        if (breakdown.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'placeholder-text';
+            empty.style.padding = '10px';
+            empty.textContent = 'No reviews yet.';
+            wrapper.appendChild(empty);
+            return wrapper;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+        table.innerHTML = '<tr><th>Rating</th><th>Learning</th><th>Review</th><th>Total</th><th>Share</th></tr>';
+        breakdown.forEach(r => {
+            const row = document.createElement('tr');
+            row.innerHTML =
+                `<td>${escHtml(r.rating.charAt(0).toUpperCase() + r.rating.slice(1))}</td>` +
+                `<td>${r.learningCount}</td><td>${r.reviewCount}</td><td>${r.total}</td>` +
+                `<td>${pct(r.total, log.length)}</td>`;
+            table.appendChild(row);
+        });
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    // ========================
+    // Undo History
+    // ========================
+
+    function openHistory() {
+        renderHistory();
+        openModal('history-modal');
+    }
+
+    function renderHistory() {
+        const container = document.getElementById('history-list');
+        const entries   = Undo.getEntries();
+        container.innerHTML = '';
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="placeholder-text" style="padding: 20px;">Nothing to undo yet.</p>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'history-row' + (entry.undone ? ' undone' : '');
+            row.title = entry.undone
+                ? `Redo up to here (${entry.steps} step${entry.steps > 1 ? 's' : ''})`
+                : `Undo back to before this (${entry.steps} step${entry.steps > 1 ? 's' : ''})`;
+            row.innerHTML = `
+                <span class="history-label">${escHtml(entry.label)}</span>
+                <span class="history-time">${new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+            `;
+            row.addEventListener('click', () => {
+                for (let i = 0; i < entry.steps; i++) {
+                    if (entry.undone) Undo.redo();
+                    else Undo.undo();
+                }
+            });
+            container.appendChild(row);
+        });
+    }
+
+    // ========================
+    // Storage
+    // ========================
+
+    function openStorage() {
+        renderStorage();
+        openModal('storage-modal');
+    }
+
+    /**
+     * Show how full storage is and what each deck takes up.
+     */
+    async function renderStorage() {
+        const status  = await StorageHealth.getStatus();
+        const format  = StorageHealth.formatSize;
+        const backend = status.backend === 'indexeddb' ? 'IndexedDB' : 'localStorage';
+        const fill    = document.getElementById('storage-bar-fill');
+
+        document.getElementById('storage-summary').textContent = status.quota
+            ? `${format(status.usage)} of ${format(status.quota)} used (${Math.round(status.ratio * 100)}%) • ${backend}`
+            : `${format(status.usage)} used • ${backend}`;
+        fill.style.width = `${Math.min(100, Math.round((status.ratio || 0) * 100))}%`;
+        fill.classList.toggle('full', status.ratio !== null && status.ratio >= StorageHealth.WARN_RATIO);
+
+        const container = document.getElementById('storage-deck-usage');
+        container.innerHTML = '';
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+        table.innerHTML = '<tr><th>Deck</th><th>Cards</th><th>Reviews</th><th>Size</th></tr>';
+        StorageHealth.getDeckUsage().forEach(row => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${escHtml(row.name)}${row.listed ? '' : ' <em>(left behind)</em>'}</td>
+                <td>${row.cards}</td>
+                <td>${row.reviews}</td>
+                <td>${format(row.size)}</td>
+            `;
+            table.appendChild(tr);
+        });
+        container.appendChild(table);
+    }
+
+    function pruneHistory() {
+        const days = Math.max(1, parseInt(document.getElementById('storage-prune-days').value, 10) || 365);
+        if (!confirm(`Remove review history older than ${days} days from every deck? ` +
+            'Statistics will no longer include it. This cannot be undone.')) return;
+
+        const removed = StorageHealth.pruneHistory(days);
+        renderStorage();
+        UI.showMessage(removed > 0 ? `Removed ${removed} old review(s).` : 'No review history that old.', 'info', 3000);
+    }
+
+    function compactData() {
+        const result = StorageHealth.compact();
+        renderStorage();
+        UI.showMessage(result.entries + result.decks > 0
+            ? `Removed ${result.entries} review(s) of deleted cards and ${result.decks} leftover deck(s).`
+            : 'Nothing to compact.', 'info', 3000);
+    }
+
+    // ========================
+    // Backup and restore
+    // ========================
+
+    function exportBackup() {
+        Backup.exportBackup();
+        UI.showMessage(`Backed up ${Config.getDeckNames().length} deck(s) with their history and settings.`, 'success', 3000);
+    }
+
+    function handleBackupFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = e => {
+            let data;
+            try {
+                data = JSON.parse(e.target.result);
+            } catch (err) {
+                UI.showMessage('Failed to parse backup file: ' + err.message, 'error');
+                return;
+            }
+            const backup = Backup.parseBackup(data);
+            if (typeof backup === 'string') {
+                UI.showMessage(backup, 'error');
+                return;
+            }
+
+            pendingBackup = backup;
+            const cards   = backup.decks.reduce((sum, d) => sum + d.cards.length, 0);
+            const created = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : 'an unknown date';
+            document.getElementById('restore-summary').textContent =
+                `Backup from ${created}: ${backup.decks.length} deck(s), ${cards} card(s).`;
+            document.querySelector('input[name="restore-mode"][value="merge"]').checked = true;
+            renderRestorePreview();
+            openModal('restore-modal');
+        };
+        reader.readAsText(file);
+    }
+
+    function getRestoreMode() {
+        const checked = document.querySelector('input[name="restore-mode"]:checked');
+        return checked ? checked.value : 'merge';
+    }
+
+    /**
+     * Show what the restore would change, deck by deck, for the chosen mode.
+     */
+    function renderRestorePreview() {
+        if (!pendingBackup) return;
+        const plan      = Backup.planRestore(pendingBackup, getRestoreMode());
+        const container = document.getElementById('restore-preview');
+        const describe  = row => {
+            switch (row.action) {
+                case 'add':     return `New deck: ${row.cards} card(s), ${row.reviews} review(s)`;
+                case 'replace': return `Replaced by the backup: ${row.cards} card(s), ${row.reviews} review(s)`;
+                case 'delete':  return `Deleted: ${row.cards} card(s), ${row.reviews} review(s)`;
+                default:
+                    return row.added + row.updated + row.reviews === 0
+                        ? 'No changes'
+                        : `${row.added} new card(s), ${row.updated} updated, ${row.reviews} new review(s)`;
+            }
+        };
+
+        container.innerHTML = '';
+        const table = document.createElement('table');
+        table.className = 'stats-table restore-table';
+        table.innerHTML = '<tr><th>Deck</th><th>Change</th></tr>';
+        plan.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = 'restore-' + row.action;
+            tr.innerHTML = `<td>${escHtml(row.name)}</td><td>${escHtml(describe(row))}</td>`;
+            table.appendChild(tr);
+        });
+        container.appendChild(table);
+
+        const note = document.createElement('p');
+        note.className = 'modal-subtitle';
+        note.textContent = plan.mode === 'replace'
+            ? 'Theme, open deck and note types are taken from the backup.'
+            : `Deck settings and app settings here are kept${plan.kept > 0 ? `; ${plan.kept} deck(s) not in the backup stay as they are` : ''}.`;
+        container.appendChild(note);
+    }
+
+    function confirmRestore() {
+        if (!pendingBackup) return;
+        const mode = getRestoreMode();
+        if (mode === 'replace' && !confirm('Delete all decks here and replace them with the backup? This cannot be undone.')) return;
+
+        const count = Backup.applyRestore(pendingBackup, mode);
+        pendingBackup = null;
+        closeModal('restore-modal');
+
+        UI.applyTheme(Config.getConfig().theme);
+        reloadDecks();
+        UI.showMessage(`Restored ${count} deck(s) from the backup.`, 'success');
+    }
+
+    /**
+     * Reopen the decks after they were replaced in storage by a restore: the open deck is
+     * read again, or closed if it's gone, and undo entries (which refer to the decks as they
+     * were) are dropped.
+     */
+    function reloadDecks() {
+        Undo.clear();
+        const cfg = Config.getConfig();
+        if (cfg.currentDeckName && Config.loadDeck(cfg.currentDeckName)) {
+            UI.openDeck(cfg.currentDeckName);
+        } else {
+            UI.setCurrentDeck(null);
+            UI.updateState();
+        }
+        refreshDeckList();
+    }
+
+    // ========================
+    // Sync
+    // ========================
+
+    function openSync() {
+        const state = Sync.getState();
+        document.getElementById('sync-endpoint-input').value = state.endpoint;
+        document.getElementById('sync-token-input').value    = state.token;
+        document.getElementById('sync-auto-input').checked   = !!state.auto;
+        renderSync();
+        openModal('sync-modal');
+    }
+
+    /**
+     * Show the sync status and the open conflicts, each with its choices.
+     */
+    function renderSync() {
+        const state = Sync.getState();
+        document.getElementById('btn-sync-now').disabled        = Sync.isRunning();
+        document.getElementById('btn-sync-disconnect').disabled = !Sync.isConfigured() || Sync.isRunning();
+        document.getElementById('sync-status').textContent =
+            Sync.isRunning()  ? 'Syncing…' :
+            !state.endpoint   ? 'Not set up yet.' :
+            state.lastSync    ? `Last synced ${new Date(state.lastSync).toLocaleString()}.` :
+                                'Not synced yet.';
+
+        const container = document.getElementById('sync-conflicts');
+        container.innerHTML = '';
+        if (state.conflicts.length === 0) return;
+
+        const heading = document.createElement('h3');
+        heading.textContent = `Conflicts (${state.conflicts.length})`;
+        container.appendChild(heading);
+
+        state.conflicts.forEach(conflict => {
+            const box = document.createElement('div');
+            box.className = 'sync-conflict';
+            const info = document.createElement('div');
+            info.className = 'sync-conflict-info';
+            info.innerHTML =
+                `<span class="card-word">${escHtml(conflict.label)}</span>` +
+                `<span class="card-tags">${escHtml(conflict.deck)}</span>` +
+                `<div class="sync-conflict-text">${escHtml(describeConflict(conflict))}</div>`;
+            box.appendChild(info);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'card-row-actions';
+            getConflictChoices(conflict).forEach(choice => {
+                const btn = document.createElement('button');
+                btn.className = 'card-action-btn' + (choice.action === 'delete' ? ' danger' : '');
+                btn.textContent = choice.label;
+                btn.addEventListener('click', () => resolveSyncConflict(conflict, choice.action));
+                buttons.appendChild(btn);
+            });
+            box.appendChild(buttons);
+            container.appendChild(box);
+        });
+    }
+
+    function describeConflict(conflict) {
+        switch (conflict.kind) {
+            case 'edit': {
+                const theirs = conflict.theirs || {};
+                return `Edited on this device and another one. The other device has: ` +
+                    `${theirs.word || ''}${theirs.translation ? ' — ' + theirs.translation : ''}`;
+            }
+            case 'settings':
+                return 'The deck settings were changed on this device and another one. This device\'s settings were kept.';
+            case 'card-deleted':
+                return conflict.where === 'here'
+                    ? 'You deleted this card here, but it was changed on another device, so it was brought back.'
+                    : 'This card was deleted on another device, but you changed it here, so it was kept.';
+            default:
+                return conflict.where === 'here'
+                    ? 'You deleted this deck here, but it was changed on another device, so it was brought back.'
+                    : 'This deck was deleted on another device, but you changed it here, so it was kept.';
+        }
+    }
+
+    function getConflictChoices(conflict) {
+        switch (conflict.kind) {
+            case 'edit':
+            case 'settings':
+                return [
+                    { label: 'Keep This Device\'s', action: 'dismiss' },
+                    { label: 'Use Other Device\'s', action: 'use-theirs' }
+                ];
+            case 'card-deleted':
+                return [
+                    { label: 'Keep Card', action: 'dismiss' },
+                    { label: 'Delete Card', action: 'delete' }
+                ];
+            default:
+                return [
+                    { label: 'Keep Deck', action: 'dismiss' },
+                    { label: 'Delete Deck', action: 'delete' }
+                ];
+        }
+    }
+
+    function resolveSyncConflict(conflict, action) {
+        if (action === 'delete' && conflict.kind === 'deck-deleted' &&
+            !confirm(`Delete the deck "${conflict.deck}" and all its cards?`)) return;
+
+        const error = Sync.resolveConflict(conflict.id, action);
+        if (error) UI.showMessage(error, 'error');
+        else if (action !== 'dismiss') refreshDeckList(); // a studied deck was brought up to date (see UI's onDeckSynced)
+        renderSync();
+    }
+
+    function syncNow() {
+        const error = Sync.configure({
+            endpoint: document.getElementById('sync-endpoint-input').value,
+            token:    document.getElementById('sync-token-input').value,
+            auto:     document.getElementById('sync-auto-input').checked
+        });
+        if (error) {
+            UI.showMessage(error, 'error');
+            return;
+        }
+        runSync();
+    }
+
+    /**
+     * Sync with the server and say what happened. Decks that changed here are reopened as
+     * they are saved (see UI's onDeckSynced); here only the deck list is brought up to date.
+     */
+    async function runSync() {
+        const pending = Sync.run();
+        renderSync();
+        const result = await pending;
+        renderSync();
+        if (typeof result === 'string') {
+            UI.showMessage(result, 'error');
+            return;
+        }
+
+        if (result.pulled + result.deleted > 0) refreshDeckList();
+        const changes = [];
+        if (result.pulled > 0)  changes.push(`${result.pulled} deck(s) updated here`);
+        if (result.pushed > 0)  changes.push(`${result.pushed} sent`);
+        if (result.deleted > 0) changes.push(`${result.deleted} deleted`);
+        const text = 'Synced' + (changes.length > 0 ? ': ' + changes.join(', ') : ', nothing changed') + '.';
+        if (result.conflicts > 0) {
+            UI.showMessage(`${text} ${result.conflicts} conflict(s) need your choice.`, 'warning', 0,
+                [{ label: 'Review Conflicts', onClick: openSync }]);
+        } else {
+            UI.showMessage(text, 'success', 3000);
+        }
+    }
+
+    function disconnectSync() {
+        if (!confirm('Stop syncing with this server? The decks on this device are kept.')) return;
+        Sync.disconnect();
+        openSync();
+    }
+
+    /**
+     * Re-render any open dialog that shows deck or card data (after an undo/redo).
+     */
+    function refreshOpenDialogs() {
+        const isOpen = id => !document.getElementById(id).classList.contains('hidden');
+        const deck   = UI.getCurrentDeck();
+
+        if (isOpen('card-editor-modal')) {
+            if (deck) renderCardList(deck.cards, document.getElementById('card-search').value.trim());
+            else closeModal('card-editor-modal');
+        }
+        if (isOpen('deck-manager-modal')) refreshDeckList();
+        if (isOpen('history-modal')) renderHistory();
+    }
+
     // ========================
     // Utility
     // ========================
 
     /**
      * Parse a single line from a text import.
-     * Accepts tab-separated (Anki plain-text export: Front\tBack[\tTags...])
+     * Accepts tab-separated (Anki plain-text export: Front\tBack[\tMore fields or tags...])
      * and dash-separated (Word - Translation) formats.
-     * Returns { word, translation } or null if the line cannot be parsed.
+     * Returns { word, translation, extra } or null if the line cannot be parsed;
+     * extra holds any further tab-separated columns.
      */
     function parseTxtLine(line) {
-        // Tab-separated: first two fields are front and back; any further fields (e.g. tags) are ignored
+        // Tab-separated: first two fields are front and back; further fields are for multi-field note types
         const tabIdx = line.indexOf('\t');
         if (tabIdx > 0) {
-            const word        = line.substring(0, tabIdx).trim();
-            const translation = line.substring(tabIdx + 1).split('\t')[0].trim();
-            if (word && translation) return { word, translation };
+            const columns     = line.split('\t').map(c => c.trim());
+            const word        = columns[0];
+            const translation = columns[1];
+            if (word && translation) return { word, translation, extra: columns.slice(2) };
         }
         // Dash-separated
         const dashIdx = line.indexOf(' - ');
         if (dashIdx > 0) {
             const word        = line.substring(0, dashIdx).trim();
             const translation = line.substring(dashIdx + 3).trim();
-            if (word && translation) return { word, translation };
+            if (word && translation) return { word, translation, extra: [] };
         }
         return null;
     }
 
+    /**
+     * The tags column (0-based) named by an Anki "#tags column:N" header line, or null.
+     */
+    function parseTagsHeader(line) {
+        const match = line.match(/^#tags column:\s*(\d+)/i);
+        return match ? parseInt(match[1], 10) - 1 : null;
+    }
+
+    /**
+     * Split the columns of an imported line into field values and tags.
+     */
+    function splitTagsColumn(columns, tagsColumn) {
+        return {
+            values: columns.filter((c, i) => i !== tagsColumn),
+            tags:   Config.normalizeTags(columns[tagsColumn] || '')
+        };
+    }
+
     function escHtml(str) {
         const div = document.createElement('div');
         div.appendChild(document.createTextNode(str || ''));
@@ -660,8 +2496,27 @@ const Dialogs = (() => {
 
         // Card editor
         openCardEditor,
+        editCard,
+
+        // Custom study
+        openCustomStudy,
 
         // Settings
-        openSettings
+        openSettings,
+
+        // Storage
+        openStorage,
+
+        // Backup
+        exportBackup,
+
+        // Sync
+        openSync,
+        runSync,
+
+        // Statistics
+        openStatistics,
+        openHistory,
+        refreshOpenDialogs
     };
 })();
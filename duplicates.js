@@ -0,0 +1,145 @@
+/**
+ * duplicates.js — Duplicate cards
+ * Finds cards with the same word or the same translation as another card, comparing text
+ * ignoring case, accents and extra spaces, and merges a group of duplicates into one card
+ * that keeps the best study progress of the group.
+ *
+ * A match is 'exact' when word and translation are identical as typed, and 'similar' when
+ * they only match once folded, or only one side matches. Cloze cards are left out: the cards
+ * of one cloze note share their text on purpose.
+ */
+
+const Duplicates = (() => {
+    const FOLD = { ignoreCase: true, ignoreAccents: true, ignorePunctuation: false };
+
+    /** "  Café " and "cafe" fold to the same key. */
+    function fold(text) {
+        return Answers.normalize(text, FOLD);
+    }
+
+    function isExact(a, b) {
+        return a.word === b.word && a.translation === b.translation;
+    }
+
+    // ========================
+    // Finding duplicates
+    // ========================
+
+    /**
+     * Cards in `cards` that duplicate `card` (a card being added or edited; a card with the
+     * same ID is not compared with itself). Returns [{ card, exact, sameWord }]: exact matches
+     * first, then cards with the same word, then those with only the same translation.
+     */
+    function findMatches(cards, card) {
+        if (card.cloze) return [];
+        const word        = fold(card.word);
+        const translation = fold(card.translation);
+        return cards
+            .filter(other => other !== card && other.id !== card.id && !other.cloze)
+            .filter(other => (word && fold(other.word) === word) || (translation && fold(other.translation) === translation))
+            .map(other => ({ card: other, exact: isExact(other, card), sameWord: !!word && fold(other.word) === word }))
+            .sort((a, b) => (b.exact - a.exact) || (b.sameWord - a.sameWord));
+    }
+
+    /**
+     * Group the duplicates in a deck: cards sharing a word or a translation end up in one group,
+     * also through a chain (A and B share the word, B and C the translation).
+     * Returns [{ cards, exact }] for groups of two or more, exact = all cards identical.
+     */
+    function findGroups(cards) {
+        const list   = cards.filter(c => !c.cloze);
+        const parent = list.map((_, i) => i);
+        const root   = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+        const firsts = new Map();
+
+        list.forEach((card, i) => {
+            [['w', card.word], ['t', card.translation]].forEach(([side, text]) => {
+                const key = fold(text);
+                if (!key) return;
+                const k = side + '\t' + key;
+                if (firsts.has(k)) parent[root(i)] = root(firsts.get(k));
+                else firsts.set(k, i);
+            });
+        });
+
+        const groups = new Map();
+        list.forEach((card, i) => {
+            const r = root(i);
+            if (!groups.has(r)) groups.set(r, []);
+            groups.get(r).push(card);
+        });
+
+        return Array.from(groups.values())
+            .filter(group => group.length > 1)
+            .map(group => ({ cards: group, exact: group.every(c => isExact(c, group[0])) }));
+    }
+
+    // ========================
+    // Merging
+    // ========================
+
+    /**
+     * How far along a schedule is, for picking the better of two: finished (simple mode) and
+     * reviewed cards beat new ones, graduated beats (re)learning, then the longer interval,
+     * then the more recent review. Returns a list to compare item by item.
+     */
+    function progressOf(schedule) {
+        if (!schedule) return [-1];
+        const status = { TO_REVIEW: 0, SPACED: 1, FINISHED: 2 }[schedule.sessionStatus] || 0;
+        return [status, schedule.learningState ? 0 : 1, schedule.interval || 0, schedule.lastReview || 0];
+    }
+
+    function compareProgress(a, b) {
+        const x = progressOf(a);
+        const y = progressOf(b);
+        for (let i = 0; i < Math.max(x.length, y.length); i++) {
+            const diff = (x[i] || 0) - (y[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /** The card of a group with the best (forward) study progress. */
+    function pickBest(cards) {
+        return cards.reduce((best, card) => (compareProgress(card, best) > 0 ? card : best));
+    }
+
+    /**
+     * Merge a group of duplicates in `deck` into one card: the card with the best progress is
+     * kept, with the best reverse-direction progress of the group, all the group's tags and any
+     * extra fields it was missing. The other cards are removed from the deck.
+     * Returns the kept card.
+     */
+    function mergeGroup(deck, cards) {
+        const keep   = pickBest(cards);
+        const others = cards.filter(c => c !== keep);
+
+        const withReverse = cards.filter(c => c.reverse);
+        if (withReverse.length > 0) {
+            const best = withReverse.reduce((a, b) => (compareProgress(b.reverse, a.reverse) > 0 ? b : a));
+            keep.reverse = JSON.parse(JSON.stringify(best.reverse));
+        }
+
+        Config.setTags(keep, cards.flatMap(c => c.tags || []));
+        others.forEach(card => {
+            Object.keys(card.fields || {}).forEach(name => {
+                if (keep.noteType !== card.noteType) return;
+                if (!keep.fields) keep.fields = {};
+                if (!keep.fields[name]) keep.fields[name] = card.fields[name];
+            });
+            const idx = deck.cards.indexOf(card);
+            if (idx !== -1) deck.cards.splice(idx, 1);
+        });
+
+        return keep;
+    }
+
+    return {
+        fold,
+        findMatches,
+        findGroups,
+        compareProgress,
+        pickBest,
+        mergeGroup
+    };
+})();
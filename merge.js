@@ -0,0 +1,159 @@
+/**
+ * merge.js — Merge an imported deck into an existing one
+ * Matches the cards of a re-imported deck against the deck already here, so an updated
+ * word list can be brought in without losing study progress: new cards are added, changed
+ * text is updated, and scheduling stays local unless the file's is newer and asked for.
+ *
+ * Cards are matched by ID first, then by word and translation together, then by the word
+ * or the translation alone when that points at a single card (so a fixed typo on one side
+ * still finds its card). Text is compared ignoring case and extra spaces.
+ */
+
+const Merge = (() => {
+    function norm(text) {
+        return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    function clone(obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+    // ========================
+    // Matching
+    // ========================
+
+    /**
+     * Pair each incoming card with a local card (or null). Every local card is used at most once.
+     * Returns { pairs: [{ incoming, local }], unmatched: [local cards without a partner] }.
+     */
+    function matchCards(localCards, incomingCards) {
+        const used  = new Set();
+        const pairs = incomingCards.map(incoming => ({ incoming, local: null }));
+        const take  = (pair, local) => { pair.local = local; used.add(local); };
+
+        const byId = new Map(localCards.map(c => [c.id, c]));
+        pairs.forEach(pair => {
+            const local = pair.incoming.id && byId.get(pair.incoming.id);
+            if (local && !used.has(local)) take(pair, local);
+        });
+
+        const passes = [
+            c => norm(c.word) + '\t' + norm(c.translation),
+            c => norm(c.word),
+            c => norm(c.translation)
+        ];
+        passes.forEach((key, pass) => {
+            pairs.filter(p => !p.local).forEach(pair => {
+                const k = key(pair.incoming);
+                if (!k.trim()) return;
+                const candidates = localCards.filter(c => !used.has(c) && key(c) === k);
+                // One side alone only counts when it is unambiguous
+                if (candidates.length === 1 || (pass === 0 && candidates.length > 0)) take(pair, candidates[0]);
+            });
+        });
+
+        return { pairs, unmatched: localCards.filter(c => !used.has(c)) };
+    }
+
+    function differs(a, b) {
+        const empty = v => v === undefined || v === null || (Array.isArray(v) && v.length === 0);
+        if (empty(a) && empty(b)) return false;
+        return JSON.stringify(a) !== JSON.stringify(b);
+    }
+
+    // ========================
+    // Plan and apply
+    // ========================
+
+    /**
+     * Compare an incoming deck with the local one, without changing anything.
+     * Returns {
+     *   added:     [incoming cards with no local match],
+     *   updated:   [{ local, incoming, changes: [changed text keys], newerProgress }],
+     *   unchanged: number of matched cards with the same text and no newer progress,
+     *   missing:   [local cards that are not in the file]
+     * }
+     * newerProgress: the file's copy was reviewed more recently than the local one.
+     * `keys` limits which text is compared and copied, for files that only carry some of it
+     * (a .txt list has no note types or extra fields); defaults to all of it.
+     */
+    function planMerge(local, incoming, keys) {
+        const { pairs, unmatched } = matchCards(local.cards, incoming.cards);
+        const textKeys = keys || Config.CARD_TEXT_KEYS;
+        const plan = { added: [], updated: [], unchanged: 0, missing: unmatched, keys: textKeys };
+
+        pairs.forEach(({ incoming: card, local: match }) => {
+            if (!match) {
+                plan.added.push(card);
+                return;
+            }
+            const changes       = textKeys.filter(key => differs(match[key], card[key]));
+            const newerProgress = (card.lastReview || 0) > (match.lastReview || 0);
+            if (changes.length > 0 || newerProgress) {
+                plan.updated.push({ local: match, incoming: card, changes, newerProgress });
+            } else {
+                plan.unchanged++;
+            }
+        });
+        return plan;
+    }
+
+    function copyKeys(target, source, keys) {
+        keys.forEach(key => {
+            if (source[key] === undefined) delete target[key];
+            else target[key] = clone(source[key]);
+        });
+    }
+
+    /** Keys of the study progress on either card (see Config.splitCard). */
+    function progressKeys(a, b) {
+        return Object.keys({ ...Config.splitCard(a).progress, ...Config.splitCard(b).progress });
+    }
+
+    /**
+     * Apply a plan to `deck` (cards are looked up by ID, so it may be the live copy of the deck).
+     * options: { takeNewerProgress, deleteMissing }.
+     * Returns { added, updated, deleted } counts.
+     */
+    function applyMerge(deck, plan, options) {
+        const opts   = options || {};
+        const result = { added: 0, updated: 0, deleted: 0 };
+        const find   = id => deck.cards.find(c => c.id === id);
+
+        plan.updated.forEach(({ local, incoming, changes, newerProgress }) => {
+            const card = find(local.id);
+            if (!card) return;
+            const progress = opts.takeNewerProgress && newerProgress;
+            if (changes.length === 0 && !progress) return;
+            copyKeys(card, incoming, plan.keys);
+            if (progress) copyKeys(card, incoming, progressKeys(card, incoming));
+            result.updated++;
+        });
+
+        const ids = new Set(deck.cards.map(c => c.id));
+        plan.added.forEach(incoming => {
+            const card = clone(incoming);
+            if (!card.id || ids.has(card.id)) card.id = Config.generateCardId();
+            ids.add(card.id);
+            deck.cards.push(card);
+            result.added++;
+        });
+
+        if (opts.deleteMissing) {
+            const missing = new Set(plan.missing.map(c => c.id));
+            for (let i = deck.cards.length - 1; i >= 0; i--) {
+                if (!missing.has(deck.cards[i].id)) continue;
+                deck.cards.splice(i, 1);
+                result.deleted++;
+            }
+        }
+
+        return result;
+    }
+
+    return {
+        matchCards,
+        planMerge,
+        applyMerge
+    };
+})();
@@ -0,0 +1,394 @@
+/**
+ * notetypes.js — Note types and card templates
+ * A note type names the fields of a card and has front/back templates that choose which
+ * fields appear on each side. Note types are shared by all decks and stored in the app config.
+ *
+ * Field values: the first two fields of every note type are stored in card.word and
+ * card.translation, so everything that only needs a question and an answer (typed answers,
+ * multiple choice, search, .txt files) keeps working. Further fields are stored in
+ * card.fields, keyed by field name. Cards without card.noteType use the Basic type.
+ *
+ * Templates: {{Field}} inserts a field, {{#Field}}...{{/Field}} is only shown when the field
+ * isn't empty, and {{FrontSide}} (back template) inserts the rendered front.
+ *
+ * Cloze note types: the text field marks gaps as {{c1::answer}} or {{c1::answer::hint}}.
+ * Every cloze number becomes its own card (card.cloze = number); the cards of one note share
+ * card.noteId. {{cloze:Field}} in a template shows that card's gap blanked on the front
+ * and filled in on the back.
+ */
+
+const NoteTypes = (() => {
+    const DEFAULT_NOTE_TYPE = 'basic';
+    const CLOZE_NOTE_TYPE   = 'cloze';
+
+    const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+    // Built-in types marked `required` always exist and can't be deleted
+    const BUILT_IN_TYPES = [
+        {
+            id: 'basic',
+            name: 'Basic',
+            fields: ['Word', 'Translation'],
+            front: '{{Word}}',
+            back: '{{Translation}}',
+            required: true
+        },
+        {
+            id: 'cloze',
+            name: 'Cloze',
+            fields: ['Text', 'Extra'],
+            front: '{{cloze:Text}}',
+            back: '{{cloze:Text}}{{#Extra}}\n\n{{Extra}}{{/Extra}}',
+            cloze: true,
+            required: true
+        },
+        {
+            id: 'vocabulary',
+            name: 'Vocabulary',
+            fields: ['Word', 'Translation', 'Example sentence', 'Pronunciation', 'Notes'],
+            front: '{{Word}}{{#Pronunciation}}\n[{{Pronunciation}}]{{/Pronunciation}}',
+            back: '{{Translation}}{{#Example sentence}}\n\n{{Example sentence}}{{/Example sentence}}{{#Notes}}\n\n{{Notes}}{{/Notes}}'
+        }
+    ];
+
+    // ========================
+    // Storage
+    // ========================
+
+    /**
+     * All note types. The built-in ones are created on first use; the required ones
+     * are added back whenever they are missing (e.g. Cloze in configs from older versions).
+     */
+    function getAll() {
+        const cfg = Config.getConfig();
+        if (!Array.isArray(cfg.noteTypes)) cfg.noteTypes = [];
+
+        const firstUse = !cfg.noteTypes.some(t => t.id === DEFAULT_NOTE_TYPE);
+        let added = false;
+        BUILT_IN_TYPES.forEach(builtIn => {
+            if ((firstUse || builtIn.required) && !cfg.noteTypes.some(t => t.id === builtIn.id)) {
+                cfg.noteTypes.push(JSON.parse(JSON.stringify(builtIn)));
+                added = true;
+            }
+        });
+        if (added) Config.save();
+        return cfg.noteTypes;
+    }
+
+    function isRequired(id) {
+        return BUILT_IN_TYPES.some(t => t.id === id && t.required);
+    }
+
+    function isCloze(type) {
+        return !!(type && type.cloze);
+    }
+
+    function get(id) {
+        const types = getAll();
+        return types.find(t => t.id === id) || types.find(t => t.id === DEFAULT_NOTE_TYPE);
+    }
+
+    function getForCard(card) {
+        return get(card.noteType || DEFAULT_NOTE_TYPE);
+    }
+
+    function generateId() {
+        return 'nt-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Check a note type from the editor. Returns an error message, or null if it's valid.
+     */
+    function validate(type) {
+        if (!type.name || !type.name.trim()) return 'Please enter a name for the note type.';
+        if (type.fields.length < 2) return 'A note type needs at least two fields.';
+        if (type.fields.some(f => !f || /[{}#\/]/.test(f))) return 'Field names can\'t be empty or contain { } # /.';
+        if (new Set(type.fields).size !== type.fields.length) return 'Field names must be unique.';
+        if (type.fields.includes('FrontSide')) return '"FrontSide" is reserved for templates.';
+        if (!type.front.trim() || !type.back.trim()) return 'Both templates need some content.';
+        return null;
+    }
+
+    /**
+     * Add a new note type or update an existing one (matched by id).
+     * Returns { type, renames } where renames maps old to new names of extra fields
+     * renamed in place (see renameFields), or an error string.
+     */
+    function save(type) {
+        const error = validate(type);
+        if (error) return error;
+
+        const types    = getAll();
+        const existing = type.id ? types.find(t => t.id === type.id) : null;
+        const renames  = {};
+
+        if (existing) {
+            // A field whose name changed at the same position is a rename (first two are stored by position anyway)
+            existing.fields.forEach((oldName, i) => {
+                const newName = type.fields[i];
+                if (i >= 2 && newName && newName !== oldName && !type.fields.includes(oldName)) {
+                    renames[oldName] = newName;
+                }
+            });
+            Object.assign(existing, type);
+        } else {
+            type.id = generateId();
+            types.push(type);
+        }
+        Config.save();
+        return { type: existing || type, renames };
+    }
+
+    /**
+     * Delete a note type. Required built-in types can't be deleted. Returns an error string or null.
+     */
+    function remove(id) {
+        if (isRequired(id)) return `The ${get(id).name} note type can't be deleted.`;
+        const usedIn = Config.getDeckNames().filter(name => {
+            const deck = Config.loadDeck(name);
+            return deck && deck.cards.some(c => c.noteType === id);
+        });
+        if (usedIn.length > 0) return `This note type is still used by cards in: ${usedIn.join(', ')}.`;
+
+        const cfg = Config.getConfig();
+        cfg.noteTypes = getAll().filter(t => t.id !== id);
+        Config.save();
+        return null;
+    }
+
+    /**
+     * Apply field renames from save() to cards of that note type. Returns true if any card changed.
+     */
+    function renameFields(cards, typeId, renames) {
+        let changed = false;
+        cards.forEach(card => {
+            if ((card.noteType || DEFAULT_NOTE_TYPE) !== typeId || !card.fields) return;
+            Object.keys(renames).forEach(oldName => {
+                if (!(oldName in card.fields)) return;
+                card.fields[renames[oldName]] = card.fields[oldName];
+                delete card.fields[oldName];
+                changed = true;
+            });
+        });
+        return changed;
+    }
+
+    // ========================
+    // Field values
+    // ========================
+
+    /**
+     * The card's field values in the order of its note type's fields.
+     */
+    function getFieldValues(card, type) {
+        type = type || getForCard(card);
+        return type.fields.map((name, i) => {
+            if (i === 0) return card.word || '';
+            if (i === 1) return card.translation || '';
+            return (card.fields && card.fields[name]) || '';
+        });
+    }
+
+    /**
+     * Store field values (in the note type's field order) on a card and switch it to that type.
+     */
+    function setFieldValues(card, type, values) {
+        card.word        = values[0] || '';
+        card.translation = values[1] || '';
+
+        const extra = {};
+        type.fields.slice(2).forEach((name, i) => {
+            if (values[i + 2]) extra[name] = values[i + 2];
+        });
+        if (Object.keys(extra).length > 0) card.fields = extra;
+        else delete card.fields;
+
+        if (type.id === DEFAULT_NOTE_TYPE) delete card.noteType;
+        else card.noteType = type.id;
+    }
+
+    // ========================
+    // Rendering
+    // ========================
+
+    function escHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function toHtml(text) {
+        return escHtml(text).replace(/\n/g, '<br>');
+    }
+
+    // ========================
+    // Cloze deletions
+    // ========================
+
+    /**
+     * The cloze numbers used in a text, ascending.
+     */
+    function getClozeNumbers(text) {
+        const numbers = new Set();
+        for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+            numbers.add(parseInt(match[1], 10));
+        }
+        return Array.from(numbers).sort((a, b) => a - b);
+    }
+
+    /**
+     * Cloze text as HTML for one cloze number: its gaps are blanked ([...] or [hint]), or
+     * highlighted when revealed. Gaps with other numbers just show their answer.
+     */
+    function renderCloze(text, number, reveal) {
+        text = String(text || '');
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(CLOZE_PATTERN)) {
+            const [whole, n, answer, hint] = match;
+            html += toHtml(text.slice(last, match.index));
+            if (parseInt(n, 10) !== number) {
+                html += toHtml(answer);
+            } else if (reveal) {
+                html += `<span class="cloze">${toHtml(answer)}</span>`;
+            } else {
+                html += `<span class="cloze">[${toHtml(hint || '...')}]</span>`;
+            }
+            last = match.index + whole.length;
+        }
+        return html + toHtml(text.slice(last));
+    }
+
+    /**
+     * Plain-text question and answer of a cloze card, for typed answers and multiple choice:
+     * the text with the card's gap blanked, and what goes in the gap.
+     */
+    function getClozeSides(card) {
+        const answers  = [];
+        const question = String(card.word || '').replace(CLOZE_PATTERN, (whole, n, answer, hint) => {
+            if (parseInt(n, 10) !== card.cloze) return answer;
+            answers.push(answer);
+            return `[${hint || '...'}]`;
+        });
+        return { question, answer: answers.join(', ') };
+    }
+
+    // ========================
+    // Templates
+    // ========================
+
+    /**
+     * Render a template to HTML. values maps field names to text; everything is escaped.
+     * cloze ({ number, reveal }) is used for {{cloze:Field}} placeholders.
+     */
+    function renderTemplate(template, values, frontSide, cloze) {
+        const text = template
+            .replace(/\{\{#([^{}]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) =>
+                (values[name.trim()] || '').trim() ? inner : '')
+            .trim();
+
+        return text.split(/(\{\{[^{}]+\}\})/).map(part => {
+            const placeholder = part.match(/^\{\{([^{}]+)\}\}$/);
+            if (!placeholder) return toHtml(part);
+            const name = placeholder[1].trim();
+            if (name === 'FrontSide') return frontSide || '';
+            if (name.startsWith('cloze:')) {
+                const value = values[name.slice(6).trim()] || '';
+                return cloze ? renderCloze(value, cloze.number, cloze.reveal) : toHtml(value);
+            }
+            return toHtml(values[name] || '');
+        }).join('');
+    }
+
+    /**
+     * The question and answer HTML of a card. In reverse the back template is asked
+     * and the front template is the answer. Cloze cards are never reversed.
+     */
+    function renderCard(card, reverse) {
+        const type   = getForCard(card);
+        const values = {};
+        getFieldValues(card, type).forEach((value, i) => { values[type.fields[i]] = value; });
+
+        if (isCloze(type)) {
+            const number = card.cloze || 1;
+            const front  = renderTemplate(type.front, values, '', { number, reveal: false });
+            return { question: front, answer: renderTemplate(type.back, values, front, { number, reveal: true }) };
+        }
+
+        const front = renderTemplate(type.front, values, '');
+        if (reverse) {
+            return { question: renderTemplate(type.back, values, ''), answer: front };
+        }
+        return { question: front, answer: renderTemplate(type.back, values, front) };
+    }
+
+    // ========================
+    // Import / export
+    // ========================
+
+    /**
+     * The note types used by a deck's cards (for including in a deck export).
+     */
+    function getUsedTypes(deck) {
+        const ids = new Set(deck.cards.map(c => c.noteType || DEFAULT_NOTE_TYPE));
+        return getAll().filter(t => ids.has(t.id)).map(t => JSON.parse(JSON.stringify(t)));
+    }
+
+    /**
+     * Register the note types that came with an imported deck and point its cards at them.
+     * A type is reused when one with the same id and fields exists; otherwise it's added
+     * (with a new id if the id is taken by a different type).
+     */
+    function importTypes(imported, cards) {
+        const remap = {};
+        imported.forEach(raw => {
+            if (!raw || !raw.id || !Array.isArray(raw.fields)) return;
+            const type = {
+                id:     String(raw.id),
+                name:   String(raw.name || raw.id),
+                fields: raw.fields.map(String),
+                front:  String(raw.front || ''),
+                back:   String(raw.back || '')
+            };
+            if (raw.cloze) type.cloze = true;
+            if (validate(type)) return;
+
+            const existing = getAll().find(t => t.id === type.id);
+            if (existing && existing.fields.join('\n') === type.fields.join('\n')) return;
+            if (existing) {
+                type.id = generateId();
+                type.name += ' (imported)';
+                remap[raw.id] = type.id;
+            }
+            getAll().push(type);
+        });
+        Config.save();
+
+        cards.forEach(card => {
+            if (card.noteType && remap[card.noteType]) card.noteType = remap[card.noteType];
+            if (card.noteType && !getAll().some(t => t.id === card.noteType)) delete card.noteType;
+        });
+    }
+
+    return {
+        DEFAULT_NOTE_TYPE,
+        CLOZE_NOTE_TYPE,
+        getAll,
+        get,
+        getForCard,
+        isRequired,
+        isCloze,
+        save,
+        remove,
+        renameFields,
+        getFieldValues,
+        setFieldValues,
+        getClozeNumbers,
+        getClozeSides,
+        renderCard,
+        getUsedTypes,
+        importTypes
+    };
+})();
@@ -0,0 +1,67 @@
+/**
+ * offline.js — Offline support
+ * Registers the service worker (sw.js) that lets the app load without a connection and be
+ * installed to the home screen, and notices when a new version has been downloaded.
+ *
+ * The UI subscribes with setListener and is told ('update') when a new version is waiting;
+ * applyUpdate() switches to it and reloads the page. Nothing happens where service workers
+ * aren't available, such as when index.html is opened as a file.
+ */
+
+const Offline = (() => {
+    let listener     = null;
+    let waiting      = null;   // installed service worker of a new version, not yet in charge
+    let registration = null;
+    let reloading    = false;  // the user asked for the new version
+
+    async function init() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+        } catch (e) {
+            console.warn('Offline: service worker registration failed:', e);
+            return;
+        }
+
+        // A new version may have been installed during an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) found(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) found(worker);
+            });
+        });
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) location.reload();
+        });
+
+        // An installed app can stay open for days: look for updates when it comes back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') registration.update().catch(() => {});
+        });
+    }
+
+    function setListener(fn) {
+        listener = fn;
+    }
+
+    function found(worker) {
+        waiting = worker;
+        if (listener) listener('update');
+    }
+
+    /** Switch to the waiting version; the page reloads once it has taken over. */
+    function applyUpdate() {
+        if (!waiting) return;
+        reloading = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    return {
+        init,
+        setListener,
+        applyUpdate
+    };
+})();
@@ -0,0 +1,210 @@
+/**
+ * scheduler.js — Spaced repetition schedulers
+ * Pluggable scheduling algorithms for spaced mode: SM-2 (default) and FSRS.
+ *
+ * Every scheduler implements the same interface:
+ *   rate(card, rating, context) — update the card's memory fields for a rating
+ *                                 ('again' | 'hard' | 'good' | 'easy') and return
+ *                                 the next interval in days.
+ *                                 context = { elapsedDays, targetRetention }
+ *   fromOther(card)             — derive this scheduler's memory fields from the
+ *                                 card's current interval/ease so progress is kept
+ *                                 when a deck switches schedulers.
+ */
+
+const Scheduler = (() => {
+    const DEFAULT_SCHEDULER = 'sm2';
+    const DEFAULT_TARGET_RETENTION = 0.9;
+    const MAX_INTERVAL = 36500;
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // ========================
+    // SM-2 (simplified)
+    // ========================
+
+    const sm2 = {
+        id: 'sm2',
+        name: 'SM-2',
+
+        rate(card, rating) {
+            let interval = card.interval || 1;
+            let ease = card.easeFactor || 2.5;
+
+            if (rating === 'again') {
+                interval = 1;
+                ease = Math.max(1.3, ease - 0.2);
+            } else if (rating === 'hard') {
+                interval = Math.max(1, Math.round(interval * 1.2));
+                ease = Math.max(1.3, ease - 0.15);
+            } else if (rating === 'good') {
+                interval = Math.max(1, Math.round(interval * ease));
+            } else if (rating === 'easy') {
+                interval = Math.max(1, Math.round(interval * ease * 1.3));
+                ease = ease + 0.15;
+            }
+
+            card.interval = Math.min(MAX_INTERVAL, interval);
+            card.easeFactor = Math.round(ease * 1000) / 1000;
+            return card.interval;
+        },
+
+        fromOther(card) {
+            if (card.difficulty == null) return;
+            card.easeFactor = Math.round(difficultyToEase(card.difficulty) * 1000) / 1000;
+        }
+    };
+
+    // ========================
+    // FSRS (v4.5 default parameters)
+    // ========================
+
+    const FSRS_WEIGHTS = [
+        0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+        0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+    ];
+    const DECAY  = -0.5;
+    const FACTOR = 19 / 81; // chosen so that retrievability is 90% after `stability` days
+
+    const GRADES = { again: 1, hard: 2, good: 3, easy: 4 };
+
+    /** Probability of recall after `elapsedDays` for a memory with the given stability. */
+    function retrievability(elapsedDays, stability) {
+        return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+    }
+
+    function initialStability(grade) {
+        return Math.max(0.1, FSRS_WEIGHTS[grade - 1]);
+    }
+
+    function initialDifficulty(grade) {
+        return clamp(FSRS_WEIGHTS[4] - (grade - 3) * FSRS_WEIGHTS[5], 1, 10);
+    }
+
+    function nextDifficulty(difficulty, grade) {
+        const next = difficulty - FSRS_WEIGHTS[6] * (grade - 3);
+        // Mean reversion towards the initial difficulty of a "good" answer
+        return clamp(FSRS_WEIGHTS[7] * initialDifficulty(3) + (1 - FSRS_WEIGHTS[7]) * next, 1, 10);
+    }
+
+    function nextRecallStability(d, s, r, grade) {
+        const hardPenalty = grade === GRADES.hard ? FSRS_WEIGHTS[15] : 1;
+        const easyBonus   = grade === GRADES.easy ? FSRS_WEIGHTS[16] : 1;
+        return s * (1 + Math.exp(FSRS_WEIGHTS[8]) * (11 - d) * Math.pow(s, -FSRS_WEIGHTS[9]) *
+            (Math.exp((1 - r) * FSRS_WEIGHTS[10]) - 1) * hardPenalty * easyBonus);
+    }
+
+    function nextForgetStability(d, s, r) {
+        return FSRS_WEIGHTS[11] * Math.pow(d, -FSRS_WEIGHTS[12]) *
+            (Math.pow(s + 1, FSRS_WEIGHTS[13]) - 1) * Math.exp((1 - r) * FSRS_WEIGHTS[14]);
+    }
+
+    function intervalForStability(stability, targetRetention) {
+        const interval = stability / FACTOR * (Math.pow(targetRetention, 1 / DECAY) - 1);
+        return clamp(Math.round(interval), 1, MAX_INTERVAL);
+    }
+
+    // SM-2 ease (1.3 .. ~3.7) <-> FSRS difficulty (1 .. 10); ease 2.5 maps to difficulty 5
+    function easeToDifficulty(ease) {
+        return clamp(5 + (2.5 - ease) * (5 / 1.2), 1, 10);
+    }
+
+    function difficultyToEase(difficulty) {
+        return Math.max(1.3, 2.5 - (difficulty - 5) * (1.2 / 5));
+    }
+
+    /**
+     * Has the schedule been through a review, i.e. graduated from its learning steps at some
+     * point? A card still in its first learning steps already has a due time, but no history.
+     */
+    function hasReviewHistory(card) {
+        return !!card.lastReview || (card.due != null && card.learningState !== 'learning');
+    }
+
+    function fsrsFromOther(card) {
+        // Only cards that have been reviewed carry progress worth migrating
+        if (!hasReviewHistory(card)) return;
+        card.stability  = Math.max(0.1, card.interval || 1);
+        card.difficulty = Math.round(easeToDifficulty(card.easeFactor || 2.5) * 1000) / 1000;
+    }
+
+    const fsrs = {
+        id: 'fsrs',
+        name: 'FSRS',
+
+        rate(card, rating, context) {
+            const grade = GRADES[rating];
+            const targetRetention = context.targetRetention || DEFAULT_TARGET_RETENTION;
+
+            // Reviewed cards that never went through a migration (e.g. imported ones)
+            if (card.stability == null) fsrsFromOther(card);
+
+            if (card.stability == null || card.difficulty == null) {
+                // First review
+                card.stability  = initialStability(grade);
+                card.difficulty = initialDifficulty(grade);
+            } else {
+                const r = retrievability(Math.max(0, context.elapsedDays || 0), card.stability);
+                card.stability = grade === GRADES.again
+                    ? Math.min(card.stability, nextForgetStability(card.difficulty, card.stability, r))
+                    : nextRecallStability(card.difficulty, card.stability, r, grade);
+                card.difficulty = nextDifficulty(card.difficulty, grade);
+            }
+
+            card.stability  = Math.round(Math.max(0.1, card.stability) * 1000) / 1000;
+            card.difficulty = Math.round(card.difficulty * 1000) / 1000;
+            card.interval   = intervalForStability(card.stability, targetRetention);
+            return card.interval;
+        },
+
+        fromOther: fsrsFromOther
+    };
+
+    // ========================
+    // Registry
+    // ========================
+
+    const schedulers = { sm2, fsrs };
+
+    function get(id) {
+        return schedulers[id] || schedulers[DEFAULT_SCHEDULER];
+    }
+
+    function list() {
+        return Object.values(schedulers).map(s => ({ id: s.id, name: s.name }));
+    }
+
+    /**
+     * A schedule's ease on the SM-2 scale whatever scheduler the deck uses
+     * (FSRS difficulty is converted), so cards of different decks can be compared.
+     */
+    function getEase(deck, card) {
+        if (get(deck.scheduler).id === 'fsrs' && card.difficulty != null) return difficultyToEase(card.difficulty);
+        return card.easeFactor || 2.5;
+    }
+
+    /**
+     * Switch a deck to another scheduler, migrating each card's progress
+     * (including the separately scheduled reverse direction).
+     */
+    function migrateDeck(deck, toId) {
+        const target = get(toId);
+        if ((deck.scheduler || DEFAULT_SCHEDULER) === target.id) return;
+        deck.cards.forEach(card => {
+            target.fromOther(card);
+            if (card.reverse) target.fromOther(card.reverse);
+        });
+        deck.scheduler = target.id;
+    }
+
+    return {
+        DEFAULT_SCHEDULER,
+        DEFAULT_TARGET_RETENTION,
+        get,
+        list,
+        getEase,
+        migrateDeck
+    };
+})();
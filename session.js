@@ -1,25 +1,103 @@
 /**
- * session.js — Session logic and SM-2 spaced repetition algorithm
- * Handles queue building, card rating, rewind, and deck statistics.
+ * session.js — Session logic
+ * Handles queue building, learning steps, card rating (scheduling is delegated to Scheduler),
+ * session snapshots for undo, and deck statistics.
+ *
+ * The session works on study items: a card in one direction. Depending on the deck's
+ * card direction, a card is studied forward (word → translation, scheduled on the card itself),
+ * in reverse (scheduled in `card.reverse`), or both ways with a separate schedule each.
+ *
+ * Spaced decks limit new cards and reviews per day separately, each with its own counter
+ * (`newCardsToday`, `reviewsToday`), and order the session by the deck's review order;
+ * simple decks have one daily limit (`cardsReviewedToday`).
+ *
+ * A session can span several decks: opening a parent deck studies it together with its
+ * subdecks (one interleaved queue, each deck within its own daily limits), "Study All Due" does
+ * the same over every deck, and custom study builds a temporary session from a filter over
+ * any decks. Queue entries carry the deck name.
+ * Custom study sets the main session aside; it comes back afterwards.
+ *
+ * Suspended cards (`card.suspended`) and cards buried today (`card.buried` = today's date)
+ * are left out of every queue and due count. A card that lapses (forgotten after it
+ * graduated) often enough becomes a leech: it is tagged, and suspended if the deck says so.
  */
 
 const Session = (() => {
-    let queue = [];          // Cards selected for this session
+    const MINUTE_MS = 60 * 1000;
+    const DAY_MS    = 24 * 60 * MINUTE_MS;
+
+    let sessionDeck = null;  // Deck the queue was built from (null when studying all due)
+    let allDue = false;      // Study-all-due session over every deck
+    let sessionDecks = {};   // Live objects of every deck in the session by name (sessionDeck and its subdecks)
+    let queue = [];          // { deck, id, reverse } of the study items selected for this session
     let currentIndex = 0;    // Position in queue
-    let rewindBackup = null; // Saved state for undo
+    let learningQueue = [];  // { deck, id, reverse, due } of (re)learning items waiting for their step timer, soonest first
+    let sessionId = 0;       // Changes whenever the queue is rebuilt, so stale snapshots can be detected
+    let lastSessionId = 0;
+    let custom = null;       // Custom study: { name, countsToLimit, main (the set-aside session) }
 
     // ========================
     // Date helpers
     // ========================
 
+    // Days are study days in local time: one runs from the rollover hour (Config.getDayStartHour(),
+    // 4 AM by default, like Anki) to the same hour the next morning, so a late evening session
+    // still counts as that day. Dates are 'YYYY-MM-DD' strings of the day's calendar date.
+
+    function formatDate(d) {
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+
+    /** The study day a timestamp falls on (`hour`: rollover hour, default the configured one). */
+    function toDateStr(ts, hour) {
+        const d = new Date(ts);
+        if (d.getHours() < (hour != null ? hour : Config.getDayStartHour())) d.setDate(d.getDate() - 1);
+        return formatDate(d);
+    }
+
     function getTodayStr() {
-        return new Date().toISOString().split('T')[0];
+        return toDateStr(Date.now());
     }
 
+    /** Calendar arithmetic on a date string, unaffected by time zones and DST. */
     function addDays(dateStr, days) {
-        const d = new Date(dateStr + 'T12:00:00');
-        d.setDate(d.getDate() + days);
-        return d.toISOString().split('T')[0];
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+    }
+
+    /** Timestamp of the start of the given study day: its rollover hour, local time. */
+    function startOfDay(dateStr, hour) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return new Date(y, m - 1, d, hour != null ? hour : Config.getDayStartHour()).getTime();
+    }
+
+    /** Timestamp of the start of tomorrow: anything due before it is due today. */
+    function endOfToday() {
+        return startOfDay(addDays(getTodayStr(), 1));
+    }
+
+    function daysSince(ts, today) {
+        const dayNumber = dateStr => Date.parse(dateStr + 'T00:00:00Z') / DAY_MS;
+        return Math.round(dayNumber(today) - dayNumber(toDateStr(ts)));
+    }
+
+    /**
+     * Move a deck's day-level due dates (reviews; learning steps keep their exact time) onto
+     * the current day boundary. `deck.dueDayStart` is the rollover hour they were computed
+     * with; decks from before local study days have none, their due dates being midnight UTC.
+     * Returns true if the deck changed.
+     */
+    function alignDueDates(deck) {
+        const hour = Config.getDayStartHour();
+        if (deck.dueDayStart === hour) return false;
+
+        const from  = deck.dueDayStart;
+        const dayOf = ts => (from == null ? new Date(ts).toISOString().split('T')[0] : toDateStr(ts, from));
+        deck.cards.forEach(card => [card, card.reverse].forEach(s => {
+            if (s && s.due != null && !s.learningState) s.due = startOfDay(dayOf(s.due), hour);
+        }));
+        deck.dueDayStart = hour;
+        return true;
     }
 
     // ========================
@@ -34,45 +112,255 @@ const Session = (() => {
         if (deck.lastSessionDate !== today) {
             deck.lastSessionDate = today;
             deck.cardsReviewedToday = 0;
+            deck.newCardsToday = 0;
+            deck.reviewsToday = 0;
             deck.sessionExtension = 0;
+            deck.cards.forEach(card => { if (card.buried && card.buried !== today) delete card.buried; });
         }
     }
 
+    // ========================
+    // Study items
+    // ========================
+
+    /**
+     * Does the deck schedule the reverse direction separately (in `card.reverse`)?
+     * 'random' shows either side but keeps the single forward schedule, as before directions existed.
+     */
+    function usesReverseSchedule(deck) {
+        const direction = deck.cardDirection || Config.DEFAULT_CARD_DIRECTION;
+        return direction === 'reverse' || direction === 'both';
+    }
+
+    /**
+     * The schedule of a card in one direction. The reverse schedule is only stored
+     * once it's rated (create = true); until then it reads as a new card.
+     */
+    function getSchedule(deck, card, reverse, create) {
+        if (!reverse || !usesReverseSchedule(deck) || card.cloze) return card;
+        if (card.reverse) return card.reverse;
+        const fresh = Config.createSchedule();
+        if (create) card.reverse = fresh;
+        return fresh;
+    }
+
+    /**
+     * The directions a card is studied in: [{ card, reverse, schedule }].
+     * Cloze cards only have a front, whatever the deck's direction.
+     */
+    function getCardItems(deck, card) {
+        if (card.cloze) return [{ card, reverse: false, schedule: card }];
+        const direction = deck.cardDirection || Config.DEFAULT_CARD_DIRECTION;
+        const items = [];
+        if (direction !== 'reverse') {
+            items.push({ card, reverse: false, schedule: card });
+        }
+        if (direction === 'reverse' || direction === 'both') {
+            items.push({ card, reverse: true, schedule: getSchedule(deck, card, true, false) });
+        }
+        return items;
+    }
+
+    /**
+     * Every direction of every card the deck studies.
+     */
+    function getStudyItems(deck) {
+        return deck.cards.flatMap(card => getCardItems(deck, card));
+    }
+
+    function isBuried(card) {
+        return card.buried === getTodayStr();
+    }
+
+    /** Suspended or buried for today: not studied, not counted as due. */
+    function isParked(card) {
+        return !!card.suspended || isBuried(card);
+    }
+
+    /** The study items of a deck that can be studied now (not suspended or buried). */
+    function getActiveItems(deck) {
+        return getStudyItems(deck).filter(it => !isParked(it.card));
+    }
+
     // ========================
     // Queue building
     // ========================
 
     /**
-     * Build the session queue from the deck cards.
-     * Respects daily limit and learning mode.
+     * Is a spaced-mode schedule due today? New cards always are; (re)learning cards
+     * only count once their step timer has run out.
+     */
+    function isDue(schedule, now) {
+        if (schedule.due == null) return true;
+        if (schedule.learningState) return schedule.due <= now;
+        return schedule.due < endOfToday();
+    }
+
+    /**
+     * Build the session queue from the cards of a deck and its subdecks, interleaved.
+     * Respects each deck's daily limits, learning mode and review order. Cards already in
+     * (re)learning don't count towards the limits: they are either shown first or wait for
+     * their step timer.
      */
     function buildQueue(deck) {
-        checkDayReset(deck);
+        sessionDeck = deck;
+        allDue      = false;
+        buildDecksQueue([deck, ...loadSubdecks(deck)]);
+    }
 
-        const today = getTodayStr();
-        const effectiveLimit = (deck.dailyLimit || 5) + (deck.sessionExtension || 0);
-        const alreadyDone = deck.cardsReviewedToday || 0;
-        const remaining = Math.max(0, effectiveLimit - alreadyDone);
+    /**
+     * Build one session over every deck: their due cards interleaved, each deck within its own
+     * daily limits, learning mode and review order. `liveDeck` (the open deck, if any) is used
+     * instead of a copy.
+     */
+    function buildAllDueQueue(liveDeck) {
+        sessionDeck = null;
+        allDue      = true;
+        buildDecksQueue(Config.getDeckNames()
+            .map(name => (liveDeck && liveDeck.name === name ? liveDeck : Config.loadDeck(name)))
+            .filter(Boolean));
+    }
 
-        let candidates = [];
+    function isAllDue() {
+        return allDue && !custom;
+    }
 
-        if (deck.learningMode === 'spaced') {
-            // Cards with no due date (new) or due date <= today
-            candidates = deck.cards.filter(c => !c.dueDate || c.dueDate <= today);
-        } else {
-            // Simple mode: any card that isn't finished (includes SPACED cards from previous mode)
-            candidates = deck.cards.filter(c => c.sessionStatus !== 'FINISHED');
+    function buildDecksQueue(decks) {
+        const now    = Date.now();
+        const slices = [];   // every deck's queue entries, in the deck's own review order
+
+        sessionDecks = {};
+        custom = null;
+        learningQueue = [];
+
+        decks.forEach(d => {
+            sessionDecks[d.name] = d;
+            checkDayReset(d);
+            const items = getActiveItems(d);
+            const order = Config.getReviewOrder(d);
+            const entry = it => ({ deck: d.name, id: it.card.id, reverse: it.reverse });
+            const take  = (list, max) => {
+                if (order === 'overdue-first') list.sort((a, b) => (a.schedule.due || 0) - (b.schedule.due || 0));
+                else shuffle(list);
+                return list.slice(0, max).map(it => ({ entry: entry(it), due: it.schedule.due || 0 }));
+            };
+
+            if (d.learningMode === 'spaced') {
+                // Cards with no due date (new) or due today; (re)learning cards are handled separately
+                const due = items.filter(it => !it.schedule.learningState && isDue(it.schedule, now));
+                slices.push(orderQueue(take(due.filter(it => it.schedule.due != null), getRemainingToday(d, 'review')),
+                    take(due.filter(it => it.schedule.due == null), getRemainingToday(d, 'new')), order));
+                items.filter(it => it.schedule.learningState && it.schedule.due < endOfToday())
+                    .forEach(it => learningQueue.push({ ...entry(it), due: it.schedule.due }));
+            } else {
+                // Simple mode: any card that isn't finished (includes SPACED cards from previous mode)
+                const candidates = items.filter(it => it.schedule.sessionStatus !== 'FINISHED');
+                slices.push(orderQueue(take(candidates, getRemainingToday(d)), [], order));
+            }
+        });
+
+        queue = interleave(slices);
+        learningQueue.sort((a, b) => a.due - b.due);
+        currentIndex = 0;
+        sessionId = ++lastSessionId;
+        pullDueLearningCards();
+    }
+
+    /**
+     * Fresh copies of a deck's subdecks from storage.
+     */
+    function loadSubdecks(deck) {
+        return Config.getSubdeckNames(deck.name).map(name => Config.loadDeck(name)).filter(Boolean);
+    }
+
+    /**
+     * How many more cards the daily limit (plus any extension) allows today. Spaced decks
+     * have one limit for new cards (kind 'new') and one for reviews (kind 'review').
+     */
+    function getRemainingToday(deck, kind) {
+        const extension = deck.sessionExtension || 0;
+        if (deck.learningMode !== 'spaced') {
+            return Math.max(0, (deck.dailyLimit || 5) + extension - (deck.cardsReviewedToday || 0));
+        }
+        return kind === 'new'
+            ? Math.max(0, Config.getNewLimit(deck) + extension - (deck.newCardsToday || 0))
+            : Math.max(0, Config.getReviewLimit(deck) + extension - (deck.reviewsToday || 0));
+    }
+
+    /** Count a rating towards the daily limit it falls under. */
+    function countTowardsLimit(deck, type) {
+        if (deck.learningMode !== 'spaced') deck.cardsReviewedToday = (deck.cardsReviewedToday || 0) + 1;
+        else if (type === 'new') deck.newCardsToday = (deck.newCardsToday || 0) + 1;
+        else deck.reviewsToday = (deck.reviewsToday || 0) + 1;
+    }
+
+    /**
+     * Put a deck's reviews and new cards for the day ({ entry, due }) in its review order:
+     *   'reviews-first' — due reviews in random order, then the new cards
+     *   'interleaved'   — new cards spread evenly through the reviews
+     *   'overdue-first' — reviews by due date, the most overdue first, then the new cards
+     * Returns the queue entries.
+     */
+    function orderQueue(reviews, fresh, order) {
+        if (order === 'overdue-first') reviews.sort((a, b) => a.due - b.due);
+        else shuffle(reviews);
+        shuffle(fresh);
+        if (order !== 'interleaved') return reviews.concat(fresh).map(it => it.entry);
+
+        // Of the first i slots, floor(i * new / total) are new cards
+        const total  = reviews.length + fresh.length;
+        const result = [];
+        let r = 0, f = 0;
+        for (let i = 1; i <= total; i++) {
+            result.push(Math.floor(i * fresh.length / total) > f ? fresh[f++] : reviews[r++]);
+        }
+        return result.map(it => it.entry);
+    }
+
+    /**
+     * Merge the decks' queues into one, keeping the order within each: every place goes to a
+     * deck picked at random, weighted by how many of its cards are left.
+     */
+    function interleave(slices) {
+        const left   = slices.map(slice => slice.slice());
+        const result = [];
+        for (let total = left.reduce((n, slice) => n + slice.length, 0); total > 0; total--) {
+            let pick = Math.floor(Math.random() * total);
+            const slice = left.find(s => (pick -= s.length) < 0);
+            result.push(slice.shift());
         }
+        return result;
+    }
 
-        // Shuffle candidates
-        for (let i = candidates.length - 1; i > 0; i--) {
+    function shuffle(list) {
+        for (let i = list.length - 1; i > 0; i--) {
             const j = Math.floor(Math.random() * (i + 1));
-            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            [list[i], list[j]] = [list[j], list[i]];
         }
+    }
 
-        queue = candidates.slice(0, remaining);
-        currentIndex = 0;
-        rewindBackup = null;
+    /**
+     * Move learning items whose step timer has run out to the front of the remaining queue.
+     * Returns true if any item was moved.
+     */
+    function pullDueLearningCards() {
+        const now = Date.now();
+        const dueItems = [];
+        while (learningQueue.length > 0 && learningQueue[0].due <= now) {
+            const { due, ...entry } = learningQueue.shift();
+            dueItems.push(entry);
+        }
+        if (dueItems.length === 0) return false;
+        queue.splice(currentIndex, 0, ...dueItems);
+        return true;
+    }
+
+    function addToLearningQueue(deck, card, reverse, schedule) {
+        const entry = { deck: deck.name, id: card.id, reverse, due: schedule.due };
+        learningQueue = learningQueue.filter(e => e.id !== card.id || e.reverse !== reverse || e.deck !== entry.deck);
+        const idx = learningQueue.findIndex(e => e.due > entry.due);
+        if (idx === -1) learningQueue.push(entry);
+        else learningQueue.splice(idx, 0, entry);
     }
 
     // ========================
@@ -80,20 +368,62 @@ const Session = (() => {
     // ========================
 
     function getCurrentCard() {
+        const item = getCurrentItem();
+        return item ? item.card : null;
+    }
+
+    /**
+     * The current study item: { card, reverse, deck }, where reverse means the card is studied
+     * translation → word with its own schedule, and deck is the deck the card belongs to.
+     * Null when there is no current card.
+     */
+    function getCurrentItem() {
         if (currentIndex >= queue.length) return null;
-        return queue[currentIndex];
+        const { id, reverse } = queue[currentIndex];
+        const deck = getEntryDeck(queue[currentIndex]);
+        const card = deck && deck.cards.find(c => c.id === id);
+        return card ? { card, reverse, deck } : null;
+    }
+
+    /** The deck a queue entry belongs to. */
+    function getEntryDeck(entry) {
+        return sessionDecks[entry.deck] || null;
+    }
+
+    /**
+     * The live deck object for a name if the session studies it, otherwise null.
+     */
+    function getSessionDeck(name) {
+        return sessionDecks[name] || (custom && custom.main.sessionDecks[name]) || null;
     }
 
     function isComplete() {
-        return currentIndex >= queue.length;
+        return currentIndex >= queue.length && learningQueue.length === 0;
     }
 
-    function getProgress() {
-        return { current: currentIndex, total: queue.length };
+    /**
+     * True when every remaining card is a learning card whose step timer hasn't run out yet.
+     */
+    function isWaitingForLearning() {
+        return currentIndex >= queue.length && learningQueue.length > 0;
     }
 
-    function canRewind() {
-        return rewindBackup !== null;
+    /**
+     * Timestamp at which the next waiting learning card becomes due, or null.
+     */
+    function getNextLearningDue() {
+        return learningQueue.length > 0 ? learningQueue[0].due : null;
+    }
+
+    /**
+     * Re-check the learning timers. Returns true if a waiting card became due.
+     */
+    function refreshLearning() {
+        return pullDueLearningCards();
+    }
+
+    function getProgress() {
+        return { current: currentIndex, total: queue.length + learningQueue.length };
     }
 
     // ========================
@@ -104,94 +434,330 @@ const Session = (() => {
      * Rate the current card.
      * Simple mode:  rating = 'forgot' | 'remembered'
      * Spaced mode:  rating = 'again' | 'hard' | 'good' | 'easy'
+     * answerMs is how long the user took to answer. Returns the review log entry
+     * for this rating, or null if there was nothing to rate.
      */
-    function rateCard(deck, rating) {
-        if (currentIndex >= queue.length) return;
-
-        const queueCard = queue[currentIndex];
-
-        // Find the matching card in deck.cards (by reference or value)
-        const deckCard = deck.cards.find(c => c === queueCard ||
-            (c.word === queueCard.word && c.translation === queueCard.translation));
-
-        if (!deckCard) { currentIndex++; return; }
+    function rateCard(deck, rating, answerMs) {
+        if (currentIndex >= queue.length) return null;
 
-        // Save backup before mutating
-        rewindBackup = {
-            index: currentIndex,
-            cardSnapshot: { ...deckCard },
-            deckCardRef: deckCard,
-            cardsReviewedToday: deck.cardsReviewedToday || 0
+        const { id: cardId, reverse } = queue[currentIndex];
+        const deckCard = deck.cards.find(c => c.id === cardId);
+
+        if (!deckCard) { currentIndex++; return null; }
+
+        const itemSchedule = getSchedule(deck, deckCard, reverse, true);
+        const wasLearning  = !!itemSchedule.learningState;
+        const prevType     = itemSchedule.learningState || (itemSchedule.due == null ? 'new' : 'review');
+        const prevInterval = prevType === 'review' ? (itemSchedule.interval || 1) : 0;
+        const now          = Date.now();
+
+        const logEntry = {
+            ts:           now,
+            cardId:       deckCard.id,
+            word:         deckCard.word,
+            translation:  deckCard.translation,
+            mode:         deck.learningMode,
+            rating,
+            type:         prevType,
+            prevInterval,
+            interval:     prevInterval,
+            ease:         itemSchedule.easeFactor || 2.5,
+            timeMs:       Math.max(0, Math.round(answerMs || 0))
         };
-
-        const today = getTodayStr();
+        if (itemSchedule !== deckCard) logEntry.reverse = true;
 
         if (deck.learningMode === 'spaced') {
-            applySpacedRating(deckCard, rating, today);
+            if (rating === 'again' && prevType === 'review') {
+                itemSchedule.lapses = (itemSchedule.lapses || 0) + 1;
+                if (checkLeech(deck, deckCard, itemSchedule.lapses)) logEntry.leech = true;
+            }
+            applySpacedRating(deck, itemSchedule, rating, now);
+            logEntry.interval = itemSchedule.learningState ? 0 : itemSchedule.interval;
+            logEntry.ease     = itemSchedule.easeFactor;
+            if (deck.scheduler === 'fsrs') {
+                logEntry.stability  = itemSchedule.stability;
+                logEntry.difficulty = itemSchedule.difficulty;
+            }
         } else {
             // Simple mode
             if (rating === 'remembered') {
-                deckCard.sessionStatus = 'FINISHED';
+                itemSchedule.sessionStatus = 'FINISHED';
             }
             // 'forgot' keeps sessionStatus as 'TO_REVIEW'
         }
 
-        deck.cardsReviewedToday = (deck.cardsReviewedToday || 0) + 1;
+        // Repeated learning steps of the same card don't use up the daily limit (nor does custom study that ignores it)
+        if (!wasLearning && (!custom || custom.countsToLimit)) {
+            countTowardsLimit(deck, prevType);
+        }
         currentIndex++;
+
+        // Cards still in (re)learning come back later in this session
+        if (itemSchedule.learningState && itemSchedule.due < endOfToday()) {
+            addToLearningQueue(deck, deckCard, reverse, itemSchedule);
+        }
+        if (deckCard.suspended) {
+            removeCard(deck.name, deckCard.id); // a leech that was just suspended
+        } else {
+            pullDueLearningCards();
+        }
+
+        return logEntry;
     }
 
     /**
-     * Apply SM-2 algorithm to a card.
+     * Handle a lapse: at the deck's leech threshold, and every half threshold after it (like Anki),
+     * the card is tagged as a leech and, if the deck says so, suspended. Returns true if it was.
      */
-    function applySpacedRating(card, rating, today) {
-        let interval = card.interval || 1;
-        let ease = card.easeFactor || 2.5;
+    function checkLeech(deck, card, lapses) {
+        const threshold = Config.getLeechThreshold(deck);
+        if (threshold === 0 || lapses < threshold) return false;
+        if ((lapses - threshold) % Math.max(1, Math.floor(threshold / 2)) !== 0) return false;
 
-        if (rating === 'again') {
-            interval = 1;
-            ease = Math.max(1.3, ease - 0.2);
-            card.dueDate = today;
-        } else if (rating === 'hard') {
-            interval = Math.max(1, Math.round(interval * 1.2));
-            ease = Math.max(1.3, ease - 0.15);
-            card.dueDate = addDays(today, interval);
-        } else if (rating === 'good') {
-            interval = Math.max(1, Math.round(interval * ease));
-            card.dueDate = addDays(today, interval);
-        } else if (rating === 'easy') {
-            interval = Math.max(1, Math.round(interval * ease * 1.3));
-            ease = ease + 0.15;
-            card.dueDate = addDays(today, interval);
-        }
+        Config.setTags(card, (card.tags || []).concat(Config.LEECH_TAG));
+        if (deck.leechAction === 'suspend') card.suspended = true;
+        return true;
+    }
+
+    /**
+     * Take a card out of what's left of the session (after it was suspended or buried).
+     * Items before the current position stay, so the progress count doesn't jump back.
+     */
+    function removeCard(deckName, cardId) {
+        const other = e => e.deck !== deckName || e.id !== cardId;
+        queue = queue.slice(0, currentIndex).concat(queue.slice(currentIndex).filter(other));
+        learningQueue = learningQueue.filter(other);
+        pullDueLearningCards();
+    }
 
-        card.interval = interval;
-        card.easeFactor = Math.round(ease * 1000) / 1000;
+    /**
+     * Apply a spaced-mode rating: move the card through its learning steps and,
+     * once it graduates (or for a regular review), let the deck's scheduler set the interval.
+     * `card` is the schedule of the studied direction (the card itself or `card.reverse`).
+     */
+    function applySpacedRating(deck, card, rating, now) {
+        const today = getTodayStr();
         card.sessionStatus = 'SPACED';
+
+        if (card.learningState === 'relearning') {
+            if (advanceStep(card, rating, deck.relearningSteps || [], now)) {
+                // Graduated: the interval was already set by the scheduler when the card lapsed
+                graduate(card, card.interval || 1, today);
+            }
+            return;
+        }
+
+        const isNew = card.due == null || card.learningState === 'learning';
+        if (isNew) {
+            const steps = deck.learningSteps || [];
+            if (steps.length === 0) {
+                graduate(card, schedule(deck, card, rating, today), today);
+                return;
+            }
+            if (!card.learningState) {
+                card.learningState = 'learning';
+                card.learningStep  = 0;
+            }
+            if (advanceStep(card, rating, steps, now)) {
+                const interval = schedule(deck, card, rating === 'easy' ? 'easy' : 'good', today);
+                graduate(card, interval, today);
+            }
+            return;
+        }
+
+        // Regular review
+        const interval = schedule(deck, card, rating, today);
+        const relearningSteps = deck.relearningSteps || [];
+        if (rating === 'again' && relearningSteps.length > 0) {
+            card.learningState = 'relearning';
+            card.learningStep  = 0;
+            card.due = now + relearningSteps[0] * MINUTE_MS;
+        } else {
+            graduate(card, interval, today);
+        }
+    }
+
+    /**
+     * Move a card along its (re)learning steps (in minutes).
+     * again = back to the first step, hard = repeat the step, good = next step, easy = graduate.
+     * Returns true if the card has passed its last step.
+     */
+    function advanceStep(card, rating, steps, now) {
+        let step = card.learningStep || 0;
+        if (rating === 'again') step = 0;
+        else if (rating === 'good') step = step + 1;
+        else if (rating === 'easy') step = steps.length;
+
+        if (step >= steps.length) return true;
+
+        card.learningStep = step;
+        card.due = now + steps[step] * MINUTE_MS;
+        return false;
+    }
+
+    function schedule(deck, card, rating, today) {
+        const scheduler = Scheduler.get(deck.scheduler);
+        const interval  = scheduler.rate(card, rating, {
+            elapsedDays: card.lastReview ? daysSince(card.lastReview, today) : 0,
+            targetRetention: deck.targetRetention
+        });
+        card.lastReview = Date.now();
+        return interval;
+    }
+
+    function graduate(card, interval, today) {
+        card.learningState = null;
+        card.learningStep  = null;
+        card.due = startOfDay(addDays(today, interval));
     }
 
     // ========================
-    // Rewind
+    // Custom study
     // ========================
 
     /**
-     * Undo the last card rating. Returns true on success.
+     * The study items of the given decks that match a custom study filter:
+     *   { tag, kind, days, ease }
+     *   tag  — only cards with this tag ('' = any)
+     *   kind — 'all', 'due' (due within `days` days), 'new' (never studied),
+     *          'ease' (ease below `ease`), 'failed' (rated Again/Forgot in the last `days` days)
+     * Returns [{ deck, card, reverse, schedule }].
+     */
+    function getCustomItems(decks, filter) {
+        const tag      = (filter.tag || '').toLowerCase();
+        const days     = Math.max(0, filter.days || 0);
+        const dueLimit = startOfDay(addDays(getTodayStr(), days + 1));
+        const since    = Date.now() - days * DAY_MS;
+
+        return decks.flatMap(deck => {
+            const failed = new Set();
+            if (filter.kind === 'failed') {
+                Config.loadReviewLog(deck.name).forEach(entry => {
+                    if (entry.ts >= since && (entry.rating === 'again' || entry.rating === 'forgot')) {
+                        failed.add(entry.cardId + (entry.reverse ? ':reverse' : ''));
+                    }
+                });
+            }
+
+            return getActiveItems(deck).filter(it => {
+                if (tag && !(it.card.tags || []).some(t => t.toLowerCase() === tag)) return false;
+                const s = it.schedule;
+                switch (filter.kind) {
+                    case 'due':    return s.due != null && s.due < dueLimit;
+                    case 'new':    return s.due == null;
+                    case 'ease':   return s.due != null && Scheduler.getEase(deck, s) < filter.ease;
+                    case 'failed': return failed.has(it.card.id + (it.reverse ? ':reverse' : ''));
+                    default:       return true;
+                }
+            }).map(it => ({ deck, ...it }));
+        });
+    }
+
+    /**
+     * Start a custom study session with the cards of `decks` that match `filter`
+     * (see getCustomItems), at most filter.limit of them. Unless filter.ignoreDailyLimit
+     * is set, each deck only adds what its daily limits still allow and ratings count towards them.
+     * The main session is set aside until endCustomSession(). Returns the number of cards.
      */
-    function rewind(deck) {
-        if (!rewindBackup) return false;
+    function buildCustomQueue(decks, filter) {
+        const main = custom ? custom.main : { sessionDeck, allDue, sessionDecks, queue, currentIndex, learningQueue, sessionId };
+        const byName = {};
+        decks.forEach(deck => {
+            checkDayReset(deck);
+            byName[deck.name] = deck;
+        });
+
+        let items = getCustomItems(decks, filter);
+        shuffle(items);
+        if (!filter.ignoreDailyLimit) {
+            const taken = {};
+            items = items.filter(it => {
+                const kind = it.deck.learningMode !== 'spaced' ? 'all' : it.schedule.due == null ? 'new' : 'review';
+                const key  = it.deck.name + '\t' + kind;
+                taken[key] = (taken[key] || 0) + 1;
+                return taken[key] <= getRemainingToday(it.deck, kind);
+            });
+        }
+
+        custom = { name: filter.name || 'Custom Study', countsToLimit: !filter.ignoreDailyLimit, main };
+        sessionDecks = byName;
+        queue = items.slice(0, Math.max(1, filter.limit || items.length))
+            .map(it => ({ deck: it.deck.name, id: it.card.id, reverse: it.reverse }));
+        currentIndex = 0;
+        learningQueue = [];
+        sessionId = ++lastSessionId;
+        return queue.length;
+    }
+
+    function isCustom() {
+        return custom !== null;
+    }
 
-        const { index, cardSnapshot, deckCardRef, cardsReviewedToday } = rewindBackup;
+    function getCustomName() {
+        return custom ? custom.name : null;
+    }
 
-        // Restore card state
-        Object.assign(deckCardRef, cardSnapshot);
+    /**
+     * Go back to the main session where it was left. Cards that custom study took care of
+     * (no longer due, or finished) are dropped from what's left of its queue.
+     */
+    function endCustomSession() {
+        if (!custom) return;
+        const main = custom.main;
+        custom        = null;
+        sessionDeck   = main.sessionDeck;
+        allDue        = main.allDue;
+        sessionDecks  = main.sessionDecks;
+        queue         = main.queue;
+        currentIndex  = main.currentIndex;
+        learningQueue = main.learningQueue;
+        sessionId     = main.sessionId;
+        if (!sessionDeck && !allDue) return;
+
+        const now = Date.now();
+        const scheduleOf = entry => {
+            const deck = getEntryDeck(entry);
+            const card = deck && deck.cards.find(c => c.id === entry.id);
+            return card && !isParked(card) ? getSchedule(deck, card, entry.reverse, false) : null;
+        };
+        const stillDue = entry => {
+            const s = scheduleOf(entry);
+            if (!s) return false;
+            return getEntryDeck(entry).learningMode === 'spaced' ? isDue(s, now) : s.sessionStatus !== 'FINISHED';
+        };
+        queue = queue.slice(0, currentIndex).concat(queue.slice(currentIndex).filter(stillDue));
+        learningQueue = learningQueue
+            .filter(entry => { const s = scheduleOf(entry); return s && s.learningState; })
+            .map(entry => ({ ...entry, due: scheduleOf(entry).due }))
+            .sort((a, b) => a.due - b.due);
+        pullDueLearningCards();
+    }
 
-        // Restore queue position and also restore queue card snapshot
-        queue[index] = deckCardRef;
-        currentIndex = index;
+    // ========================
+    // Snapshots (for undo/redo)
+    // ========================
 
-        // Restore counter
-        deck.cardsReviewedToday = cardsReviewedToday;
+    /**
+     * Capture the queue position so an undo can put the session back where it was.
+     */
+    function captureState() {
+        return {
+            sessionId,
+            queue: queue.map(e => ({ ...e })),
+            currentIndex,
+            learningQueue: learningQueue.map(e => ({ ...e }))
+        };
+    }
 
-        rewindBackup = null;
+    /**
+     * Restore a state from captureState(). Returns false if the queue has been rebuilt
+     * since the snapshot was taken (the snapshot no longer applies).
+     */
+    function restoreState(state) {
+        if (!state || state.sessionId !== sessionId) return false;
+        queue = state.queue.map(e => ({ ...e }));
+        currentIndex = state.currentIndex;
+        learningQueue = state.learningQueue.map(e => ({ ...e }));
         return true;
     }
 
@@ -199,9 +765,20 @@ const Session = (() => {
     // Session extension
     // ========================
 
+    /**
+     * Allow `amount` more cards today in a deck and each of its subdecks (every deck when
+     * studying all due), and rebuild the queue. In spaced mode both the new card and the review
+     * limit go up by `amount`. The other decks are saved here.
+     */
     function extendSession(deck, amount) {
-        deck.sessionExtension = (deck.sessionExtension || 0) + Math.max(1, amount);
-        buildQueue(deck);
+        const decks = allDue ? Object.values(sessionDecks) : [deck, ...loadSubdecks(deck)];
+        decks.forEach(d => {
+            checkDayReset(d);
+            d.sessionExtension = (d.sessionExtension || 0) + Math.max(1, amount);
+            if (d !== deck) Config.saveDeck(d);
+        });
+        if (allDue) buildAllDueQueue(deck);
+        else buildQueue(deck);
     }
 
     // ========================
@@ -212,30 +789,99 @@ const Session = (() => {
      * Get deck statistics for display.
      */
     function getDeckStats(deck) {
-        const today = getTodayStr();
-
+        // Counts are per study item, so a card studied both ways counts twice;
+        // suspended and buried cards count as upcoming (finished, in simple mode)
+        const total     = getStudyItems(deck).length;
+        const schedules = getActiveItems(deck).map(it => it.schedule);
         if (deck.learningMode === 'spaced') {
-            const total = deck.cards.length;
-            const due = deck.cards.filter(c => !c.dueDate || c.dueDate <= today).length;
-            const upcoming = deck.cards.filter(c => c.dueDate && c.dueDate > today).length;
-            return { mode: 'spaced', total, due, upcoming };
+            const now = Date.now();
+            const learning = schedules.filter(s => s.learningState).length;
+            const due = schedules.filter(s => isDue(s, now)).length;
+            const newDue = schedules.filter(s => s.due == null).length;
+            const upcoming = total - due;
+            return { mode: 'spaced', total, due, newDue, upcoming, learning };
         } else {
-            const total = deck.cards.length;
-            const finished = deck.cards.filter(c => c.sessionStatus === 'FINISHED').length;
-            const toReview = deck.cards.filter(c => c.sessionStatus !== 'FINISHED').length;
+            const toReview = schedules.filter(s => s.sessionStatus !== 'FINISHED').length;
+            const finished = total - toReview;
             return { mode: 'simple', total, finished, toReview };
         }
     }
 
+    /**
+     * Stats of a deck together with its subdecks, in the deck's own mode
+     * (subdecks in the other mode count due cards as to review and upcoming ones as finished).
+     */
+    function getTreeStats(deck) {
+        const stats = getDeckStats(deck);
+        Config.getSubdeckNames(deck.name).forEach(name => {
+            const sub = getSessionDeck(name) || Config.loadDeck(name);
+            if (!sub) return;
+            const s       = getDeckStats(sub);
+            const pending = s.mode === 'spaced' ? s.due : s.toReview;
+            const later   = s.mode === 'spaced' ? s.upcoming : s.finished;
+            stats.total += s.total;
+            if (stats.mode === 'spaced') {
+                stats.due      += pending;
+                stats.newDue   += s.newDue || 0;
+                stats.upcoming += later;
+                stats.learning += s.learning || 0;
+            } else {
+                stats.toReview += pending;
+                stats.finished += later;
+            }
+        });
+        return stats;
+    }
+
+    /**
+     * Cards still due (to review, in simple mode) today across the decks of the session,
+     * limits aside, and how many decks have any.
+     */
+    function getAllDueStats() {
+        let due = 0, decks = 0;
+        Object.values(sessionDecks).forEach(deck => {
+            const s = getDeckStats(deck);
+            const pending = s.mode === 'spaced' ? s.due : s.toReview;
+            due += pending;
+            if (pending > 0) decks++;
+        });
+        return { due, decks };
+    }
+
     return {
+        getTodayStr,
+        addDays,
+        toDateStr,
+        startOfDay,
+        alignDueDates,
+        getCardItems,
+        getStudyItems,
+        getActiveItems,
+        isBuried,
+        isParked,
         buildQueue,
+        buildAllDueQueue,
+        isAllDue,
         getCurrentCard,
+        getCurrentItem,
+        getSessionDeck,
         isComplete,
+        isWaitingForLearning,
+        getNextLearningDue,
+        refreshLearning,
         getProgress,
-        canRewind,
         rateCard,
-        rewind,
+        removeCard,
+        captureState,
+        restoreState,
+        getCustomItems,
+        buildCustomQueue,
+        isCustom,
+        getCustomName,
+        endCustomSession,
         extendSession,
-        getDeckStats
+        getDeckStats,
+        getTreeStats,
+        getAllDueStats
     };
 })();
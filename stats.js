@@ -0,0 +1,214 @@
+/**
+ * stats.js — Deck statistics
+ * Computes review history, retention and scheduling distributions from a deck and its review log.
+ */
+
+const Stats = (() => {
+    const MATURE_INTERVAL = 21; // days; reviews of cards at or above this interval count as "mature"
+
+    const FAILED_RATINGS = ['again', 'forgot'];
+
+    // ========================
+    // Review history
+    // ========================
+
+    /**
+     * Count reviews per day for the last `days` days (oldest first).
+     * Returns [{ date, count, failed }].
+     */
+    function reviewsPerDay(log, days) {
+        const byDate = {};
+        log.forEach(entry => {
+            const date = Session.toDateStr(entry.ts);
+            if (!byDate[date]) byDate[date] = { count: 0, failed: 0 };
+            byDate[date].count++;
+            if (FAILED_RATINGS.includes(entry.rating)) byDate[date].failed++;
+        });
+
+        const today  = Session.getTodayStr();
+        const result = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = Session.addDays(today, -i);
+            const day  = byDate[date] || { count: 0, failed: 0 };
+            result.push({ date, count: day.count, failed: day.failed });
+        }
+        return result;
+    }
+
+    /**
+     * Summary numbers for the header line of the statistics dialog.
+     */
+    function getSummary(log) {
+        const today      = Session.getTodayStr();
+        const todayCount = log.filter(e => Session.toDateStr(e.ts) === today).length;
+        const timed      = log.filter(e => e.timeMs > 0);
+        const avgTimeMs  = timed.length > 0
+            ? timed.reduce((sum, e) => sum + e.timeMs, 0) / timed.length
+            : 0;
+        return { total: log.length, today: todayCount, avgTimeMs };
+    }
+
+    // ========================
+    // Retention
+    // ========================
+
+    /**
+     * Count how often each rating was given, split by learning answers (new, learning and
+     * relearning cards) and regular reviews.
+     * Returns [{ rating, learningCount, reviewCount, total }] in button order, skipping unused ratings.
+     */
+    function ratingBreakdown(log) {
+        const order  = ['again', 'hard', 'good', 'easy', 'forgot', 'remembered'];
+        const counts = {};
+        log.forEach(entry => {
+            if (!counts[entry.rating]) counts[entry.rating] = { learningCount: 0, reviewCount: 0 };
+            if (entry.type === 'review') counts[entry.rating].reviewCount++;
+            else counts[entry.rating].learningCount++;
+        });
+
+        return order
+            .filter(rating => counts[rating])
+            .map(rating => ({
+                rating,
+                learningCount: counts[rating].learningCount,
+                reviewCount:   counts[rating].reviewCount,
+                total:         counts[rating].learningCount + counts[rating].reviewCount
+            }));
+    }
+
+    /**
+     * True retention: the share of spaced reviews (not first-time answers) that were not failed,
+     * split into young and mature cards. Rates are null when there is no data.
+     */
+    function trueRetention(log) {
+        const result = {
+            young:  { passed: 0, total: 0, rate: null },
+            mature: { passed: 0, total: 0, rate: null },
+            all:    { passed: 0, total: 0, rate: null }
+        };
+
+        log.forEach(entry => {
+            if (entry.mode !== 'spaced' || entry.type !== 'review') return;
+            const group  = entry.prevInterval >= MATURE_INTERVAL ? result.mature : result.young;
+            const passed = !FAILED_RATINGS.includes(entry.rating);
+            [group, result.all].forEach(g => {
+                g.total++;
+                if (passed) g.passed++;
+            });
+        });
+
+        Object.values(result).forEach(g => {
+            g.rate = g.total > 0 ? g.passed / g.total : null;
+        });
+        return result;
+    }
+
+    // ========================
+    // Scheduling distributions
+    // ========================
+
+    /**
+     * Schedules of everything the deck studies: one per card, or two for cards studied
+     * in both directions. With `activeOnly`, suspended cards are left out.
+     */
+    function getSchedules(deck, activeOnly) {
+        return Session.getStudyItems(deck)
+            .filter(item => !activeOnly || !item.card.suspended)
+            .map(item => item.schedule);
+    }
+
+    /**
+     * Number of cards due on each of the next `days` days (overdue cards count towards today).
+     * Suspended cards are left out. Returns [{ date, count }].
+     */
+    function dueForecast(deck, days) {
+        const today  = Session.getTodayStr();
+        const result = [];
+        for (let i = 0; i < days; i++) {
+            result.push({ date: Session.addDays(today, i), count: 0 });
+        }
+        const lastDate = result[result.length - 1].date;
+
+        getSchedules(deck, true).forEach(card => {
+            if (card.due == null) return;
+            const dueDate = Session.toDateStr(card.due);
+            if (dueDate > lastDate) return;
+            const bucket = dueDate <= today
+                ? result[0]
+                : result.find(day => day.date === dueDate);
+            if (bucket) bucket.count++;
+        });
+        return result;
+    }
+
+    /** Cards with scheduling data worth charting: reviewed at least once and past their first learning steps. */
+    function isGraduated(card) {
+        return card.due != null && card.learningState !== 'learning';
+    }
+
+    function bucketize(values, buckets) {
+        const result = buckets.map(b => ({ label: b.label, count: 0 }));
+        values.forEach(value => {
+            const idx = buckets.findIndex(b => value < b.max);
+            result[idx === -1 ? result.length - 1 : idx].count++;
+        });
+        return result;
+    }
+
+    /**
+     * Ease factor distribution of cards that have been reviewed in spaced mode.
+     */
+    function easeDistribution(deck) {
+        const eases = getSchedules(deck).filter(isGraduated).map(c => c.easeFactor || 2.5);
+        return bucketize(eases, [
+            { label: '<1.5',    max: 1.5 },
+            { label: '1.5–1.9', max: 1.9 },
+            { label: '1.9–2.3', max: 2.3 },
+            { label: '2.3–2.7', max: 2.7 },
+            { label: '2.7–3.1', max: 3.1 },
+            { label: '3.1+',    max: Infinity }
+        ]);
+    }
+
+    /**
+     * FSRS difficulty distribution (1 = easiest, 10 = hardest) of cards with an FSRS memory state.
+     */
+    function difficultyDistribution(deck) {
+        const difficulties = getSchedules(deck).filter(c => isGraduated(c) && c.difficulty != null).map(c => c.difficulty);
+        return bucketize(difficulties, [
+            { label: '1–2',  max: 2.5 },
+            { label: '3–4',  max: 4.5 },
+            { label: '5–6',  max: 6.5 },
+            { label: '7–8',  max: 8.5 },
+            { label: '9–10', max: Infinity }
+        ]);
+    }
+
+    /**
+     * Interval distribution (in days) of cards that have been reviewed in spaced mode.
+     */
+    function intervalDistribution(deck) {
+        const intervals = getSchedules(deck).filter(isGraduated).map(c => c.interval || 1);
+        return bucketize(intervals, [
+            { label: '1d',     max: 2 },
+            { label: '2–3d',   max: 4 },
+            { label: '4–7d',   max: 8 },
+            { label: '1–2w',   max: 15 },
+            { label: '2–4w',   max: 29 },
+            { label: '1–3m',   max: 91 },
+            { label: '3m+',    max: Infinity }
+        ]);
+    }
+
+    return {
+        MATURE_INTERVAL,
+        reviewsPerDay,
+        getSummary,
+        ratingBreakdown,
+        trueRetention,
+        dueForecast,
+        easeDistribution,
+        difficultyDistribution,
+        intervalDistribution
+    };
+})();
@@ -0,0 +1,163 @@
+/**
+ * storagehealth.js — Storage health
+ * Watches how full browser storage is, reports failed saves, and frees space:
+ * usage per deck, pruning old review history, and compacting leftover data.
+ *
+ * The UI subscribes with setListener and is told ('warning', status) when storage gets
+ * close to full and ('error', { error, what, full }) when something couldn't be saved.
+ */
+
+const StorageHealth = (() => {
+    const WARN_RATIO     = 0.8;        // warn once storage is this full
+    const CHECK_INTERVAL = 60 * 1000;  // check usage at most this often while saving
+    const DAY_MS         = 24 * 60 * 60 * 1000;
+
+    let listener  = null;
+    let lastCheck = 0;
+    let warned    = false;  // warn once per visit, until usage drops below the threshold again
+
+    /**
+     * Start watching storage: hooks into db.js writes and runs a first check.
+     */
+    function init() {
+        DB.setListener((event, detail) => {
+            if (event === 'error') {
+                notify('error', { ...detail, full: DB.isQuotaError(detail.error) });
+            } else if (Date.now() - lastCheck > CHECK_INTERVAL) {
+                check();
+            }
+        });
+        return check();
+    }
+
+    function setListener(fn) {
+        listener = fn;
+    }
+
+    function notify(event, detail) {
+        if (listener) listener(event, detail);
+    }
+
+    // ========================
+    // Usage
+    // ========================
+
+    /**
+     * Current usage: { backend, usage, quota, ratio } (quota and ratio null when unknown).
+     */
+    async function getStatus() {
+        const { usage, quota } = await DB.estimate();
+        return {
+            backend: DB.getBackend(),
+            usage,
+            quota,
+            ratio: quota ? usage / quota : null
+        };
+    }
+
+    /**
+     * Check usage and warn when storage is nearly full. Resolves to the status.
+     */
+    async function check() {
+        lastCheck = Date.now();
+        const status = await getStatus();
+        const full = status.ratio !== null && status.ratio >= WARN_RATIO;
+        if (full && !warned) notify('warning', status);
+        warned = full;
+        return status;
+    }
+
+    /**
+     * Size of every stored deck, largest first: [{ name, cards, reviews, size, listed }].
+     * `listed` is false for data left behind by a deck that is no longer in the deck list.
+     */
+    function getDeckUsage() {
+        const names = Config.getDeckNames();
+        const sizes = DB.getSizes();
+        names.forEach(name => { if (!sizes[name]) sizes[name] = { deck: 0, log: 0 }; });
+
+        return Object.keys(sizes).map(name => {
+            const listed = names.includes(name);
+            const deck   = listed ? Config.loadDeck(name) : null;
+            return {
+                name,
+                cards:   deck ? deck.cards.length : 0,
+                reviews: Config.loadReviewLog(name).length,
+                size:    sizes[name].deck + sizes[name].log,
+                listed
+            };
+        }).sort((a, b) => b.size - a.size);
+    }
+
+    /** "1.4 MB" */
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(1) + ' GB';
+        if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+        if (bytes >= 1024) return Math.round(bytes / 1024) + ' KB';
+        return bytes + ' B';
+    }
+
+    // ========================
+    // Freeing space
+    // ========================
+
+    /**
+     * Remove review history older than `days` days from every deck. Statistics only cover
+     * what's left; scheduling doesn't use the history. Returns the number of entries removed.
+     * Anything that failed to save earlier is written again into the space freed.
+     */
+    function pruneHistory(days) {
+        const cutoff = Date.now() - Math.max(1, days) * DAY_MS;
+        let removed = 0;
+        Config.getDeckNames().forEach(name => {
+            const log  = Config.loadReviewLog(name);
+            const kept = log.filter(entry => entry.ts >= cutoff);
+            if (kept.length === log.length) return;
+            removed += log.length - kept.length;
+            DB.writeLog(name, kept);
+        });
+        DB.retryFailedWrites();
+        return removed;
+    }
+
+    /**
+     * Remove data nothing uses any more: review history of deleted cards, and decks and
+     * histories left behind outside the deck list. Returns { entries, decks } removed.
+     * Like pruneHistory, it then writes again what failed to save earlier.
+     */
+    function compact() {
+        const names  = Config.getDeckNames();
+        const result = { entries: 0, decks: 0 };
+
+        Object.keys(DB.getSizes()).filter(name => !names.includes(name)).forEach(name => {
+            DB.removeDeck(name);
+            result.decks++;
+        });
+
+        names.forEach(name => {
+            const deck = Config.loadDeck(name);
+            if (!deck) return;
+            const ids  = new Set(deck.cards.map(c => c.id));
+            const log  = Config.loadReviewLog(name);
+            const kept = log.filter(entry => !entry.cardId || ids.has(entry.cardId));
+            if (kept.length === log.length) return;
+            result.entries += log.length - kept.length;
+            DB.writeLog(name, kept);
+        });
+
+        DB.retryFailedWrites();
+        return result;
+    }
+
+    return {
+        WARN_RATIO,
+        init,
+        setListener,
+        getStatus,
+        check,
+        getDeckUsage,
+        formatSize,
+        pruneHistory,
+        compact
+    };
+})();
@@ -0,0 +1,70 @@
+/**
+ * sw.js — Service worker
+ * Makes the app load without a connection and installable: every file the app needs is
+ * precached when a version installs and then served from the cache first.
+ *
+ * Bump VERSION whenever any of FILES changes (and list new files there). Browsers check
+ * for a new sw.js on every visit; the new version installs next to the running one and waits
+ * until the page agrees to switch (see offline.js), so a session is never swapped mid-review.
+ */
+
+const VERSION = 'v2';
+const CACHE   = 'flashcards-' + VERSION;
+const FILES   = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png',
+    'scheduler.js',
+    'answers.js',
+    'db.js',
+    'config.js',
+    'notetypes.js',
+    'session.js',
+    'stats.js',
+    'undo.js',
+    'storagehealth.js',
+    'backup.js',
+    'csv.js',
+    'apkg.js',
+    'merge.js',
+    'duplicates.js',
+    'offline.js',
+    'sync.js',
+    'dialogs.js',
+    'ui.js'
+];
+
+self.addEventListener('install', event => {
+    // cache: 'reload' bypasses the HTTP cache, so a new version never precaches stale files
+    event.waitUntil(caches.open(CACHE)
+        .then(cache => cache.addAll(FILES.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('flashcards-') && key !== CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page tells a waiting version to take over once the user chose to reload
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        const cache  = await caches.open(CACHE);
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+        return cached || fetch(request);
+    })());
+});
@@ -0,0 +1,125 @@
+/**
+ * sync-server.js — Reference sync server
+ * A small server for the sync protocol in the README, with no dependencies beyond Node.js.
+ * It keeps every deck in one JSON file and is meant for a home network or a small host:
+ *
+ *     node sync-server.js                   # listens on port 8787, stores sync-data.json
+ *     PORT=9000 SYNC_TOKEN=secret SYNC_DATA=/path/to/data.json node sync-server.js
+ *
+ * With SYNC_TOKEN set, every request must carry "Authorization: Bearer <token>".
+ * This file is not part of the app; browsers never load it.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs   = require('fs');
+
+const PORT      = parseInt(process.env.PORT, 10) || 8787;
+const TOKEN     = process.env.SYNC_TOKEN || '';
+const DATA_FILE = process.env.SYNC_DATA || 'sync-data.json';
+const MAX_BODY  = 50 * 1024 * 1024;
+
+// { decks: { name: { rev, deck, log } } }
+let store = { decks: {} };
+if (fs.existsSync(DATA_FILE)) {
+    store = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+function persist() {
+    // Write a new file and move it into place, so a crash never leaves half a file
+    fs.writeFileSync(DATA_FILE + '.tmp', JSON.stringify(store));
+    fs.renameSync(DATA_FILE + '.tmp', DATA_FILE);
+}
+
+function send(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type':                 'application/json',
+        'Access-Control-Allow-Origin':  '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('too large'));
+                req.destroy();
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function handle(req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (TOKEN && req.headers.authorization !== 'Bearer ' + TOKEN) return send(res, 401, { error: 'unauthorized' });
+
+    const url   = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'decks' || parts.length > 2) return send(res, 404, { error: 'not found' });
+
+    // GET /decks — every deck's name and revision
+    if (parts.length === 1) {
+        if (req.method !== 'GET') return send(res, 405, { error: 'method not allowed' });
+        return send(res, 200, {
+            decks: Object.keys(store.decks).map(name => ({ name, rev: store.decks[name].rev }))
+        });
+    }
+
+    const name  = decodeURIComponent(parts[1]);
+    const entry = store.decks[name];
+    const rev   = entry ? entry.rev : 0;
+
+    switch (req.method) {
+        // GET /decks/<name> — one deck with its review log
+        case 'GET':
+            return entry ? send(res, 200, { name, ...entry }) : send(res, 404, { error: 'not found' });
+
+        // PUT /decks/<name> — store a deck if baseRev is the current revision (0 = new deck)
+        case 'PUT': {
+            let body;
+            try {
+                body = JSON.parse(await readBody(req));
+            } catch (err) {
+                return send(res, 400, { error: 'invalid body' });
+            }
+            if (!body || typeof body.baseRev !== 'number' || !body.deck || !Array.isArray(body.deck.cards)) {
+                return send(res, 400, { error: 'invalid body' });
+            }
+            if (body.baseRev !== rev) return send(res, 409, { rev });
+            store.decks[name] = { rev: rev + 1, deck: body.deck, log: Array.isArray(body.log) ? body.log : [] };
+            persist();
+            return send(res, 200, { rev: rev + 1 });
+        }
+
+        // DELETE /decks/<name>?rev=N — delete a deck if N is the current revision
+        case 'DELETE':
+            if (!entry) return send(res, 404, { error: 'not found' });
+            if (parseInt(url.searchParams.get('rev'), 10) !== rev) return send(res, 409, { rev });
+            delete store.decks[name];
+            persist();
+            return send(res, 204);
+
+        default:
+            return send(res, 405, { error: 'method not allowed' });
+    }
+}
+
+http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+        console.error(err);
+        if (!res.headersSent) send(res, 500, { error: 'server error' });
+    });
+}).listen(PORT, () => {
+    console.log(`Flashcards sync server on http://localhost:${PORT} (data in ${DATA_FILE})`);
+});
@@ -0,0 +1,561 @@
+/**
+ * sync.js — Sync with a self-hosted server
+ * Keeps the decks of several devices the same through a server the user runs (see
+ * sync-server.js for a reference implementation, and the README for the protocol).
+ *
+ * Every deck is stored on the server as a whole, with a revision number that goes up on each
+ * change. A sync fetches the decks whose revision changed, merges them card by card with the
+ * decks here and sends back the result. The merge is three-way: what each side changed is found
+ * by comparing it with a snapshot taken at the last sync, so a change on one device is never
+ * mistaken for an old copy on the other. Edits of the same card on both devices, and changes
+ * to something the other device deleted, end up in a list of conflicts for the user to settle.
+ *
+ * The UI subscribes with setListener and is told (name) as soon as a sync or a settled conflict
+ * has replaced or deleted a deck here, so it can bring its own copy of that deck up to date
+ * before the next rating.
+ */
+
+const Sync = (() => {
+    const TIMEOUT_MS   = 20000;
+    const MAX_ATTEMPTS = 3;   // tries per deck when another device saves it at the same time
+
+    // Deck fields that belong to this device's study day rather than to the deck
+    const LOCAL_KEYS = ['name', 'cards', 'lastSessionDate', 'cardsReviewedToday', 'newCardsToday',
+        'reviewsToday', 'sessionExtension', 'dueDayStart'];
+
+    let running  = false;
+    let listener = null;
+
+    // ========================
+    // State
+    // ========================
+
+    /**
+     * Sync settings and state, kept in the app config:
+     * { endpoint, token, auto, lastSync, decks: { name: snapshot }, conflicts: [...] }
+     */
+    function getState() {
+        const cfg = Config.getConfig();
+        if (!cfg.sync || typeof cfg.sync !== 'object') cfg.sync = {};
+        const state = cfg.sync;
+        if (typeof state.endpoint !== 'string') state.endpoint = '';
+        if (typeof state.token !== 'string') state.token = '';
+        if (!state.decks || typeof state.decks !== 'object') state.decks = {};
+        if (!Array.isArray(state.conflicts)) state.conflicts = [];
+        return state;
+    }
+
+    function isConfigured() {
+        return getState().endpoint !== '';
+    }
+
+    function isRunning() {
+        return running;
+    }
+
+    function setListener(fn) {
+        listener = fn;
+    }
+
+    function notify(name) {
+        if (listener) listener(name);
+    }
+
+    /**
+     * Set the server address, token and whether to sync when the app opens.
+     * Returns an error string if the address isn't usable.
+     */
+    function configure({ endpoint, token, auto }) {
+        const state = getState();
+        const url   = String(endpoint || '').trim().replace(/\/+$/, '');
+        if (url && !/^https?:\/\/[^/]+/i.test(url)) return 'The server address must start with http:// or https://.';
+
+        // Snapshots describe the decks on one server; another server starts from scratch
+        if (url !== state.endpoint) state.decks = {};
+        state.endpoint = url;
+        state.token    = String(token || '').trim();
+        state.auto     = !!auto;
+        Config.save();
+        return null;
+    }
+
+    /** Stop syncing: forget the server and what was synced with it. Decks here stay. */
+    function disconnect() {
+        const cfg = Config.getConfig();
+        cfg.sync = {};
+        Config.save();
+    }
+
+    // ========================
+    // Snapshots
+    // ========================
+
+    /** Short FNV-1a hash of a value's canonical JSON (see Config.canonicalJson). */
+    function hash(value) {
+        const text = Config.canonicalJson(value);
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(36);
+    }
+
+    function cardHashes(card) {
+        const { text, progress } = Config.splitCard(card);
+        return [hash(text), hash(progress)];
+    }
+
+    function getSettings(deck) {
+        const settings = {};
+        Object.keys(deck).forEach(key => {
+            if (!LOCAL_KEYS.includes(key)) settings[key] = deck[key];
+        });
+        return settings;
+    }
+
+    /**
+     * What a deck looked like when it was synced: { rev, settings, cards: { id: [text, progress] } }
+     * with hashes in place of the data.
+     */
+    function snapshot(deck, rev) {
+        const cards = {};
+        deck.cards.forEach(card => { cards[card.id] = cardHashes(card); });
+        return { rev, settings: hash(getSettings(deck)), cards };
+    }
+
+    function sameSnapshot(a, b) {
+        const ids = Object.keys(a.cards);
+        return a.settings === b.settings &&
+            ids.length === Object.keys(b.cards).length &&
+            ids.every(id => b.cards[id] && a.cards[id][0] === b.cards[id][0] && a.cards[id][1] === b.cards[id][1]);
+    }
+
+    // ========================
+    // Merge
+    // ========================
+
+    /** When a card was last studied, in either direction. */
+    function lastStudied(card) {
+        return Math.max(card.lastReview || 0, (card.reverse && card.reverse.lastReview) || 0);
+    }
+
+    function describeCard(card) {
+        return card.translation ? `${card.word} — ${card.translation}` : card.word;
+    }
+
+    function createConflict(kind, deckName, extra) {
+        return { id: Config.generateCardId(), kind, deck: deckName, at: Date.now(), ...extra };
+    }
+
+    /**
+     * Merge one card that exists on both sides. Text and progress are merged separately: a side
+     * that didn't change since the last sync takes the other side's version. When both changed
+     * the text, this device's text is kept and a conflict records the other one; when both
+     * changed the progress, the more recently studied copy wins (its reviews are in the log).
+     */
+    function mergeCard(mine, theirs, old, deckName, conflicts) {
+        const [myText, myProgress]       = cardHashes(mine);
+        const [theirText, theirProgress] = cardHashes(theirs);
+        let textFrom = mine, progressFrom = mine;
+
+        if (myText !== theirText) {
+            if (old && myText === old[0]) {
+                textFrom = theirs;
+            } else if (!old || theirText !== old[0]) {
+                conflicts.push(createConflict('edit', deckName, {
+                    cardId: mine.id,
+                    label:  describeCard(mine),
+                    theirs: Config.splitCard(theirs).text
+                }));
+            }
+        }
+        if (myProgress !== theirProgress) {
+            if (old && myProgress === old[1]) progressFrom = theirs;
+            else if (!(old && theirProgress === old[1]) && lastStudied(theirs) > lastStudied(mine)) progressFrom = theirs;
+        }
+
+        return { id: mine.id, ...Config.splitCard(textFrom).text, ...Config.splitCard(progressFrom).progress };
+    }
+
+    /**
+     * Three-way merge of a deck here (`local`) with the server's copy (`remote`); `base` is the
+     * snapshot taken at the last sync, or null if the deck hasn't been synced before.
+     * Cards added on either side are kept, and a card deleted on one side is deleted on the
+     * other unless it was changed there (then it's kept, with a conflict). Deck settings follow
+     * the side that changed them. Returns { deck, conflicts }; the merged deck shares the cards
+     * it takes unchanged with `local` and `remote`.
+     */
+    function mergeDeck(local, remote, base) {
+        const deck      = { ...local };
+        const was       = base ? base.cards : {};
+        const conflicts = [];
+        const remoteIds = new Map(remote.cards.map(card => [card.id, card]));
+        const localIds  = new Set(local.cards.map(card => card.id));
+        const unchanged = (card, old) => {
+            const [text, progress] = cardHashes(card);
+            return text === old[0] && progress === old[1];
+        };
+
+        deck.cards = [];
+        local.cards.forEach(card => {
+            const theirs = remoteIds.get(card.id);
+            const old    = was[card.id];
+            if (theirs) {
+                deck.cards.push(mergeCard(card, theirs, old, local.name, conflicts));
+            } else if (!old) {
+                deck.cards.push(card);                       // added here
+            } else if (!unchanged(card, old)) {
+                deck.cards.push(card);                       // deleted there, but changed here
+                conflicts.push(createConflict('card-deleted', local.name, { where: 'there', cardId: card.id, label: describeCard(card) }));
+            }
+        });
+
+        // On a first sync, unstudied copies of the same card made on both devices (such as the
+        // example deck) would otherwise be doubled
+        const copies = base ? new Set() : new Set(local.cards.map(card => cardHashes(card).join('|')));
+        remote.cards.forEach(card => {
+            if (localIds.has(card.id) || copies.has(cardHashes(card).join('|'))) return;
+            const old = was[card.id];
+            if (old && unchanged(card, old)) return;         // deleted here
+            deck.cards.push(card);
+            if (old) {                                       // deleted here, but changed there
+                conflicts.push(createConflict('card-deleted', local.name, { where: 'here', cardId: card.id, label: describeCard(card) }));
+            }
+        });
+
+        const mine   = hash(getSettings(local));
+        const theirs = hash(getSettings(remote));
+        if (mine !== theirs) {
+            if (base && mine === base.settings) {
+                Object.assign(deck, getSettings(remote));
+            } else if (!base || theirs !== base.settings) {
+                conflicts.push(createConflict('settings', local.name, { label: 'Deck settings', theirs: getSettings(remote) }));
+            }
+        }
+
+        return { deck, conflicts };
+    }
+
+    /** Both review logs together, without the entries they share, oldest first. */
+    function mergeLogs(localLog, remoteLog) {
+        const key  = e => `${e.ts}|${e.cardId || ''}|${e.rating || ''}`;
+        const seen = new Set(localLog.map(key));
+        return localLog.concat(remoteLog.filter(e => !seen.has(key(e)))).sort((a, b) => a.ts - b.ts);
+    }
+
+    // ========================
+    // Conflicts
+    // ========================
+
+    function getConflicts() {
+        return getState().conflicts;
+    }
+
+    /** Add conflicts, replacing older ones about the same card or deck settings. */
+    function addConflicts(list) {
+        const state = getState();
+        list.forEach(conflict => {
+            state.conflicts = state.conflicts.filter(c =>
+                c.deck !== conflict.deck || c.kind !== conflict.kind || c.cardId !== conflict.cardId);
+            state.conflicts.push(conflict);
+        });
+    }
+
+    /**
+     * Settle a conflict. action 'dismiss' leaves things as they are now; 'use-theirs' takes the
+     * other device's card text or deck settings; 'delete' deletes the card or deck after all.
+     * The choice reaches the other devices with the next sync. Returns an error string on failure.
+     */
+    function resolveConflict(id, action) {
+        const state    = getState();
+        const conflict = state.conflicts.find(c => c.id === id);
+        if (!conflict) return 'This conflict was already settled.';
+
+        if (action === 'delete' && conflict.kind === 'deck-deleted') {
+            Config.deleteDeck(conflict.deck);
+        } else if (action !== 'dismiss') {
+            const deck = Config.loadDeck(conflict.deck);
+            const card = deck && deck.cards.find(c => c.id === conflict.cardId);
+            if (action === 'use-theirs' && conflict.kind === 'settings' && deck) {
+                Object.assign(deck, conflict.theirs);
+            } else if (action === 'use-theirs' && conflict.kind === 'edit' && card) {
+                Config.CARD_TEXT_KEYS.forEach(key => { delete card[key]; });
+                Object.assign(card, conflict.theirs);
+                addNoteTypes(conflict.noteTypes || [], [card]);
+            } else if (action === 'delete' && conflict.kind === 'card-deleted' && card) {
+                deck.cards = deck.cards.filter(c => c !== card);
+            }
+            if (deck && !Config.saveDeck(deck)) return 'The deck could not be saved.';
+        }
+
+        state.conflicts = state.conflicts.filter(c => c !== conflict);
+        Config.save();
+        if (action !== 'dismiss') notify(conflict.deck);
+        return null;
+    }
+
+    // ========================
+    // Server
+    // ========================
+
+    /**
+     * Send a request to the sync server. Resolves to { status, data } for success, 404 and 409
+     * (which the caller handles); anything else throws an Error with a readable message.
+     */
+    async function request(method, path, body) {
+        const state      = getState();
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer      = controller ? setTimeout(() => controller.abort(), TIMEOUT_MS) : null;
+        const headers    = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (state.token) headers['Authorization'] = 'Bearer ' + state.token;
+
+        try {
+            let response;
+            try {
+                response = await fetch(state.endpoint + path, {
+                    method,
+                    headers,
+                    body:   body === undefined ? undefined : JSON.stringify(body),
+                    cache:  'no-store',
+                    signal: controller ? controller.signal : undefined
+                });
+            } catch (err) {
+                throw new Error(err.name === 'AbortError' ? 'the server did not answer in time' : 'the server could not be reached');
+            }
+            if (response.status === 401 || response.status === 403) throw new Error('the server did not accept the access token');
+            if (!response.ok && response.status !== 404 && response.status !== 409) {
+                throw new Error(`the server answered with an error (${response.status})`);
+            }
+
+            const text = await response.text();
+            let data = null;
+            if (text) {
+                try {
+                    data = JSON.parse(text);
+                } catch (err) {
+                    throw new Error('the server sent something that is not JSON');
+                }
+            }
+            return { status: response.status, data };
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    function deckPath(name) {
+        return '/decks/' + encodeURIComponent(name);
+    }
+
+    /**
+     * The server's copy of a deck as { rev, deck, log, noteTypes }, or null if it's not there.
+     * The deck is normalized like an imported one (which moves its due dates onto this device's
+     * day boundary); the note types that came with it are only added here for the cards that
+     * end up using them (see addNoteTypes).
+     */
+    async function fetchDeck(name) {
+        const res = await request('GET', deckPath(name));
+        if (res.status === 404) return null;
+        const data = res.data || {};
+        const deck = data.deck && typeof data.deck === 'object' ? Config.normalizeDeck(data.deck) : null;
+        if (!deck || typeof deck === 'string' || deck.name !== name || typeof data.rev !== 'number') {
+            throw new Error(`the server's copy of "${name}" is damaged`);
+        }
+        const { noteTypes, ...rest } = deck;
+        const log = Array.isArray(data.log) ? data.log.filter(e => e && typeof e.ts === 'number') : [];
+        return { rev: data.rev, deck: rest, log, noteTypes };
+    }
+
+    /** The note types of a list (from the server) that the given cards use. */
+    function usedNoteTypes(noteTypes, cards) {
+        const ids = new Set(cards.map(card => card.noteType).filter(Boolean));
+        return noteTypes.filter(type => type && ids.has(String(type.id)));
+    }
+
+    /**
+     * Add the server's note types that `cards` use and point the cards at them (see
+     * Config.registerNoteTypes). Only cards that got their note type from the server are
+     * passed in, so a type here is never swapped for one of the same id on the server.
+     */
+    function addNoteTypes(noteTypes, cards) {
+        if (cards.length > 0) Config.registerNoteTypes({ noteTypes: usedNoteTypes(noteTypes, cards), cards });
+    }
+
+    /** Store a deck on the server. Resolves to the new revision, or null if `baseRev` is out of date. */
+    async function pushDeck(deck, log, baseRev) {
+        const res = await request('PUT', deckPath(deck.name), {
+            baseRev,
+            deck: { ...deck, noteTypes: NoteTypes.getUsedTypes(deck) },
+            log
+        });
+        if (res.status === 409) return null;
+        if (res.status === 404 || !res.data || typeof res.data.rev !== 'number') {
+            throw new Error(`the server did not store "${deck.name}"`);
+        }
+        return res.data.rev;
+    }
+
+    /**
+     * Store a deck and its review log here and wait until they are written; throws if they
+     * couldn't be. The listener hears of it right away, before the wait.
+     */
+    async function saveLocally(deck, log) {
+        const saved = Config.saveDeck(deck) && Config.saveReviewLog(deck.name, log);
+        if (saved) notify(deck.name);
+        if (!saved || !(await DB.whenStored(deck.name))) {
+            throw new Error(`"${deck.name}" could not be saved on this device`);
+        }
+    }
+
+    // ========================
+    // Sync
+    // ========================
+
+    /**
+     * Sync one deck. `rev` is its revision on the server (undefined if it isn't there).
+     * The deck is read, merged and saved here with no request in between, and the listener
+     * is told at once, so a card rated while a request is under way is neither overwritten
+     * nor rated in an outdated copy of the deck.
+     */
+    async function syncDeck(name, rev, result) {
+        const state = getState();
+        // After a failed save the deck here isn't what's stored, and a snapshot of it would
+        // make the stored copy look like a change when the app is opened again
+        if (!(await DB.whenStored(name))) throw new Error(`"${name}" could not be saved on this device`);
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const base   = state.decks[name] || null;
+            const remote = rev !== undefined && (!base || rev !== base.rev) ? await fetchDeck(name) : null;
+            if (remote) rev = remote.rev;
+            else if (rev !== undefined && (!base || rev !== base.rev)) rev = undefined;  // gone meanwhile
+
+            const local = Config.loadDeck(name);
+
+            if (!local && rev === undefined) {
+                delete state.decks[name];
+                return;
+            }
+
+            if (!local) {
+                if (!remote) {
+                    // Deleted here and unchanged on the server
+                    const res = await request('DELETE', `${deckPath(name)}?rev=${rev}`);
+                    if (res.status === 409) {
+                        rev = res.data && res.data.rev ? res.data.rev : undefined;
+                        continue;
+                    }
+                    delete state.decks[name];
+                    result.deleted++;
+                    return;
+                }
+                // New on the server, or changed there after it was deleted here
+                addNoteTypes(remote.noteTypes, remote.deck.cards);
+                await saveLocally(remote.deck, remote.log);
+                if (base) addConflicts([createConflict('deck-deleted', name, { where: 'here', label: name })]);
+                state.decks[name] = snapshot(remote.deck, rev);
+                result.pulled++;
+                return;
+            }
+
+            const localLog = Config.loadReviewLog(name);
+            let deck = local, log = localLog;
+            if (rev === undefined) {
+                if (base && sameSnapshot(snapshot(local, 0), base)) {
+                    // Deleted on another device and unchanged here
+                    Config.deleteDeck(name);
+                    notify(name);
+                    delete state.decks[name];
+                    result.deleted++;
+                    return;
+                }
+                if (base) addConflicts([createConflict('deck-deleted', name, { where: 'there', label: name })]);
+            } else if (remote) {
+                const merged = mergeDeck(local, remote.deck, base);
+                deck = merged.deck;
+                log  = mergeLogs(localLog, remote.log);
+                const types = new Map(local.cards.map(card => [card.id, card.noteType]));
+                addNoteTypes(remote.noteTypes, deck.cards.filter(card => !types.has(card.id) || types.get(card.id) !== card.noteType));
+                merged.conflicts.forEach(conflict => {
+                    // Kept for when the other device's text is chosen after all
+                    if (conflict.kind === 'edit') conflict.noteTypes = usedNoteTypes(remote.noteTypes, [conflict.theirs]);
+                });
+                if (!sameSnapshot(snapshot(deck, 0), snapshot(local, 0)) || log.length > localLog.length) {
+                    await saveLocally(deck, log);
+                    result.pulled++;
+                }
+                addConflicts(merged.conflicts);
+                // The server's copy is now the common ancestor: what the deck here has on top of
+                // it is what still needs sending, even if the push below fails
+                state.decks[name] = snapshot(remote.deck, rev);
+                if (sameSnapshot(snapshot(deck, 0), state.decks[name]) && log.length <= remote.log.length) return;
+            } else if (sameSnapshot(snapshot(local, 0), base)) {
+                return;   // unchanged on both sides since the last sync
+            }
+
+            const newRev = await pushDeck(deck, log, rev === undefined ? 0 : rev);
+            if (newRev === null) {
+                rev = null;   // another device saved first: fetch its copy and merge again
+                continue;
+            }
+            state.decks[name] = snapshot(deck, newRev);
+            result.pushed++;
+            return;
+        }
+        throw new Error(`"${name}" kept changing on the server`);
+    }
+
+    /**
+     * Sync every deck with the server. Resolves to { pulled, pushed, deleted, conflicts }
+     * (decks changed here, decks sent, decks deleted on either side, conflicts now open),
+     * or an error string. Decks already synced before an error stay synced.
+     */
+    async function run() {
+        if (running) return 'A sync is already running.';
+        const state = getState();
+        if (!state.endpoint) return 'Enter the address of your sync server first.';
+
+        running = true;
+        const result = { pulled: 0, pushed: 0, deleted: 0, conflicts: 0 };
+        try {
+            const res = await request('GET', '/decks');
+            if (!res.data || !Array.isArray(res.data.decks)) throw new Error('the server sent an invalid deck list');
+            const revs = {};
+            res.data.decks.forEach(d => {
+                if (d && typeof d.name === 'string' && typeof d.rev === 'number') revs[d.name] = d.rev;
+            });
+
+            // Parents first, so pulling a subdeck never creates an empty parent that then clashes
+            const names = [...new Set([...Config.getDeckNames(), ...Object.keys(revs), ...Object.keys(state.decks)])]
+                .sort(Config.compareDeckNames);
+            for (const name of names) {
+                await syncDeck(name, revs[name], result);
+            }
+
+            state.lastSync   = Date.now();
+            result.conflicts = state.conflicts.length;
+            return result;
+        } catch (err) {
+            return 'Sync failed: ' + err.message + '.';
+        } finally {
+            running = false;
+            Config.save();
+        }
+    }
+
+    return {
+        getState,
+        isConfigured,
+        isRunning,
+        setListener,
+        configure,
+        disconnect,
+        hash,
+        snapshot,
+        mergeDeck,
+        mergeLogs,
+        getConflicts,
+        resolveConflict,
+        run
+    };
+})();
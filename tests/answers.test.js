@@ -0,0 +1,79 @@
+/**
+ * answers.test.js — Answer checking
+ * Checks typed answers against the expected ones with a deck's options, the multiple-choice
+ * options built from a deck, and the rating each result suggests.
+ *
+ *     node tests/answers.test.js
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const { load, plain } = require('./load');
+
+const { Answers } = load(['answers.js']);
+
+/** The diff of a typed answer as [type, text] pairs. */
+function diff(typed, expected, options) {
+    return plain(Answers.check(typed, expected, options).parts.map(p => [p.type, p.text]));
+}
+
+// Typed answers: case, extra spaces and punctuation don't count by default, accents do
+{
+    assert.ok(Answers.check('  buenos   DÍAS ', '¡Buenos días!').correct);
+    assert.deepStrictEqual(diff('buenos dias', 'Buenos días'), [['equal', 'Buenos d'], ['extra', 'i'], ['missing', 'í'], ['equal', 'as']]);
+    assert.ok(Answers.check('buenos dias', 'Buenos días', { ignoreAccents: true }).correct);
+    assert.ok(!Answers.check('buenos días', 'Buenos días', { ignoreCase: false }).correct);
+    assert.deepStrictEqual(diff('Hola', '¡Hola!', { ignorePunctuation: false }), [['missing', '¡'], ['equal', 'Hola'], ['missing', '!']]);
+    assert.strictEqual(Answers.normalize('Straße, ¿no?', { ignoreAccents: true }), 'strasse no');
+
+    // A deck's own options go over the defaults
+    assert.deepStrictEqual(plain(Answers.getOptions({ answerCheck: { ignoreAccents: true } })),
+        { ignoreCase: true, ignoreAccents: true, ignorePunctuation: true });
+    assert.deepStrictEqual(plain(Answers.getOptions(null)), plain(Answers.DEFAULT_OPTIONS));
+}
+
+// The diff shows what was typed wrong, left out or added, in reading order
+{
+    assert.deepStrictEqual(diff('gato', 'gatos'), [['equal', 'gato'], ['missing', 's']]);
+    assert.deepStrictEqual(diff('el gato', 'gato'), [['extra', 'el '], ['equal', 'gato']]);
+    assert.deepStrictEqual(diff('perro', 'gato'), [['extra', 'perr'], ['missing', 'gat'], ['equal', 'o']]);
+    assert.strictEqual(Answers.check('', 'gato').similarity, 0);
+    assert.strictEqual(Answers.check('gato', 'gatos').similarity, 0.8);
+}
+
+// Suggested ratings: right = good, almost right = hard, otherwise again; simple mode only
+// tells right from wrong
+{
+    const suggest = (typed, mode) => Answers.suggestRating(Answers.check(typed, 'gatos'), mode);
+    assert.strictEqual(suggest('Gatos', 'spaced'), 'good');
+    assert.strictEqual(suggest('gato', 'spaced'), 'hard');
+    assert.strictEqual(suggest('perro', 'spaced'), 'again');
+    assert.strictEqual(suggest('gatos', 'simple'), 'remembered');
+    assert.strictEqual(suggest('gato', 'simple'), 'forgot');
+}
+
+// Multiple choice: the answer and up to three other answers from the deck, the most alike
+// first, each once; cards without an answer or with the same one are left out
+{
+    const cards  = ['gato', 'gatos', 'gata', 'gatito', 'perro', 'casa', '¡Gato!', ''].map((a, i) => ({ id: 'c' + i, answer: a }));
+    const answer = card => card.answer;
+    for (let n = 0; n < 20; n++) {
+        const { options, correctIndex } = Answers.buildChoices({ cards }, cards[0], answer);
+        assert.strictEqual(options.length, Answers.CHOICE_COUNT);
+        assert.strictEqual(options[correctIndex], 'gato');
+        assert.deepStrictEqual(plain(options.filter(o => o !== 'gato').sort()), ['gata', 'gatito', 'gatos']);
+    }
+
+    const few = Answers.buildChoices({ cards: cards.slice(4, 6) }, cards[4], answer);
+    assert.deepStrictEqual(plain(few.options.slice().sort()), ['casa', 'perro']);
+    assert.strictEqual(few.options[few.correctIndex], 'perro');
+
+    assert.strictEqual(Answers.choiceRating(true, 'spaced'), 'good');
+    assert.strictEqual(Answers.choiceRating(false, 'spaced'), 'again');
+    assert.strictEqual(Answers.choiceRating(true, 'simple'), 'remembered');
+    assert.strictEqual(Answers.choiceRating(false, 'simple'), 'forgot');
+}
+
+console.log('answers: all checks passed');
@@ -0,0 +1,105 @@
+/**
+ * apkg.test.js — Anki package import
+ * Reads fixtures/sample.apkg (see fixtures/make-apkg.py for what it holds) and checks the
+ * decks, schedules, tags and review log it turns into.
+ *
+ *     node tests/apkg.test.js
+ */
+
+'use strict';
+
+// Anki counts due days from the collection's creation; check them against UTC days
+process.env.TZ = 'UTC';
+
+const assert = require('assert');
+const fs     = require('fs');
+const path   = require('path');
+
+const { load, plain } = require('./load');
+
+const app = load(['scheduler.js', 'answers.js', 'db.js', 'config.js', 'notetypes.js', 'session.js', 'apkg.js'],
+    { Blob, Response, DecompressionStream });
+app.Config.load();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CRT_MS = Date.UTC(2023, 0, 1);
+
+(async () => {
+    const result = await app.Apkg.read(fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.apkg')));
+    assert.strictEqual(typeof result, 'object', result);
+    assert.strictEqual(result.skipped, 0);
+    assert.strictEqual(result.media, 1);
+
+    // Decks: sorted by name, so parents come first; a reverse card turns on both directions
+    const decks = Object.fromEntries(result.decks.map(d => [d.name, d]));
+    assert.deepStrictEqual(plain(result.decks.map(d => d.name)), ['Default', 'Spanish', 'Spanish::Verbs']);
+    assert.strictEqual(decks.Default.cards.length, 1);
+    assert.strictEqual(decks.Spanish.cards.length, 152);           // 150 notes and two cloze gaps
+    assert.strictEqual(decks['Spanish::Verbs'].cards.length, 150);
+    assert.strictEqual(decks.Spanish.cardDirection, 'both');
+    assert.strictEqual(decks.Default.cardDirection, undefined);
+    result.decks.forEach(d => assert.strictEqual(d.learningMode, 'spaced'));
+
+    // A review card: fields without HTML, the day it is due, interval, ease and tags
+    const first = decks.Spanish.cards[0];
+    assert.strictEqual(first.id, 'anki-1600000000000');
+    assert.strictEqual(first.word, 'w0 & x');
+    assert.strictEqual(first.translation, 'mean\n0');
+    assert.strictEqual(first.sessionStatus, 'SPACED');
+    assert.strictEqual(first.due, Date.UTC(2023, 3, 16, app.Config.getDayStartHour()));
+    assert.strictEqual(first.interval, 10);
+    assert.strictEqual(first.easeFactor, 2.3);
+    assert.strictEqual(first.learningState, null);
+    assert.strictEqual(first.tags, 't0 verbs');
+    assert.strictEqual(first.lastReview, 1700000000123);
+    assert.strictEqual(decks['Spanish::Verbs'].cards[0].tags, 't1 verbs');
+
+    // Its reverse card is new; notes without one keep no reverse schedule
+    assert.strictEqual(first.reverse.sessionStatus, 'TO_REVIEW');
+    assert.strictEqual(first.reverse.due, null);
+    assert.strictEqual(decks.Spanish.cards.filter(c => c.reverse).length, 3);
+    assert.strictEqual(decks['Spanish::Verbs'].cards.filter(c => c.reverse).length, 2);
+
+    // Cloze gaps: one card each, the text read across overflow pages
+    const gaps = decks.Spanish.cards.filter(c => c.cloze);
+    assert.deepStrictEqual(plain(gaps.map(c => [c.id, c.cloze, c.noteId, c.noteType])), [
+        ['anki-1700000000000-1', 1, 'anki-1700000000000', 'cloze'],
+        ['anki-1700000000000-2', 2, 'anki-1700000000000', 'cloze']
+    ]);
+    assert.strictEqual(gaps[0].word.length, 'Me {{c1::gusta}} {{c2::el}} café'.length + 5000);
+    assert.strictEqual(gaps[0].translation, 'extra');
+    assert.strictEqual(gaps[0].learningState, 'learning');
+    assert.strictEqual(gaps[0].learningStep, 0);
+    assert.strictEqual(gaps[0].due, CRT_MS + 200 * DAY_MS + 600 * 1000);
+    assert.strictEqual(gaps[1].sessionStatus, 'TO_REVIEW');
+
+    // A model with extra fields becomes a note type of the deck
+    const vocab = decks.Default.cards[0];
+    assert.strictEqual(vocab.noteType, 'anki-333');
+    assert.deepStrictEqual(plain(vocab.fields), { Example: 'Hola amigo' });
+    assert.deepStrictEqual(plain(decks.Default.noteTypes.map(t => [t.id, t.fields])), [['anki-333', ['Word', 'Meaning', 'Example']]]);
+    assert.deepStrictEqual(plain(decks.Spanish.noteTypes), []);
+
+    // Review log: in the deck of its card, with the direction it was studied in
+    assert.deepStrictEqual(plain(decks.Default.log), []);
+    assert.deepStrictEqual(plain(decks['Spanish::Verbs'].log), []);
+    assert.deepStrictEqual(plain(decks.Spanish.log.map(e => [e.ts, e.cardId, e.rating, e.type, e.prevInterval, e.interval, e.ease, e.timeMs, !!e.reverse])), [
+        [1700000000123, 'anki-1600000000000', 'good', 'review', 4, 10, 2.3, 5000, false],
+        [1700000000999, 'anki-1600000000000', 'again', 'learning', 0, 0, 2.5, 5000, true]
+    ]);
+
+    // Every converted deck passes the app's own import checks
+    result.decks.forEach(d => {
+        const deck = app.Config.importDeck(plain(d));
+        assert.strictEqual(typeof deck, 'object', deck);
+        assert.strictEqual(deck.cards.length, d.cards.length);
+    });
+
+    // Not a package at all
+    assert.strictEqual(typeof await app.Apkg.read(Buffer.from('not a zip')), 'string');
+
+    console.log('apkg: all checks passed');
+})().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
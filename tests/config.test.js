@@ -0,0 +1,74 @@
+/**
+ * config.test.js — Stored decks
+ * Loads decks saved by older versions, and imported ones, in a fresh app and checks what
+ * they become.
+ *
+ *     node tests/config.test.js
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const { load, plain } = require('./load');
+
+const FILES = ['scheduler.js', 'answers.js', 'db.js', 'config.js', 'notetypes.js', 'session.js'];
+
+/** A fresh app whose storage holds `decks` ({ name: { deck, log } }) as older versions saved them. */
+function createApp(decks) {
+    const app = load(FILES);
+    app.localStorage.setItem('flashcards_config', JSON.stringify({ deckNames: Object.keys(decks) }));
+    Object.entries(decks).forEach(([name, { deck, log }]) => {
+        app.localStorage.setItem('flashcards_deck_' + name, JSON.stringify(deck));
+        if (log) app.localStorage.setItem('flashcards_log_' + name, JSON.stringify(log));
+    });
+    app.Config.load();
+    return app;
+}
+
+function simpleCard(word, translation, id) {
+    return { id, word, translation, sessionStatus: 'TO_REVIEW' };
+}
+
+// Card IDs: cards saved without one (or with one another card has too) get a new one when
+// the app loads, and review log entries from before IDs are linked to their card
+{
+    const app = createApp({
+        Old: {
+            deck: {
+                name: 'Old', learningMode: 'simple', dailyLimit: 5,
+                cards: [simpleCard('hola', 'hello'), simpleCard('hola', 'hello'), simpleCard('adiós', 'bye', 'x'), simpleCard('sí', 'yes', 'x')]
+            },
+            log: [{ ts: 1, word: 'adiós', translation: 'bye', rating: 'remembered' }]
+        }
+    });
+    const deck = app.Config.loadDeck('Old');
+    const ids  = deck.cards.map(c => c.id);
+    assert.ok(ids.every(Boolean));
+    assert.strictEqual(new Set(ids).size, 4);
+    assert.strictEqual(ids[2], 'x');
+    assert.strictEqual(app.Config.loadReviewLog('Old')[0].cardId, 'x');
+    assert.deepStrictEqual(plain(app.Config.loadDeck('Old').cards.map(c => c.id)), plain(ids)); // saved
+
+    // Two cards with the same text are still two cards: rating one leaves the other
+    app.Session.buildQueue(deck);
+    while (app.Session.getCurrentCard().word !== 'hola') app.Session.rateCard(deck, 'forgot');
+    const rated = app.Session.getCurrentCard();
+    app.Session.rateCard(deck, 'remembered');
+    assert.deepStrictEqual(plain(deck.cards.filter(c => c.word === 'hola').map(c => c.sessionStatus === 'FINISHED')),
+        plain(deck.cards.filter(c => c.word === 'hola').map(c => c === rated)));
+}
+
+// Imported cards keep their IDs, and get one when they have none or a duplicate
+{
+    const app  = createApp({});
+    const deck = app.Config.importDeck({
+        name: 'Imported',
+        cards: [simpleCard('uno', 'one', 'a'), simpleCard('dos', 'two'), simpleCard('tres', 'three', 'a')]
+    });
+    assert.strictEqual(deck.cards[0].id, 'a');
+    assert.strictEqual(new Set(deck.cards.map(c => c.id)).size, 3);
+    assert.notStrictEqual(app.Config.createCard('uno', 'one').id, app.Config.createCard('uno', 'one').id);
+}
+
+console.log('config: all checks passed');
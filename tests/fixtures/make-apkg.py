@@ -0,0 +1,99 @@
+"""
+make-apkg.py — Builds sample.apkg, the Anki package tests/apkg.test.js imports
+Run it from this directory (python3 make-apkg.py) after changing what the package holds.
+It writes the same bytes every time, so an unchanged package shows no diff.
+
+The collection (created 2023-01-01 00:00 UTC) holds:
+  - 300 "Basic (and reversed card)" notes, in Spanish and Spanish::Verbs alternately, each
+    a review card due on day 105 with a 10-day interval and tags "t<n % 3> verbs"; the
+    first five also have a new reverse card
+  - a Cloze note in Spanish whose text is long enough to spill onto overflow pages:
+    gap 1 in learning, gap 2 new
+  - a three-field "Vocab" note in Default
+  - two review-log entries for the first note: a review of its front and a learning
+    step of its reverse
+  - one media file
+"""
+
+import json
+import os
+import sqlite3
+import zipfile
+
+CRT  = 1672531200                     # 2023-01-01 00:00 UTC, in seconds
+DUE  = CRT + 200 * 86400 + 600        # learning due time of the cloze card, in seconds
+DATE = (2023, 1, 1, 0, 0, 0)          # timestamp of every file in the zip
+TMP  = 'collection.tmp'
+
+SCHEMA = '''
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE INDEX ix_cards_nid on cards (nid);
+'''
+
+MODELS = {
+    '111': {'id': 111, 'name': 'Basic (and reversed card)', 'type': 0,
+            'flds': [{'name': 'Front', 'ord': 0}, {'name': 'Back', 'ord': 1}],
+            'tmpls': [{'ord': 0}, {'ord': 1}]},
+    '222': {'id': 222, 'name': 'Cloze', 'type': 1,
+            'flds': [{'name': 'Text', 'ord': 0}, {'name': 'Back Extra', 'ord': 1}]},
+    '333': {'id': 333, 'name': 'Vocab', 'type': 0,
+            'flds': [{'name': 'Word', 'ord': 0}, {'name': 'Meaning', 'ord': 1}, {'name': 'Example', 'ord': 2}]}
+}
+DECKS = {'1': {'id': 1, 'name': 'Default'}, '5': {'id': 5, 'name': 'Spanish'}, '6': {'id': 6, 'name': 'Spanish::Verbs'}}
+
+
+def build(path):
+    if os.path.exists(path):
+        os.remove(path)
+    db = sqlite3.connect(path)
+    db.executescript(SCHEMA)
+    db.execute('insert into col values (1,?,0,0,11,0,0,0,?,?,?,?,?)',
+               (CRT, '{}', json.dumps(MODELS), json.dumps(DECKS), '{}', '{}'))
+
+    # cards: id, nid, did, ord, mod, usn, type, queue, due, ivl, factor, reps, lapses, left, odue, odid, flags, data
+    cid = 1000
+    for i in range(300):
+        nid = 1600000000000 + i
+        db.execute('insert into notes values (?,?,111,0,0,?,?,0,0,0,?)',
+                   (nid, 'g%d' % i, ' t%d verbs ' % (i % 3), 'w%d &amp; <b>x</b>\x1fmean<br>%d' % (i, i), ''))
+        db.execute('insert into cards values (?,?,?,0,0,0,2,2,105,10,2300,3,0,0,0,0,0,?)',
+                   (cid, nid, 6 if i % 2 else 5, '{}'))
+        cid += 1
+        if i < 5:
+            db.execute('insert into cards values (?,?,5,1,0,0,0,0,3,0,0,0,0,0,0,0,0,?)', (cid, nid, '{}'))
+            cid += 1
+
+    cloze = 1700000000000
+    db.execute('insert into notes values (?,?,222,0,0,?,?,0,0,0,?)',
+               (cloze, 'gc', '', 'Me {{c1::gusta}} {{c2::el}} café' + 'x' * 5000 + '\x1fextra', ''))
+    db.execute('insert into cards values (?,?,5,0,0,0,1,1,?,0,2500,1,0,0,0,0,0,?)', (cid, cloze, DUE, '{}'))
+    db.execute('insert into cards values (?,?,5,1,0,0,0,0,7,0,0,0,0,0,0,0,0,?)', (cid + 1, cloze, '{}'))
+
+    vocab = 1800000000000
+    db.execute('insert into notes values (?,?,333,0,0,?,?,0,0,0,?)', (vocab, 'gv', '', 'hola\x1fhello\x1fHola amigo', ''))
+    db.execute('insert into cards values (?,?,1,0,0,0,0,0,9,0,0,0,0,0,0,0,0,?)', (cid + 2, vocab, '{}'))
+
+    # revlog: id (ms), cid, usn, ease, ivl, lastIvl, factor, time, type
+    db.execute('insert into revlog values (1700000000123,1000,0,3,10,4,2300,5000,1)')
+    db.execute('insert into revlog values (1700000000999,1001,0,1,-600,0,0,5000,0)')
+    db.commit()
+    db.close()
+
+
+def add(z, name, data):
+    info = zipfile.ZipInfo(name, DATE)
+    info.compress_type = zipfile.ZIP_DEFLATED
+    z.writestr(info, data)
+
+
+build(TMP)
+with open(TMP, 'rb') as f:
+    collection = f.read()
+os.remove(TMP)
+with zipfile.ZipFile('sample.apkg', 'w') as z:
+    add(z, 'collection.anki2', collection)
+    add(z, 'media', '{"0":"a.mp3"}')
+    add(z, '0', b'xx')
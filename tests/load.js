@@ -0,0 +1,172 @@
+/**
+ * load.js — Runs the app's scripts in Node for the tests
+ * Each call gives a fresh sandbox, like a new browser tab: the scripts run in order in their
+ * own context with an empty localStorage, and every module they define is on the sandbox.
+ *
+ *     const app = load(['scheduler.js', 'config.js'], { fetch });
+ *     app.Config.load();
+ *
+ * `globals` adds browser features a test needs (fetch, Blob, indexedDB...). Objects made in
+ * the sandbox have its own Object and Array, so pass them through plain() before
+ * assert.deepStrictEqual. createClock() makes a Date whose time the test moves forward:
+ *
+ *     const clock = createClock(Date.UTC(2026, 0, 5, 12));
+ *     const app   = load([...], { Date: clock.Date });
+ *     clock.advance(10 * 60 * 1000);
+ *
+ * loadApp() runs the whole app, UI included, on a stand-in for the page (createDocument) and
+ * resolves once it has started; buttons are pressed with app.click(id).
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem:    key => (items.has(key) ? items.get(key) : null),
+        setItem:    (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); },
+        key:        i => [...items.keys()][i] ?? null,
+        clear:      () => items.clear(),
+        get length() { return items.size; }
+    };
+}
+
+function load(files, globals) {
+    const sandbox = {
+        console, setTimeout, clearTimeout, TextEncoder, TextDecoder,
+        localStorage: createStorage(),
+        ...globals
+    };
+    vm.createContext(sandbox);
+    files.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, sandbox, { filename: file });
+        // Top-level consts stay in the script scope; put the module on the sandbox too
+        const name = (code.match(/^const (\w+) = /m) || [])[1];
+        if (name) vm.runInContext(`this.${name} = ${name};`, sandbox);
+    });
+    return sandbox;
+}
+
+/**
+ * A stand-in for the page's document, enough for ui.js and dialogs.js to run without a
+ * browser: every element exists (getElementById and querySelector make it on first use),
+ * keeps whatever is set on it and calls its listeners on dispatch(), which returns what they
+ * return. Methods an element doesn't have do nothing. querySelectorAll only finds appended
+ * elements by tag name, under an element or under '#id' on the document.
+ */
+function createDocument() {
+    const elements = new Map();
+
+    function createElement(tag) {
+        const listeners = {};
+        const classes   = new Set();
+        const found     = new Map();   // querySelector results, one element per selector
+        let   html      = '';
+        const element   = {
+            tagName:     String(tag).toUpperCase(),
+            value:       '',
+            checked:     false,
+            disabled:    false,
+            textContent: '',
+            innerText:   '',
+            get innerHTML() { return html; },
+            set innerHTML(value) { html = value; element.children.length = 0; },
+            style:       {},
+            dataset:     {},
+            children:    [],
+            options:     [],
+            classList: {
+                add:      (...names) => names.forEach(n => classes.add(n)),
+                remove:   (...names) => names.forEach(n => classes.delete(n)),
+                toggle:   (name, on) => ((on === undefined ? !classes.has(name) : on) ? classes.add(name) : classes.delete(name)),
+                contains: name => classes.has(name)
+            },
+            addEventListener: (type, fn) => { (listeners[type] = listeners[type] || []).push(fn); },
+            dispatch: (type, event) => (listeners[type] || []).map(fn => fn({
+                type, target: proxy, preventDefault() {}, stopPropagation() {}, ...event
+            })),
+            appendChild:      child => { element.children.push(child); return child; },
+            querySelector:    selector => {
+                if (!found.has(selector)) found.set(selector, createElement('div'));
+                return found.get(selector);
+            },
+            querySelectorAll: selector => element.children.flatMap(child => (
+                child.tagName === selector.toUpperCase() ? [child] : []).concat(child.querySelectorAll(selector)))
+        };
+        const proxy = new Proxy(element, {
+            get: (target, key) => (key in target || typeof key === 'symbol' || key === 'then' ? target[key] : () => {})
+        });
+        return proxy;
+    }
+
+    const document = createElement('#document');
+    Object.assign(document, {
+        body:           createElement('body'),
+        activeElement:  null,
+        createElement,
+        createTextNode: text => ({ textContent: text, children: [], querySelectorAll: () => [] }),
+        querySelectorAll: selector => {
+            const [, id, tag] = selector.match(/^#([\w-]+) (\w+)$/) || [];
+            return id ? document.getElementById(id).querySelectorAll(tag) : [];
+        },
+        getElementById: id => {
+            if (!elements.has(id)) elements.set(id, createElement('div'));
+            return elements.get(id);
+        }
+    });
+    return document;
+}
+
+/**
+ * The whole app on a stand-in document (see createDocument), started like a page load.
+ * Resolves to the sandbox, with click(id) to press a button.
+ */
+async function loadApp(globals) {
+    const html     = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const files    = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]);
+    const document = createDocument();
+    const app      = load(files, {
+        document,
+        navigator: {},
+        location:  { protocol: 'file:' },
+        confirm:   () => true,
+        ...globals
+    });
+    app.click = id => document.getElementById(id).dispatch('click');
+    await Promise.all(document.dispatch('DOMContentLoaded'));
+    return app;
+}
+
+/** A Date for the sandbox that stands still at `start` until advance() moves it on (ms). */
+function createClock(start) {
+    const clock = {
+        now:     start,
+        advance: ms => { clock.now += ms; }
+    };
+    clock.Date = class extends Date {
+        constructor(...args) {
+            if (args.length > 0) super(...args);
+            else super(clock.now);
+        }
+
+        static now() {
+            return clock.now;
+        }
+    };
+    return clock;
+}
+
+/** A copy of a sandbox value made of this realm's objects. */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { load, loadApp, plain, createClock, createDocument };
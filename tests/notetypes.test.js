@@ -0,0 +1,175 @@
+/**
+ * notetypes.test.js — Note types and cloze cards
+ * Saves note types and renders cards with them in a fresh app, makes cloze cards in the card
+ * editor, and checks the note types that come with an imported deck.
+ *
+ *     node tests/notetypes.test.js
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const { load, loadApp, plain } = require('./load');
+
+const FILES = ['scheduler.js', 'answers.js', 'db.js', 'config.js', 'notetypes.js', 'session.js'];
+
+function createApp() {
+    const app = load(FILES);
+    app.Config.load();
+    return app;
+}
+
+function typeIds(app) {
+    return plain(app.NoteTypes.getAll().map(t => t.id));
+}
+
+// Note types: the first two fields are the card's word and translation, the rest go in
+// card.fields; templates pick the fields of each side, and show {{#Field}} parts only when
+// the field has text
+{
+    const app   = createApp();
+    const saved = app.NoteTypes.save({
+        name: 'Verb', fields: ['Infinitive', 'Meaning', 'Past', 'Note'],
+        front: '{{Infinitive}}', back: '{{FrontSide}} = {{Meaning}}{{#Past}} (past: {{Past}}){{/Past}}'
+    });
+    assert.strictEqual(typeof saved, 'object', saved);
+    const verb = saved.type;
+    assert.ok(typeIds(app).includes(verb.id));
+
+    const card = app.Config.createCard('', '');
+    app.NoteTypes.setFieldValues(card, verb, ['ir', 'to <go>', 'fui', '']);
+    assert.deepStrictEqual([card.word, card.translation, card.noteType], ['ir', 'to <go>', verb.id]);
+    assert.deepStrictEqual(plain(card.fields), { Past: 'fui' });
+    assert.deepStrictEqual(plain(app.NoteTypes.getFieldValues(card)), ['ir', 'to <go>', 'fui', '']);
+
+    assert.deepStrictEqual(plain(app.NoteTypes.renderCard(card, false)), { question: 'ir', answer: 'ir = to &lt;go&gt; (past: fui)' });
+    assert.deepStrictEqual(plain(app.NoteTypes.renderCard(card, true)), { question: ' = to &lt;go&gt; (past: fui)', answer: 'ir' });
+    delete card.fields;
+    assert.strictEqual(app.NoteTypes.renderCard(card, false).answer, 'ir = to &lt;go&gt;');
+
+    // Renaming an extra field in the editor renames it on the cards
+    card.fields = { Past: 'fui' };
+    const renamed = app.NoteTypes.save({ ...verb, fields: ['Infinitive', 'Meaning', 'Preterite', 'Note'] });
+    assert.deepStrictEqual(plain(renamed.renames), { Past: 'Preterite' });
+    assert.ok(app.NoteTypes.renameFields([card], verb.id, renamed.renames));
+    assert.deepStrictEqual(plain(card.fields), { Preterite: 'fui' });
+
+    // Invalid types aren't saved; types in use and built-in ones can't be deleted
+    assert.strictEqual(typeof app.NoteTypes.save({ name: 'One', fields: ['A'], front: '{{A}}', back: '{{A}}' }), 'string');
+    assert.strictEqual(typeof app.NoteTypes.save({ name: 'Dup', fields: ['A', 'A'], front: '{{A}}', back: '{{A}}' }), 'string');
+    const deck = app.Config.createEmptyDeck('Verbs');
+    deck.cards.push(card);
+    app.Config.saveDeck(deck);
+    assert.strictEqual(typeof app.NoteTypes.remove(verb.id), 'string');
+    assert.strictEqual(typeof app.NoteTypes.remove('basic'), 'string');
+    app.Config.deleteDeck('Verbs');
+    assert.strictEqual(app.NoteTypes.remove(verb.id), null);
+    assert.ok(!typeIds(app).includes(verb.id));
+}
+
+// An imported deck's note types are only added here when the deck is registered, so a
+// merge that is previewed and cancelled leaves them as they were
+{
+    const app   = createApp();
+    const types = typeIds(app);
+    const deck  = app.Config.normalizeDeck({
+        name: 'Imported',
+        noteTypes: [
+            { id: 'verb', name: 'Verb', fields: ['Infinitive', 'Meaning', 'Past'], front: '{{Infinitive}}', back: '{{Meaning}}' },
+            { id: 'gaps', name: 'Gaps', fields: ['Text', 'Extra'], front: '{{cloze:Text}}', back: '{{cloze:Text}}', cloze: true }
+        ],
+        cards: [
+            { id: 'a', word: 'ir', translation: 'to go', noteType: 'verb', fields: { Past: 'fui' } },
+            { id: 'b', word: 'Me {{c1::gusta}}', translation: '', noteType: 'gaps', cloze: 1 },
+            { id: 'c', word: 'Un {{c1::gato}}', translation: '', noteType: 'unknown', cloze: 1 }
+        ]
+    });
+    assert.strictEqual(typeof deck, 'object', deck);
+    assert.deepStrictEqual(typeIds(app), types);
+    assert.deepStrictEqual(plain(deck.noteTypes.map(t => t.id)), ['verb', 'gaps']);
+    // (plain() turns missing values in arrays into null)
+    assert.deepStrictEqual(plain(deck.cards.map(c => [c.noteType, c.cloze, c.noteId])),
+        [['verb', null, null], ['gaps', 1, 'b'], ['unknown', 1, 'c']]);
+
+    assert.strictEqual(app.Config.registerNoteTypes(deck), deck);
+    assert.deepStrictEqual(typeIds(app), types.concat('verb', 'gaps'));
+    assert.strictEqual(deck.noteTypes, undefined);
+    assert.deepStrictEqual(plain(deck.cards.map(c => [c.noteType, c.cloze, c.noteId])),
+        [['verb', null, null], ['gaps', 1, 'b'], [null, null, null]]);
+
+    // importDeck does both
+    const copy = app.Config.importDeck({
+        name: 'Copy',
+        noteTypes: [{ id: 'verb', name: 'Verb 2', fields: ['Verb', 'Meaning'], front: '{{Verb}}', back: '{{Meaning}}' }],
+        cards: [{ word: 'ser', translation: 'to be', noteType: 'verb' }]
+    });
+    const added = app.NoteTypes.getAll().find(t => t.name === 'Verb 2 (imported)');
+    assert.ok(added);
+    assert.strictEqual(copy.cards[0].noteType, added.id);
+}
+
+// Cloze cards: each card blanks its own gaps (with the hint, if any) and shows the others
+{
+    const app  = createApp();
+    const text = 'Me {{c1::gusta}} el {{c2::café::bebida}} y el {{c1::té}}';
+    assert.deepStrictEqual(plain(app.NoteTypes.getClozeNumbers(text)), [1, 2]);
+    assert.deepStrictEqual(plain(app.NoteTypes.getClozeNumbers('{{c3::a}} {{c10::b}} {{c3::c}}')), [3, 10]);
+
+    const card = Object.assign(app.Config.createCard(text, 'Extra'), { noteType: 'cloze', cloze: 2 });
+    assert.deepStrictEqual(plain(app.NoteTypes.renderCard(card, true)), {
+        question: 'Me gusta el <span class="cloze">[bebida]</span> y el té',
+        answer:   'Me gusta el <span class="cloze">café</span> y el té<br><br>Extra'
+    });
+    card.cloze = 1;
+    assert.deepStrictEqual(plain(app.NoteTypes.getClozeSides(card)), { question: 'Me [...] el café y el [...]', answer: 'gusta, té' });
+}
+
+/** Fill in and save the card editor's fields, with the note type selected. */
+function saveCardFields(app, typeId, values) {
+    const select = app.document.getElementById('card-note-type-select');
+    if (select.value !== typeId) {
+        select.value = typeId;
+        select.dispatch('change');
+    }
+    app.document.querySelectorAll('#card-fields input').forEach((input, i) => { input.value = values[i] || ''; });
+    app.click('btn-card-save');
+}
+
+(async () => {
+    // The card editor makes a card per cloze number, all of one note; editing the text keeps
+    // the cards of the numbers still in it, with their schedules, and adds or deletes the rest
+    {
+        const app  = await loadApp();
+        const deck = app.UI.getCurrentDeck();
+        const size = deck.cards.length;
+        const note = () => deck.cards.slice(size);
+
+        app.Dialogs.openCardEditor();
+        app.click('btn-add-card');
+        saveCardFields(app, 'cloze', ['Me {{c1::gusta}} el {{c2::café}}']);
+        const [first, second] = note();
+        assert.deepStrictEqual(plain(note().map(c => [c.noteType, c.cloze, c.noteId])), [['cloze', 1, first.id], ['cloze', 2, first.id]]);
+
+        first.sessionStatus = 'SPACED';
+        first.interval      = 6;
+        app.Dialogs.editCard(first.id);
+        saveCardFields(app, 'cloze', ['Me {{c1::gusta}} el {{c3::té}}', 'Bebidas']);
+        const [kept, added] = note();
+        assert.strictEqual(note().length, 2);
+        assert.strictEqual(kept, first);
+        assert.deepStrictEqual([kept.interval, kept.translation], [6, 'Bebidas']);
+        assert.deepStrictEqual([added.cloze, added.noteId], [3, first.id]);
+        assert.ok(!deck.cards.includes(second));
+        assert.deepStrictEqual(plain(app.Config.loadDeck(deck.name).cards.slice(size).map(c => c.cloze)), [1, 3]);
+
+        // One step to undo
+        app.click('btn-undo');
+        assert.deepStrictEqual(plain(note().map(c => [c.id, c.cloze])), [[first.id, 1], [second.id, 2]]);
+    }
+
+    console.log('notetypes: all checks passed');
+})().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
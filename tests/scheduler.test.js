@@ -0,0 +1,161 @@
+/**
+ * scheduler.test.js — Spaced scheduling
+ * Studies cards through Session with a clock the test moves forward, and checks the
+ * schedules the deck's scheduler gives them.
+ *
+ *     node tests/scheduler.test.js
+ */
+
+'use strict';
+
+// Days start at the deck's rollover hour; count them in UTC
+process.env.TZ = 'UTC';
+
+const assert = require('assert');
+
+const { load, createClock } = require('./load');
+
+const FILES     = ['scheduler.js', 'answers.js', 'db.js', 'config.js', 'notetypes.js', 'session.js'];
+const MINUTE_MS = 60 * 1000;
+
+/** A fresh app at noon on 5 January 2026, with its clock. */
+function createApp() {
+    const clock = createClock(Date.UTC(2026, 0, 5, 12));
+    const app   = load(FILES, { Date: clock.Date });
+    app.Config.load();
+    app.clock = clock;
+    return app;
+}
+
+/** A spaced deck of new cards, one per word. */
+function createDeck(app, settings, words) {
+    const deck = Object.assign(app.Config.createEmptyDeck('Test'), { learningMode: 'spaced' }, settings);
+    deck.cards = words.map(w => app.Config.createCard(w, w.toUpperCase()));
+    return deck;
+}
+
+/** Rate the current card, checking which one it is. */
+function rate(app, deck, word, rating) {
+    assert.strictEqual(app.Session.getCurrentCard().word, word);
+    assert.ok(app.Session.rateCard(deck, rating, 1000));
+}
+
+// FSRS: a new card through its learning steps gets the first-review schedule, not one
+// migrated from the SM-2 defaults it was created with
+{
+    const app  = createApp();
+    const deck = createDeck(app, { scheduler: 'fsrs', learningSteps: [1, 10] }, ['uno']);
+    const card = deck.cards[0];
+    app.Session.buildQueue(deck);
+
+    rate(app, deck, 'uno', 'good');
+    assert.strictEqual(card.learningState, 'learning');
+    assert.strictEqual(card.learningStep, 1);
+    assert.strictEqual(card.due, app.clock.now + 10 * MINUTE_MS);
+    assert.strictEqual(card.stability, undefined);
+    assert.ok(app.Session.isWaitingForLearning());
+
+    app.clock.advance(10 * MINUTE_MS);
+    assert.ok(app.Session.refreshLearning());
+    rate(app, deck, 'uno', 'good');
+    assert.strictEqual(card.learningState, null);
+    assert.strictEqual(card.stability, 3.715);
+    assert.strictEqual(card.difficulty, 5.162);
+    assert.strictEqual(card.interval, 4);
+    assert.strictEqual(card.lastReview, app.clock.now);
+    assert.ok(app.Session.isComplete());
+}
+
+// Learning steps: a card comes back in the same session when its step is up; again starts the
+// steps over, hard repeats the step, good moves on. A forgotten review relearns, then goes
+// back to the interval the scheduler gave it when it lapsed.
+{
+    const app  = createApp();
+    const deck = createDeck(app, { learningSteps: [1, 10], relearningSteps: [5] }, ['uno', 'dos']);
+    const [uno, dos] = deck.cards;
+    Object.assign(dos, { sessionStatus: 'SPACED', interval: 8, easeFactor: 2.5, due: Date.UTC(2026, 0, 5, 4), lastReview: Date.UTC(2025, 11, 28) });
+    app.Session.buildQueue(deck);
+
+    rate(app, deck, 'dos', 'again');
+    assert.deepStrictEqual([dos.learningState, dos.interval, dos.lapses], ['relearning', 1, 1]);
+    rate(app, deck, 'uno', 'again');
+    assert.deepStrictEqual([uno.learningState, uno.learningStep, uno.due], ['learning', 0, app.clock.now + MINUTE_MS]);
+    assert.ok(app.Session.isWaitingForLearning());
+    assert.strictEqual(app.Session.getNextLearningDue(), uno.due);
+
+    app.clock.advance(MINUTE_MS);
+    assert.ok(app.Session.refreshLearning());
+    rate(app, deck, 'uno', 'hard');
+    assert.deepStrictEqual([uno.learningStep, uno.due], [0, app.clock.now + MINUTE_MS]);
+
+    app.clock.advance(MINUTE_MS);
+    app.Session.refreshLearning();
+    rate(app, deck, 'uno', 'good');
+    assert.deepStrictEqual([uno.learningStep, uno.due], [1, app.clock.now + 10 * MINUTE_MS]);
+
+    app.clock.advance(3 * MINUTE_MS);
+    assert.ok(app.Session.refreshLearning());                  // dos, whose 5 minutes are up
+    rate(app, deck, 'dos', 'good');
+    assert.deepStrictEqual([dos.learningState, dos.interval], [null, 1]);
+    assert.strictEqual(dos.due, Date.UTC(2026, 0, 6, app.Config.getDayStartHour()));
+    assert.ok(!app.Session.refreshLearning());                 // uno still has 7 minutes to go
+    assert.ok(app.Session.isWaitingForLearning());
+
+    app.clock.advance(7 * MINUTE_MS);
+    app.Session.refreshLearning();
+    rate(app, deck, 'uno', 'easy');
+    assert.strictEqual(uno.learningState, null);
+    assert.ok(app.Session.isComplete());
+    assert.deepStrictEqual([deck.newCardsToday, deck.reviewsToday], [1, 1]);
+}
+
+// Switching schedulers keeps progress: SM-2 interval and ease become FSRS stability and
+// difficulty and back, for both directions of a card; new cards have nothing to migrate
+{
+    const app  = createApp();
+    const deck = createDeck(app, { cardDirection: 'both' }, ['uno', 'dos', 'tres']);
+    const [easy, hard, fresh] = deck.cards;
+    const reviewed = { sessionStatus: 'SPACED', due: Date.UTC(2026, 0, 5, 4), lastReview: Date.UTC(2025, 11, 27, 12) };
+    Object.assign(easy, reviewed, { interval: 10, easeFactor: 2.5 });
+    Object.assign(hard, reviewed, { interval: 3, easeFactor: 1.3, reverse: { ...reviewed, interval: 20, easeFactor: 3.7 } });
+
+    app.Scheduler.migrateDeck(deck, 'fsrs');
+    assert.strictEqual(deck.scheduler, 'fsrs');
+    assert.deepStrictEqual([easy.stability, easy.difficulty], [10, 5]);
+    assert.deepStrictEqual([hard.stability, hard.difficulty], [3, 10]);
+    assert.deepStrictEqual([hard.reverse.stability, hard.reverse.difficulty], [20, 1]);
+    assert.strictEqual(fresh.stability, undefined);
+    assert.strictEqual(app.Scheduler.getEase(deck, hard), 1.3);
+
+    // A review on time: recalled, the memory gets more stable; forgotten, less
+    app.Session.buildQueue(deck);
+    const ratings = { uno: 'good', dos: 'again' };
+    while (!app.Session.isComplete() && app.Session.getCurrentItem().card !== fresh) {
+        const { card, reverse } = app.Session.getCurrentItem();
+        assert.ok(app.Session.rateCard(deck, reverse ? 'good' : ratings[card.word], 1000));
+    }
+    assert.ok(easy.stability > 10 && easy.interval > 10);
+    assert.ok(hard.stability < 3);
+    assert.ok(hard.reverse.stability > 20);
+
+    // ...and back: FSRS difficulty becomes SM-2 ease
+    hard.difficulty = 5;
+    app.Scheduler.migrateDeck(deck, 'sm2');
+    assert.strictEqual(deck.scheduler, 'sm2');
+    assert.strictEqual(hard.easeFactor, 2.5);
+    assert.strictEqual(hard.reverse.easeFactor, Math.round(app.Scheduler.getEase({ scheduler: 'fsrs' }, hard.reverse) * 1000) / 1000);
+    assert.strictEqual(fresh.easeFactor, 2.5);
+}
+
+// FSRS: a higher target retention asks again sooner
+{
+    const fsrs = createApp().Scheduler.get('fsrs');
+    const card = () => ({ stability: 10, difficulty: 5, interval: 10, due: 1, lastReview: 1 });
+    const at90 = card(), at95 = card();
+    fsrs.rate(at90, 'good', { elapsedDays: 10, targetRetention: 0.9 });
+    fsrs.rate(at95, 'good', { elapsedDays: 10, targetRetention: 0.95 });
+    assert.strictEqual(at90.stability, at95.stability);
+    assert.ok(at95.interval < at90.interval);
+}
+
+console.log('scheduler: all checks passed');
@@ -0,0 +1,264 @@
+/**
+ * session.test.js — Study sessions
+ * Builds sessions over decks saved in a fresh app, with a clock the test moves forward, and
+ * checks which cards they show and in what order.
+ *
+ *     node tests/session.test.js
+ */
+
+'use strict';
+
+// Days start at the rollover hour; count them in UTC
+process.env.TZ = 'UTC';
+
+const assert = require('assert');
+
+const { load, plain, createClock } = require('./load');
+
+const FILES = ['scheduler.js', 'answers.js', 'db.js', 'config.js', 'notetypes.js', 'session.js'];
+
+/** A fresh app at noon on 5 January 2026 with no decks, and its clock. */
+function createApp() {
+    const clock = createClock(Date.UTC(2026, 0, 5, 12));
+    const app   = load(FILES, { Date: clock.Date });
+    app.Config.load();
+    app.Config.getDeckNames().forEach(name => app.Config.deleteDeck(name));
+    app.clock = clock;
+    return app;
+}
+
+/**
+ * A spaced deck, saved: `reviews` cards already studied, due the given number of days ago,
+ * then `fresh` new cards. Words are the deck name and the card's position.
+ */
+function createDeck(app, name, settings, reviews, fresh) {
+    const deck  = Object.assign(app.Config.createEmptyDeck(name), { learningMode: 'spaced' }, settings);
+    const today = app.Session.getTodayStr();
+    deck.cards  = reviews.concat(Array(fresh).fill(null)).map((daysAgo, i) => {
+        const card = app.Config.createCard(`${name} ${i}`, `${name} ${i}`);
+        if (daysAgo !== null) {
+            Object.assign(card, {
+                sessionStatus: 'SPACED', interval: 3, lastReview: Date.UTC(2025, 11, 1),
+                due: app.Session.startOfDay(app.Session.addDays(today, -daysAgo))
+            });
+        }
+        return card;
+    });
+    assert.ok(app.Config.saveDeck(deck));
+    return deck;
+}
+
+/** The words of the session queue, from `deck` only if given. */
+function queueWords(app, deck) {
+    return plain(app.Session.captureState().queue
+        .filter(e => !deck || e.deck === deck.name)
+        .map(e => app.Session.getSessionDeck(e.deck).cards.find(c => c.id === e.id).word));
+}
+
+/** The session queue as [word, reverse] pairs, sorted. */
+function queueItems(app) {
+    return plain(app.Session.captureState().queue
+        .map(e => [app.Session.getSessionDeck(e.deck).cards.find(c => c.id === e.id).word, e.reverse])
+        .sort());
+}
+
+// Study All Due: every deck's cards follow that deck's own review order
+{
+    const app     = createApp();
+    const overdue = createDeck(app, 'Overdue', { reviewOrder: 'overdue-first' }, [2, 6, 1, 4, 3, 5], 2);
+    const first   = createDeck(app, 'First', { reviewOrder: 'reviews-first' }, [1, 1, 1], 3);
+    app.Session.buildAllDueQueue(null);
+
+    assert.strictEqual(queueWords(app).length, 14);
+    assert.deepStrictEqual(queueWords(app, overdue).slice(0, 6),
+        ['Overdue 1', 'Overdue 5', 'Overdue 3', 'Overdue 4', 'Overdue 0', 'Overdue 2']);
+    assert.deepStrictEqual(queueWords(app, overdue).slice(6).sort(), ['Overdue 6', 'Overdue 7']);
+    assert.deepStrictEqual(queueWords(app, first).slice(0, 3).sort(), ['First 0', 'First 1', 'First 2']);
+    assert.deepStrictEqual(queueWords(app, first).slice(3).sort(), ['First 3', 'First 4', 'First 5']);
+}
+
+// Card directions: 'both' gives each direction of a card its own schedule, 'reverse' studies
+// only the reverse one, and cloze cards are only studied forward
+{
+    const app  = createApp();
+    const deck = createDeck(app, 'Both', { cardDirection: 'both' }, [], 2);
+    const [uno, dos] = deck.cards;
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual(queueItems(app), [['Both 0', false], ['Both 0', true], ['Both 1', false], ['Both 1', true]]);
+
+    const ratings = { 'Both 0': 'easy', 'Both 0 reverse': 'good', 'Both 1': 'good', 'Both 1 reverse': 'easy' };
+    for (let n = 0; n < 4; n++) {
+        const { card, reverse } = app.Session.getCurrentItem();
+        const entry = app.Session.rateCard(deck, ratings[card.word + (reverse ? ' reverse' : '')], 1000);
+        assert.strictEqual(!!entry.reverse, reverse);
+    }
+    assert.deepStrictEqual([uno.learningState, uno.reverse.learningState], [null, 'learning']);
+    assert.deepStrictEqual([dos.learningState, dos.reverse.learningState], ['learning', null]);
+    assert.ok(uno.due > app.clock.now && uno.reverse.due < uno.due);
+    assert.strictEqual(deck.newCardsToday, 4);
+
+    const other = createDeck(app, 'Reverse', { cardDirection: 'reverse' }, [], 1);
+    const cloze = Object.assign(app.Config.createCard('Me {{c1::gusta}}', ''), { cloze: 1 });
+    other.cards.push(cloze);
+    app.Session.buildQueue(other);
+    assert.deepStrictEqual(queueItems(app), [[cloze.word, false], ['Reverse 0', true]]);
+    while (app.Session.getCurrentCard() !== other.cards[0]) app.Session.rateCard(other, 'easy', 1000);
+    app.Session.rateCard(other, 'easy', 1000);
+    assert.strictEqual(other.cards[0].due, null);
+    assert.ok(other.cards[0].reverse.due > app.clock.now);
+}
+
+// Subdecks: studying a deck takes in every deck below it, each within its own daily limits,
+// and a rating counts towards the limits of the card's own deck
+{
+    const app    = createApp();
+    const parent = createDeck(app, 'Lang', { newPerDay: 1 }, [1], 2);
+    const child  = createDeck(app, 'Lang::Verbs', { newPerDay: 2, maxReviews: 1 }, [1, 2], 3);
+    const nested = createDeck(app, 'Lang::Verbs::Irregular', { newPerDay: 0 }, [1], 2);
+    createDeck(app, 'Other', {}, [1], 1);
+    app.Session.buildQueue(parent);
+
+    assert.strictEqual(app.Session.getSessionDeck('Other'), null);
+    assert.deepStrictEqual([parent, child, nested].map(d => queueWords(app, d).length), [2, 3, 1]);
+    assert.deepStrictEqual(queueWords(app, nested), ['Lang::Verbs::Irregular 0']);
+    assert.deepStrictEqual(queueWords(app, child).filter(w => /[01]$/.test(w)).length, 1);
+
+    while (app.Session.getCurrentItem().deck.name !== child.name) {
+        app.Session.rateCard(app.Session.getCurrentItem().deck, 'easy', 1000);
+    }
+    const { deck, card } = app.Session.getCurrentItem();
+    const counts   = () => plain([parent, deck].map(d => [d.newCardsToday, d.reviewsToday]));
+    const expected = counts();
+    expected[1][card.due == null ? 0 : 1]++;
+    app.Session.rateCard(deck, 'easy', 1000);
+    assert.deepStrictEqual(counts(), expected);
+}
+
+// Bury and suspend: the card leaves what is left of the session, both ways; a buried card
+// comes back the next day, a suspended one stays out
+{
+    const app  = createApp();
+    const deck = createDeck(app, 'Park', { cardDirection: 'both' }, [1, 1, 1], 0);
+    const [buried, suspended, kept] = deck.cards;
+    app.Session.buildQueue(deck);
+    const ids = () => {
+        const state = app.Session.captureState();
+        return plain(state.queue.slice(state.currentIndex).map(e => e.id));
+    };
+    assert.strictEqual(ids().length, 6);
+
+    buried.buried = app.Session.getTodayStr();
+    app.Session.removeCard(deck.name, buried.id);
+    suspended.suspended = true;
+    app.Session.removeCard(deck.name, suspended.id);
+    assert.deepStrictEqual(ids(), [kept.id, kept.id]);
+    assert.ok(app.Session.isParked(buried) && app.Session.isBuried(buried));
+    assert.ok(app.Session.isParked(suspended) && !app.Session.isBuried(suspended));
+
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual(ids(), [kept.id, kept.id]);
+    app.clock.advance(24 * 60 * 60 * 1000);
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual(ids().sort(), [buried.id, buried.id, kept.id, kept.id].sort());
+    assert.ok(!app.Session.isParked(buried));
+}
+
+// Leeches: a card forgotten as often as the deck's threshold, and every half threshold after
+// it, is tagged; with the 'suspend' action it also leaves the session
+{
+    const app = createApp();
+
+    /** Forget `card` as a due review; true if that made it a leech. */
+    function lapse(deck, card) {
+        Object.assign(card, { learningState: null, due: app.Session.startOfDay(app.Session.getTodayStr()) });
+        app.Session.buildQueue(deck);
+        while (app.Session.getCurrentCard() !== card) app.Session.rateCard(deck, 'good', 1000);
+        return !!app.Session.rateCard(deck, 'again', 1000).leech;
+    }
+
+    const tag = createDeck(app, 'Tag', { leechThreshold: 4 }, [1], 0);
+    const card = tag.cards[0];
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6, 7, 8].map(() => lapse(tag, card)), [false, false, false, true, false, true, false, true]);
+    assert.deepStrictEqual(plain(card.tags), [app.Config.LEECH_TAG]);
+    assert.ok(!card.suspended);
+
+    const suspend = createDeck(app, 'Suspend', { leechThreshold: 2, leechAction: 'suspend' }, [1, 1], 0);
+    const [leech, other] = suspend.cards;
+    assert.ok(!lapse(suspend, leech));
+    assert.ok(lapse(suspend, leech));
+    assert.ok(leech.suspended);
+    const state = app.Session.captureState();
+    assert.ok(!state.queue.slice(state.currentIndex).concat(state.learningQueue).some(e => e.id === leech.id));
+    assert.ok(!other.suspended);
+
+    const off = createDeck(app, 'Off', { leechThreshold: 0 }, [1], 0);
+    assert.ok([1, 2, 3, 4, 5, 6, 7, 8, 9, 10].every(() => !lapse(off, off.cards[0])));
+}
+
+// Spaced decks have one daily limit for new cards and one for reviews; each counts only its
+// own kind, and both start over the next day
+{
+    const app   = createApp();
+    const deck  = createDeck(app, 'Limits', { newPerDay: 2, maxReviews: 3 }, [1, 1, 1, 1, 1], 4);
+    const count = () => {   // [new, reviews] in the queue
+        const cards = app.Session.captureState().queue.map(e => deck.cards.find(c => c.id === e.id));
+        return [cards.filter(c => c.due == null).length, cards.filter(c => c.due != null).length];
+    };
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual(count(), [2, 3]);
+
+    while (!app.Session.isComplete()) app.Session.rateCard(deck, 'easy', 1000);
+    assert.deepStrictEqual([deck.newCardsToday, deck.reviewsToday], [2, 3]);
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual(count(), [0, 0]);
+
+    // Studying more today raises both
+    app.Session.extendSession(deck, 1);
+    assert.deepStrictEqual(count(), [1, 1]);
+
+    app.clock.advance(24 * 60 * 60 * 1000);
+    deck.cards.forEach(c => { if (c.due != null) c.due = app.Session.startOfDay(app.Session.getTodayStr()); });
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual([deck.newCardsToday, deck.reviewsToday, deck.sessionExtension], [0, 0, 0]);
+    assert.deepStrictEqual(count(), [2, 3]);
+
+    // Decks from before the two limits keep their daily limit as the pace for new cards
+    assert.deepStrictEqual([app.Config.getNewLimit({ dailyLimit: 7 }), app.Config.getReviewLimit({ dailyLimit: 7 })], [7, 100]);
+}
+
+// Study days start at the rollover hour: a review due tomorrow isn't due before that hour,
+// and changing the hour moves stored due dates onto the new boundary
+{
+    const app  = createApp();
+    const deck = createDeck(app, 'Days', {}, [-1], 0);
+    const [review] = deck.cards;
+    const learning = Object.assign(app.Config.createCard('step', 'step'), { sessionStatus: 'SPACED', learningState: 'learning', learningStep: 0, due: Date.UTC(2026, 0, 6, 2, 30) });
+    deck.cards.push(learning);
+    app.Config.saveDeck(deck);
+    assert.strictEqual(review.due, Date.UTC(2026, 0, 6, 4));
+
+    app.clock.now = Date.UTC(2026, 0, 6, 3, 59);
+    assert.strictEqual(app.Session.getTodayStr(), '2026-01-05');
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual(queueWords(app), ['step']);
+    app.clock.now = Date.UTC(2026, 0, 6, 4);
+    assert.strictEqual(app.Session.getTodayStr(), '2026-01-06');
+    app.Session.buildQueue(deck);
+    assert.deepStrictEqual(queueWords(app).sort(), ['Days 0', 'step']);
+
+    app.Config.setDayStartHour(0);
+    const moved = app.Config.loadDeck('Days');
+    assert.deepStrictEqual(plain(moved.cards.map(c => c.due)), [Date.UTC(2026, 0, 6), learning.due]);
+    assert.strictEqual(moved.dueDayStart, 0);
+
+    // Due dates from before local study days were midnight UTC; they move to the same day
+    app.Config.setDayStartHour(6);
+    const old = app.Config.importDeck({
+        name: 'Old', learningMode: 'spaced',
+        cards: [{ word: 'a', translation: 'b', sessionStatus: 'SPACED', interval: 3, due: Date.UTC(2026, 0, 7) }]
+    });
+    assert.deepStrictEqual([old.cards[0].due, old.dueDayStart], [Date.UTC(2026, 0, 7, 6), 6]);
+    assert.strictEqual(app.Session.alignDueDates(old), false);
+}
+
+console.log('session: all checks passed');
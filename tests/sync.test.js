@@ -0,0 +1,217 @@
+/**
+ * sync.test.js — Sync between two devices
+ * Starts sync-server.js on a free port with a temporary data file, and syncs two simulated
+ * devices (each the app's scripts with their own storage) through it: a save that loses the
+ * race with the other device (409), a card edited on both, a card deleted on one device
+ * while it was changed on the other, and a note type new to one device.
+ *
+ *     node tests/sync.test.js
+ */
+
+'use strict';
+
+const assert    = require('assert');
+const fs        = require('fs');
+const net       = require('net');
+const os        = require('os');
+const path      = require('path');
+const { spawn } = require('child_process');
+
+const { load, plain } = require('./load');
+
+const FILES = ['scheduler.js', 'answers.js', 'db.js', 'config.js', 'notetypes.js', 'session.js', 'sync.js'];
+const DECK  = 'Spanish Basics (Example)';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer(dataFile) {
+    const port   = await freePort();
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'sync-server.js')], {
+        env:   { ...process.env, PORT: String(port), SYNC_DATA: dataFile },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.stdout.once('data', resolve);
+        server.once('exit', code => reject(new Error(`the sync server stopped (${code})`)));
+    });
+    return { server, endpoint: `http://localhost:${port}` };
+}
+
+/**
+ * A device with the example deck, set up to sync with `endpoint`. `beforePut`, if set, runs
+ * (once) just before the device's next PUT request reaches the server; `puts` lists the
+ * status of every PUT answered.
+ */
+function createDevice(endpoint) {
+    const device = load(FILES, {
+        AbortController,
+        crypto,
+        fetch: async (url, options) => {
+            if (options.method === 'PUT' && device.beforePut) {
+                const hook = device.beforePut;
+                device.beforePut = null;
+                await hook();
+            }
+            const response = await fetch(url, options);
+            if (options.method === 'PUT') device.puts.push(response.status);
+            return response;
+        }
+    });
+    device.puts = [];
+    device.Config.load();
+    assert.strictEqual(device.Sync.configure({ endpoint }), null);
+    return device;
+}
+
+async function sync(device) {
+    const result = await device.Sync.run();
+    assert.strictEqual(typeof result, 'object', result);
+    return result;
+}
+
+function editDeck(device, change) {
+    const deck = device.Config.loadDeck(DECK);
+    change(deck);
+    assert.ok(device.Config.saveDeck(deck));
+}
+
+/** Every card's word and translation, sorted: a card brought back on a device comes last there. */
+function cardText(device) {
+    return plain(device.Config.loadDeck(DECK).cards.map(c => `${c.word}|${c.translation}`).sort());
+}
+
+(async () => {
+    const dir      = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcards-sync-'));
+    const { server, endpoint } = await startServer(path.join(dir, 'data.json'));
+
+    try {
+        const a = createDevice(endpoint);
+        const b = createDevice(endpoint);
+
+        // First sync: both have the example deck, which is combined rather than doubled
+        assert.deepStrictEqual(plain(await sync(a)), { pulled: 0, pushed: 1, deleted: 0, conflicts: 0 });
+        assert.deepStrictEqual(plain(await sync(b)), { pulled: 0, pushed: 1, deleted: 0, conflicts: 0 });
+        assert.deepStrictEqual(plain(await sync(a)), { pulled: 1, pushed: 0, deleted: 0, conflicts: 0 });
+        assert.deepStrictEqual(cardText(a), cardText(b));
+        const cards = a.Config.loadDeck(DECK).cards.map(c => c.id);
+        assert.strictEqual(cards.length, 12);
+
+        // 409: B saves the deck on the server between A's fetch and A's PUT, so A fetches
+        // again, merges B's change in and sends the result
+        editDeck(a, deck => { deck.cards.find(c => c.id === cards[0]).translation = 'Hi'; });
+        a.beforePut = async () => {
+            editDeck(b, deck => { deck.cards.find(c => c.id === cards[1]).translation = 'Bye'; });
+            assert.strictEqual((await sync(b)).pushed, 1);
+        };
+        a.puts = [];
+        const raced = await sync(a);
+        assert.deepStrictEqual(a.puts, [409, 200]);
+        assert.deepStrictEqual(plain(raced), { pulled: 1, pushed: 1, deleted: 0, conflicts: 0 });
+        await sync(b);
+        assert.deepStrictEqual(cardText(a), cardText(b));
+        assert.ok(cardText(b).includes('Hola|Hi') && cardText(b).includes('Adiós|Bye'));
+
+        // Progress and text merge separately: a review on one device, an edit on the other
+        editDeck(a, deck => {
+            Object.assign(deck.cards.find(c => c.id === cards[2]),
+                { sessionStatus: 'SPACED', interval: 3, due: Date.now() + 3 * 86400000, lastReview: Date.now() });
+        });
+        assert.ok(a.Config.appendReviewLog(DECK, { ts: Date.now(), cardId: cards[2], rating: 'good' }));
+        editDeck(b, deck => { deck.cards.find(c => c.id === cards[2]).translation = 'Please!'; });
+        await sync(a);
+        assert.strictEqual((await sync(b)).conflicts, 0);
+        await sync(a);
+        const merged = b.Config.loadDeck(DECK).cards.find(c => c.id === cards[2]);
+        assert.strictEqual(merged.translation, 'Please!');
+        assert.strictEqual(merged.interval, 3);
+        assert.strictEqual(b.Config.loadReviewLog(DECK).length, 1);
+        assert.deepStrictEqual(plain(a.Config.loadDeck(DECK)), plain(b.Config.loadDeck(DECK)));
+
+        // Edited differently on both: B keeps its text and gets a conflict with A's
+        editDeck(a, deck => { deck.cards.find(c => c.id === cards[3]).word = 'Sí (A)'; });
+        editDeck(b, deck => { deck.cards.find(c => c.id === cards[3]).word = 'Sí (B)'; });
+        await sync(a);
+        assert.strictEqual((await sync(b)).conflicts, 1);
+        const [edit] = b.Sync.getConflicts();
+        assert.strictEqual(edit.kind, 'edit');
+        assert.strictEqual(edit.cardId, cards[3]);
+        assert.strictEqual(edit.theirs.word, 'Sí (A)');
+        assert.strictEqual(b.Config.loadDeck(DECK).cards.find(c => c.id === cards[3]).word, 'Sí (B)');
+        assert.strictEqual(b.Sync.resolveConflict(edit.id, 'use-theirs'), null);
+        assert.strictEqual(b.Sync.getConflicts().length, 0);
+        await sync(b);
+        await sync(a);
+        assert.strictEqual(a.Config.loadDeck(DECK).cards.find(c => c.id === cards[3]).word, 'Sí (A)');
+        assert.deepStrictEqual(cardText(a), cardText(b));
+
+        // Deleted on A while changed on B: B keeps the card, with a conflict
+        editDeck(a, deck => { deck.cards = deck.cards.filter(c => c.id !== cards[4]); });
+        editDeck(b, deck => { deck.cards.find(c => c.id === cards[4]).translation = 'Sorry!'; });
+        await sync(a);
+        assert.strictEqual((await sync(b)).conflicts, 1);
+        const [deleted] = b.Sync.getConflicts();
+        assert.strictEqual(deleted.kind, 'card-deleted');
+        assert.strictEqual(deleted.where, 'there');
+        assert.strictEqual(deleted.cardId, cards[4]);
+        assert.ok(b.Config.loadDeck(DECK).cards.some(c => c.id === cards[4]));
+
+        // B keeps it after all, which brings it back on A too
+        assert.strictEqual(b.Sync.resolveConflict(deleted.id, 'dismiss'), null);
+        await sync(b);
+        await sync(a);
+        assert.strictEqual(a.Config.loadDeck(DECK).cards.find(c => c.id === cards[4]).translation, 'Sorry!');
+
+        // A card deleted on B that is unchanged on A goes on both, without a conflict
+        editDeck(b, deck => { deck.cards = deck.cards.filter(c => c.id !== cards[5]); });
+        await sync(b);
+        assert.strictEqual((await sync(a)).conflicts, 0);
+        assert.ok(!a.Config.loadDeck(DECK).cards.some(c => c.id === cards[5]));
+        assert.deepStrictEqual(cardText(a), cardText(b));
+
+        // A note type added on B comes to A with the card that uses it
+        const verb = { id: 'verb', name: 'Verb', fields: ['Infinitive', 'Meaning', 'Past'], front: '{{Infinitive}}', back: '{{Meaning}}' };
+        b.NoteTypes.getAll().push(verb);
+        editDeck(b, deck => { Object.assign(deck.cards.find(c => c.id === cards[6]), { noteType: 'verb', fields: { Past: 'fue' } }); });
+        await sync(b);
+        assert.strictEqual((await sync(a)).pulled, 1);
+        assert.strictEqual(a.Config.loadDeck(DECK).cards.find(c => c.id === cards[6]).noteType, 'verb');
+        assert.deepStrictEqual(plain(a.NoteTypes.getAll().find(t => t.id === 'verb')), verb);
+
+        // ...but not while A keeps its own text for a card B moved to a new type: only once the
+        // conflict is settled with B's text
+        const noun = { id: 'noun', name: 'Noun', fields: ['Noun', 'Meaning', 'Gender'], front: '{{Noun}}', back: '{{Meaning}}' };
+        b.NoteTypes.getAll().push(noun);
+        editDeck(b, deck => { Object.assign(deck.cards.find(c => c.id === cards[7]), { noteType: 'noun', fields: { Gender: 'f' } }); });
+        editDeck(a, deck => { deck.cards.find(c => c.id === cards[7]).translation = 'Thanks!'; });
+        await sync(b);
+        assert.strictEqual((await sync(a)).conflicts, 1);
+        assert.ok(!a.NoteTypes.getAll().some(t => t.id === 'noun'));
+        const [retyped] = a.Sync.getConflicts();
+        assert.strictEqual(a.Sync.resolveConflict(retyped.id, 'use-theirs'), null);
+        assert.strictEqual(a.Config.loadDeck(DECK).cards.find(c => c.id === cards[7]).noteType, 'noun');
+        assert.deepStrictEqual(plain(a.NoteTypes.getAll().find(t => t.id === 'noun')), noun);
+        await sync(a);
+        await sync(b);
+
+        // Nothing left to do on either side
+        assert.deepStrictEqual(plain(await sync(a)), { pulled: 0, pushed: 0, deleted: 0, conflicts: 0 });
+        assert.deepStrictEqual(plain(await sync(b)), { pulled: 0, pushed: 0, deleted: 0, conflicts: 0 });
+
+        console.log('sync: all checks passed');
+    } finally {
+        server.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+})().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,172 @@
+/**
+ * undo.test.js — Undo and redo
+ * Runs the whole app on the example deck, rates, edits and deletes cards, and checks that
+ * undo and redo take the deck, its review log and the session back and forth.
+ *
+ *     node tests/undo.test.js
+ */
+
+'use strict';
+
+process.env.TZ = 'UTC';
+
+const assert = require('assert');
+
+const { loadApp, plain, createClock } = require('./load');
+
+/**
+ * The app at noon on 5 January 2026, started on the example deck with all its cards in the
+ * session, and its clock.
+ */
+async function createApp() {
+    const clock = createClock(Date.UTC(2026, 0, 5, 12));
+    const app   = await loadApp({ Date: clock.Date });
+    const deck  = app.UI.getCurrentDeck();
+    deck.newPerDay = deck.cards.length;
+    app.Config.saveDeck(deck);
+    app.UI.rebuildSession();
+    app.UI.updateState();
+    app.clock = clock;
+    return app;
+}
+
+/** A card as it is now, to compare with later. */
+function snapshot(card) {
+    return plain(card);
+}
+
+/** Edit or delete (translation = null) a card of the open deck, as the card editor does. */
+function changeCard(app, card, translation) {
+    const deck   = app.UI.getCurrentDeck();
+    const index  = deck.cards.indexOf(card);
+    const before = snapshot(card);
+    if (translation === null) {
+        deck.cards.splice(index, 1);
+        app.Undo.recordCardChange(`Delete "${card.word}"`, deck.name, before, null, index);
+    } else {
+        card.translation = translation;
+        app.Undo.recordCardChange(`Edit "${card.word}"`, deck.name, before, card, index);
+    }
+    app.Config.saveDeck(deck);
+}
+
+function storedCards(app) {
+    return plain(app.Config.loadDeck(app.UI.getCurrentDeck().name).cards);
+}
+
+function labels(app) {
+    return plain(app.Undo.getEntries().map(e => (e.undone ? '(undone) ' : '') + e.label));
+}
+
+(async () => {
+    // A rating: undo puts the card, the day's counters and the log back and shows the card
+    // again; redo rates it once more
+    {
+        const app  = await createApp();
+        const deck = app.UI.getCurrentDeck();
+        const card = app.Session.getCurrentCard();
+        const before = snapshot(card);
+        const log    = plain(app.Config.loadReviewLog(deck.name));
+
+        app.click('btn-show-answer');
+        app.click('btn-good');
+        const after = snapshot(card);
+        assert.notDeepStrictEqual(after, before);
+        assert.notStrictEqual(app.Session.getCurrentCard(), card);
+        assert.strictEqual(app.Config.loadReviewLog(deck.name).length, log.length + 1);
+        assert.deepStrictEqual(labels(app), [`Rate "${card.word}" as good`]);
+
+        app.click('btn-undo');
+        assert.deepStrictEqual(snapshot(card), before);
+        assert.deepStrictEqual(storedCards(app).find(c => c.id === card.id), before);
+        assert.deepStrictEqual(plain(app.Config.loadReviewLog(deck.name)), log);
+        assert.strictEqual(app.Session.getCurrentCard(), card);
+        assert.deepStrictEqual(labels(app), [`(undone) Rate "${card.word}" as good`]);
+
+        app.click('btn-redo');
+        assert.deepStrictEqual(snapshot(card), after);
+        assert.strictEqual(app.Config.loadReviewLog(deck.name).length, log.length + 1);
+        assert.notStrictEqual(app.Session.getCurrentCard(), card);
+    }
+
+    // Edits and deletes: undone last first, a deleted card comes back where it was, and
+    // recording something new drops what was undone
+    {
+        const app   = await createApp();
+        const deck  = app.UI.getCurrentDeck();
+        const start = storedCards(app);
+        const [first, second] = deck.cards;
+
+        changeCard(app, first, 'changed');
+        changeCard(app, second, null);
+        const changed = storedCards(app);
+        assert.strictEqual(changed.length, start.length - 1);
+        assert.strictEqual(changed[0].translation, 'changed');
+
+        app.click('btn-undo');
+        assert.deepStrictEqual(storedCards(app).map(c => c.id), start.map(c => c.id));
+        assert.strictEqual(storedCards(app)[0].translation, 'changed');
+        app.click('btn-undo');
+        assert.deepStrictEqual(storedCards(app), start);
+        assert.ok(app.Session.captureState().queue.some(e => e.id === second.id));
+
+        app.click('btn-redo');
+        app.click('btn-redo');
+        assert.deepStrictEqual(storedCards(app), changed);
+        assert.ok(!app.Session.captureState().queue.some(e => e.id === second.id));
+
+        app.click('btn-undo');
+        changeCard(app, deck.cards[2], 'other');
+        assert.ok(!app.Undo.canRedo());
+        assert.deepStrictEqual(labels(app), [`Edit "${deck.cards[2].word}"`, `Edit "${first.word}"`]);
+    }
+
+    // Rating, edit and delete in one history: undo goes back through all three, redo forward
+    {
+        const app  = await createApp();
+        const deck = app.UI.getCurrentDeck();
+        const start = storedCards(app);
+        const rated = app.Session.getCurrentCard();
+
+        app.click('btn-show-answer');
+        app.click('btn-again');
+        app.clock.advance(1000);
+        changeCard(app, rated, 'changed');
+        const other = deck.cards.find(c => c !== rated);
+        changeCard(app, other, null);
+
+        ['btn-undo', 'btn-undo', 'btn-undo'].forEach(app.click);
+        assert.deepStrictEqual(storedCards(app), start);
+        assert.ok(app.Session.captureState().queue.some(e => e.id === rated.id)); // the edits rebuilt the session
+        assert.ok(!app.Undo.canUndo());
+
+        ['btn-redo', 'btn-redo', 'btn-redo'].forEach(app.click);
+        const cards = storedCards(app);
+        assert.strictEqual(cards.length, start.length - 1);
+        assert.ok(!cards.some(c => c.id === other.id));
+        assert.strictEqual(cards.find(c => c.id === rated.id).translation, 'changed');
+        assert.notDeepStrictEqual(cards.find(c => c.id === rated.id).due, start.find(c => c.id === rated.id).due);
+    }
+
+    // A deck changed elsewhere (by a sync) keeps only the steps that still apply to it
+    {
+        const app  = await createApp();
+        const deck = app.UI.getCurrentDeck();
+        const [first, second] = deck.cards;
+        changeCard(app, first, 'changed');
+        changeCard(app, second, 'changed too');
+
+        const synced = JSON.parse(JSON.stringify(deck));
+        synced.cards[1].translation = 'from the other device';
+        app.Undo.dropOutdated(deck.name, synced);
+        assert.deepStrictEqual(labels(app), [`Edit "${first.word}"`]);
+
+        app.Undo.dropOutdated(deck.name, null);
+        assert.ok(!app.Undo.canUndo());
+    }
+
+    console.log('undo: all checks passed');
+})().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -4,8 +4,11 @@
  *
  * App states:
  *   NO_DECK          — no deck loaded
- *   SHOW_FRONT       — showing card front (question)
- *   SHOW_BACK        — showing card back (answer) + rating buttons
+ *   SHOW_FRONT       — showing card front (question), with an answer field in type mode
+ *                      or the options in choice mode
+ *   SHOW_BACK        — showing card back (answer) + rating buttons, the typed answer diff in type mode,
+ *                      or the marked options and a Continue button in choice mode
+ *   LEARNING_WAIT    — only learning cards left, waiting for the next step timer
  *   SESSION_COMPLETE — all cards for today reviewed
  */
 
@@ -13,7 +16,15 @@ const UI = (() => {
     let currentDeck = null;
     let appState = 'NO_DECK';
     let showTranslationFirst = false;
-    let rewindTranslationFirst = false; // tracks which face was shown for the last rated card
+    let pendingTranslationFirst = null; // card face to restore after undoing a rating
+    let cardShownAt = 0;                // when the current card front was shown (for answer timing)
+    let learningWaitTimer = null;       // countdown interval while in LEARNING_WAIT
+    let typedResult = null;             // Answers.check() result (+ suggested rating) for the current card in type mode
+    let choice = null;                  // { cardId, options, correctIndex, picked } for the current card in choice mode
+    let messageTimer = null;            // hides the current message
+    let sessionOutdated = false;        // a sync changed a studied deck while its card was on screen
+
+    const MAX_ANSWER_MS = 60000; // answer times are capped so a card left open doesn't skew the stats
 
     // ========================
     // Deck loading
@@ -37,48 +48,98 @@ const UI = (() => {
     function getCurrentDeck() { return currentDeck; }
     function setCurrentDeck(deck) { currentDeck = deck; }
 
+    /**
+     * The deck of the card being studied: the open deck, or in custom study, study all due
+     * and subdeck sessions whichever deck the current card comes from.
+     */
+    function getStudyDeck() {
+        const item = Session.getCurrentItem();
+        return item ? item.deck : currentDeck;
+    }
+
     // ========================
     // State machine
     // ========================
 
     function updateState() {
-        if (!currentDeck) {
+        stopLearningWaitTimer();
+        if (sessionOutdated) {
+            sessionOutdated = false;
+            rebuildSession(); // the card on screen when a sync changed its deck is done with
+        }
+        const restoreFace = pendingTranslationFirst;
+        pendingTranslationFirst = null;
+
+        if (!currentDeck && !Session.isAllDue()) {
             appState = 'NO_DECK';
         } else if (Session.isComplete()) {
             appState = 'SESSION_COMPLETE';
+        } else if (Session.isWaitingForLearning()) {
+            appState = 'LEARNING_WAIT';
+            startLearningWaitTimer();
         } else {
             appState = 'SHOW_FRONT';
-            showTranslationFirst = Math.random() < 0.5;
+            showTranslationFirst = restoreFace !== null ? restoreFace : pickTranslationFirst();
+            cardShownAt = Date.now();
+            typedResult = null;
+            choice = null;
+            document.getElementById('typed-answer-input').value = '';
         }
         render();
     }
 
+    /**
+     * Which side the current card shows as the question. 'random' decks flip a coin;
+     * the other directions follow the study item (reverse = translation first).
+     */
+    function pickTranslationFirst() {
+        const direction = getStudyDeck().cardDirection || Config.DEFAULT_CARD_DIRECTION;
+        const item = Session.getCurrentItem();
+        if (item && item.card.cloze) return false;
+        if (direction === 'random') return Math.random() < 0.5;
+        return !!item && item.reverse;
+    }
+
     function render() {
         const noArea       = document.getElementById('no-deck-area');
         const sessionArea  = document.getElementById('session-area');
         const completeArea = document.getElementById('complete-area');
+        const waitArea     = document.getElementById('learning-wait-area');
         const statusBar    = document.getElementById('deck-status-bar');
         const btnEdit      = document.getElementById('btn-edit-cards');
+        const btnStats     = document.getElementById('btn-stats');
+        const btnCustom    = document.getElementById('btn-custom-study');
 
         // Hide all state areas
         noArea.classList.add('hidden');
         sessionArea.classList.add('hidden');
         completeArea.classList.add('hidden');
+        waitArea.classList.add('hidden');
+
+        renderUndoControls();
 
         if (appState === 'NO_DECK') {
             noArea.classList.remove('hidden');
             statusBar.classList.add('hidden');
             btnEdit.classList.add('hidden');
+            btnStats.classList.add('hidden');
+            btnCustom.classList.add('hidden');
             return;
         }
 
+        // Studying all due without an open deck leaves nothing to edit
         statusBar.classList.remove('hidden');
-        btnEdit.classList.remove('hidden');
+        btnEdit.classList.toggle('hidden', !currentDeck);
+        btnStats.classList.toggle('hidden', !currentDeck);
+        btnCustom.classList.toggle('hidden', !currentDeck);
         renderDeckStatus();
 
         if (appState === 'SHOW_FRONT' || appState === 'SHOW_BACK') {
             sessionArea.classList.remove('hidden');
             renderCard(appState === 'SHOW_BACK');
+        } else if (appState === 'LEARNING_WAIT') {
+            waitArea.classList.remove('hidden');
+            renderLearningWait();
         } else if (appState === 'SESSION_COMPLETE') {
             completeArea.classList.remove('hidden');
             renderComplete();
@@ -99,28 +160,50 @@ const UI = (() => {
         const ratingSimple     = document.getElementById('rating-simple');
         const ratingSpaced     = document.getElementById('rating-spaced');
         const btnBackToFront   = document.getElementById('btn-back-to-front');
-        const btnRewind        = document.getElementById('btn-rewind');
+        const typedArea        = document.getElementById('typed-answer-area');
+        const answerFeedback   = document.getElementById('answer-feedback');
+        const choiceArea       = document.getElementById('choice-area');
+        const choiceContinue   = document.getElementById('choice-continue-area');
+        const mode             = getAnswerMode(card);
 
-        // Card text (randomly show word or translation as the question side)
-        const questionSide = showTranslationFirst ? card.translation : card.word;
-        const answerSide   = showTranslationFirst ? card.word : card.translation;
-        cardText.textContent = showBack ? answerSide : questionSide;
+        // Card text from the note type's templates (reversed: back template as the question)
+        const sides = NoteTypes.renderCard(card, showTranslationFirst);
+        cardText.innerHTML = showBack ? sides.answer : sides.question;
 
         // Progress indicator
         const progress = Session.getProgress();
         cardProgress.textContent = `Card ${progress.current + 1} of ${progress.total}`;
 
-        // Show Answer vs rating buttons
+        // Multiple-choice options stay visible on the back, marked right/wrong
+        choiceArea.classList.toggle('hidden', mode !== 'choice');
+        choiceContinue.classList.toggle('hidden', mode !== 'choice' || !showBack);
+        if (mode === 'choice') renderChoices();
+
+        // Show Answer (or the answer field / options) vs rating buttons
         if (!showBack) {
-            showAnswerArea.classList.remove('hidden');
+            showAnswerArea.classList.toggle('hidden', mode !== 'flip');
+            typedArea.classList.toggle('hidden', mode !== 'type');
+            answerFeedback.classList.add('hidden');
+            ratingSimple.classList.add('hidden');
+            ratingSpaced.classList.add('hidden');
+            btnBackToFront.classList.add('hidden');
+            if (mode === 'type') document.getElementById('typed-answer-input').focus();
+        } else if (mode === 'choice') {
+            // The pick decides the rating, so there is nothing to grade
+            showAnswerArea.classList.add('hidden');
+            typedArea.classList.add('hidden');
+            answerFeedback.classList.add('hidden');
             ratingSimple.classList.add('hidden');
             ratingSpaced.classList.add('hidden');
             btnBackToFront.classList.add('hidden');
         } else {
             showAnswerArea.classList.add('hidden');
+            typedArea.classList.add('hidden');
             btnBackToFront.classList.remove('hidden');
+            answerFeedback.classList.toggle('hidden', !typedResult);
+            if (typedResult) renderAnswerFeedback();
 
-            if (currentDeck.learningMode === 'spaced') {
+            if (getStudyDeck().learningMode === 'spaced') {
                 ratingSpaced.classList.remove('hidden');
                 ratingSimple.classList.add('hidden');
             } else {
@@ -128,27 +211,138 @@ const UI = (() => {
                 ratingSpaced.classList.add('hidden');
             }
         }
+    }
 
-        // Rewind button
-        if (Session.canRewind()) {
-            btnRewind.classList.remove('hidden');
-        } else {
-            btnRewind.classList.add('hidden');
+    /**
+     * How the current card is answered: 'flip', 'type' or 'choice'.
+     * In choice mode this builds the card's options on first use; a deck without enough
+     * distinct answers for a choice falls back to flipping.
+     */
+    function getAnswerMode(card) {
+        const deck = getStudyDeck();
+        const mode = (deck && deck.answerMode) || Answers.DEFAULT_ANSWER_MODE;
+        if (mode !== 'choice') return mode;
+
+        if (!choice || choice.cardId !== card.id) {
+            // Cloze cards take distractors from other gaps, normal cards from the same side of other cards
+            const getAnswer = other => (!other.cloze === !card.cloze ? getSides(other).answer : '');
+            choice = Answers.buildChoices(deck, card, getAnswer);
+            choice.cardId = card.id;
+            choice.picked = null;
         }
+        return choice.options.length > 1 ? 'choice' : 'flip';
+    }
+
+    function isChoiceActive() {
+        return choice !== null && choice.options.length > 1;
+    }
+
+    /** Plain question/answer text (the first two fields, or the gap of a cloze card), used to check typed answers. */
+    function getSides(card) {
+        if (card.cloze) return NoteTypes.getClozeSides(card);
+        return showTranslationFirst
+            ? { question: card.translation, answer: card.word }
+            : { question: card.word, answer: card.translation };
+    }
+
+    function renderChoices() {
+        const area = document.getElementById('choice-area');
+        area.innerHTML = '';
+
+        choice.options.forEach((text, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'choice-button';
+            if (choice.picked !== null) {
+                btn.disabled = true;
+                if (i === choice.correctIndex) btn.classList.add('correct');
+                else if (i === choice.picked) btn.classList.add('wrong');
+            }
+
+            const key = document.createElement('span');
+            key.className = 'choice-key';
+            key.textContent = i + 1;
+            btn.appendChild(key);
+            btn.appendChild(document.createTextNode(text));
+
+            btn.addEventListener('click', () => onPickChoice(i));
+            area.appendChild(btn);
+        });
+    }
+
+    /**
+     * Show the character diff of the typed answer and highlight the suggested rating.
+     */
+    function renderAnswerFeedback() {
+        const diff = document.getElementById('answer-diff');
+        diff.innerHTML = '';
+        typedResult.parts.forEach(part => {
+            const span = document.createElement('span');
+            span.className = 'diff-' + part.type;
+            span.textContent = part.text;
+            diff.appendChild(span);
+        });
+
+        const label = typedResult.suggested.charAt(0).toUpperCase() + typedResult.suggested.slice(1);
+        const verdict = typedResult.typed === ''
+            ? 'No answer typed.'
+            : typedResult.correct ? 'Correct!' : 'Not quite.';
+        document.getElementById('answer-suggestion').textContent =
+            `${verdict} Suggested: ${label} — press Enter to accept, or choose another rating.`;
+
+        document.querySelectorAll('.rating-button').forEach(btn => {
+            btn.classList.toggle('suggested', btn.id === 'btn-' + typedResult.suggested);
+        });
+    }
+
+    function renderUndoControls() {
+        const btnUndo    = document.getElementById('btn-undo');
+        const btnRedo    = document.getElementById('btn-redo');
+        const undoRow    = document.getElementById('undo-row');
+        const nextUndo   = Undo.peekUndo();
+        const nextRedo   = Undo.peekRedo();
+
+        undoRow.classList.toggle('hidden', !nextUndo && !nextRedo);
+        btnUndo.disabled = !nextUndo;
+        btnRedo.disabled = !nextRedo;
+        btnUndo.title = nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        btnRedo.title = nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
     }
 
     function renderDeckStatus() {
-        if (!currentDeck) return;
+        const allDue = Session.isAllDue();
+        if (!currentDeck && !allDue) return;
+
+        const btnEndCustom = document.getElementById('btn-end-custom');
+        btnEndCustom.classList.toggle('hidden', !Session.isCustom());
+        document.getElementById('btn-end-all-due').classList.toggle('hidden', !allDue || !currentDeck);
+        if (Session.isCustom()) {
+            const progress = Session.getProgress();
+            document.getElementById('deck-name-label').textContent = Session.getCustomName();
+            document.getElementById('deck-mode-label').textContent = 'Custom Study';
+            document.getElementById('deck-progress-label').textContent =
+                `${Math.max(0, progress.total - progress.current)} card(s) left`;
+            return;
+        }
+        if (allDue) {
+            const stats = Session.getAllDueStats();
+            document.getElementById('deck-name-label').textContent = 'All Decks';
+            document.getElementById('deck-mode-label').textContent = 'Study All Due';
+            document.getElementById('deck-progress-label').textContent =
+                `${stats.due} due in ${stats.decks} deck${stats.decks !== 1 ? 's' : ''}`;
+            return;
+        }
 
+        const subdecks = Config.getSubdeckNames(currentDeck.name).length;
         document.getElementById('deck-name-label').textContent = currentDeck.name;
         document.getElementById('deck-mode-label').textContent =
-            currentDeck.learningMode === 'spaced' ? 'Spaced Repetition' : 'Simple';
+            (currentDeck.learningMode === 'spaced' ? 'Spaced Repetition' : 'Simple') +
+            (subdecks > 0 ? ` • with ${subdecks} subdeck${subdecks !== 1 ? 's' : ''}` : '');
 
-        const stats = Session.getDeckStats(currentDeck);
+        const stats = Session.getTreeStats(currentDeck);
         const prog  = document.getElementById('deck-progress-label');
 
         if (stats.mode === 'spaced') {
-            prog.textContent = `${stats.due} due • ${stats.upcoming} upcoming • ${stats.total} total`;
+            prog.textContent = `${stats.due} due (${stats.newDue} new) • ${stats.upcoming} upcoming • ${stats.total} total`;
         } else {
             prog.textContent = `${stats.toReview} to review • ${stats.finished} finished • ${stats.total} total`;
         }
@@ -157,12 +351,36 @@ const UI = (() => {
     function renderComplete() {
         const title    = document.getElementById('complete-title');
         const subtitle = document.getElementById('complete-subtitle');
-        const stats    = Session.getDeckStats(currentDeck);
 
+        // Custom study offers the way back to the deck instead of more cards
+        const custom = Session.isCustom();
+        const allDue = Session.isAllDue();
+        document.querySelector('#complete-area .extend-session-row').classList.toggle('hidden', custom);
+        document.getElementById('btn-end-custom-complete').classList.toggle('hidden', !custom);
+        document.getElementById('btn-end-all-due-complete').classList.toggle('hidden', !allDue || !currentDeck);
+        if (custom) {
+            const total = Session.getProgress().total;
+            title.textContent    = 'Custom Study Complete!';
+            subtitle.textContent = total > 0
+                ? `You went through all ${total} card(s) of "${Session.getCustomName()}".`
+                : 'No cards matched this custom study.';
+            return;
+        }
+        if (allDue) {
+            const stats = Session.getAllDueStats();
+            title.textContent    = stats.due === 0 ? 'All Done for Today!' : 'Session Complete!';
+            subtitle.textContent = stats.due === 0
+                ? 'Every deck is clear: no more cards due today.'
+                : `Daily limits reached. ${stats.due} card(s) still due in ${stats.decks} deck(s).`;
+            return;
+        }
+
+        const stats = Session.getTreeStats(currentDeck);
         if (stats.mode === 'simple') {
             if (stats.toReview === 0) {
                 title.textContent    = 'All Done!';
-                subtitle.textContent = `You have finished all ${stats.total} cards in this deck.`;
+                subtitle.textContent = `You have finished all ${stats.total} cards in this deck` +
+                    (Config.getSubdeckNames(currentDeck.name).length > 0 ? ' and its subdecks.' : '.');
             } else {
                 title.textContent    = 'Session Complete!';
                 subtitle.textContent =
@@ -175,9 +393,40 @@ const UI = (() => {
                     `No more cards due today. ${stats.upcoming} card(s) coming up later.`;
             } else {
                 title.textContent    = 'Session Complete!';
-                subtitle.textContent =
-                    `Daily limit reached. ${stats.due} card(s) still due today.`;
+                const reviews = stats.due - stats.newDue;
+                subtitle.textContent = 'Daily limits reached. Still due today: ' +
+                    `${reviews} review${reviews !== 1 ? 's' : ''} and ${stats.newDue} new card${stats.newDue !== 1 ? 's' : ''}.`;
+            }
+        }
+    }
+
+    function renderLearningWait() {
+        const nextDue = Session.getNextLearningDue();
+        const seconds = Math.max(0, Math.ceil((nextDue - Date.now()) / 1000));
+        const minutes = Math.floor(seconds / 60);
+        const secs    = String(seconds % 60).padStart(2, '0');
+        document.getElementById('learning-wait-text').textContent =
+            `The next learning card is ready in ${minutes}:${secs}.`;
+    }
+
+    // ========================
+    // Learning step countdown
+    // ========================
+
+    function startLearningWaitTimer() {
+        learningWaitTimer = setInterval(() => {
+            if (Session.refreshLearning()) {
+                updateState();
+            } else {
+                renderLearningWait();
             }
+        }, 1000);
+    }
+
+    function stopLearningWaitTimer() {
+        if (learningWaitTimer !== null) {
+            clearInterval(learningWaitTimer);
+            learningWaitTimer = null;
         }
     }
 
@@ -187,39 +436,235 @@ const UI = (() => {
 
     function onShowAnswer() {
         if (appState !== 'SHOW_FRONT') return;
+        const card = Session.getCurrentCard();
+        if (card && getAnswerMode(card) === 'type') checkTypedAnswer();
+        appState = 'SHOW_BACK';
+        renderCard(true);
+    }
+
+    function checkTypedAnswer() {
+        const input = document.getElementById('typed-answer-input');
+        const card  = Session.getCurrentCard();
+        if (!card) return;
+
+        const deck = getStudyDeck();
+        typedResult = Answers.check(input.value, getSides(card).answer, Answers.getOptions(deck));
+        typedResult.typed = input.value.trim();
+        typedResult.suggested = Answers.suggestRating(typedResult, deck.learningMode);
+        input.blur(); // let the rating shortcuts work
+    }
+
+    function onPickChoice(index) {
+        if (appState !== 'SHOW_FRONT' || !isChoiceActive()) return;
+        choice.picked = index;
         appState = 'SHOW_BACK';
         renderCard(true);
     }
 
+    function onChoiceContinue() {
+        if (appState !== 'SHOW_BACK' || !choice || choice.picked === null) return;
+        onRate(Answers.choiceRating(choice.picked === choice.correctIndex, getStudyDeck().learningMode));
+    }
+
     function onBackToFront() {
         if (appState !== 'SHOW_BACK') return;
         appState = 'SHOW_FRONT';
+        typedResult = null;
+        document.querySelectorAll('.rating-button').forEach(btn => btn.classList.remove('suggested'));
         renderCard(false);
     }
 
     function onRate(rating) {
         if (appState !== 'SHOW_BACK') return;
-        rewindTranslationFirst = showTranslationFirst; // save before updateState re-rolls it
-        Session.rateCard(currentDeck, rating);
-        Config.saveDeck(currentDeck);
+        const card = Session.getCurrentCard();
+        if (!card) return;
+
+        document.querySelectorAll('.rating-button').forEach(btn => btn.classList.remove('suggested'));
+        const deck     = getStudyDeck();
+        const before   = captureRatingState(deck, card);
+        const answerMs = Math.min(MAX_ANSWER_MS, Date.now() - cardShownAt);
+        const logEntry = Session.rateCard(deck, rating, answerMs);
+        Config.saveDeck(deck);
+        if (logEntry) {
+            Config.appendReviewLog(deck.name, logEntry);
+            recordRatingUndo(deck.name, before, captureRatingState(deck, card), logEntry);
+        }
         updateState();
+        if (logEntry && logEntry.leech) showLeechWarning(deck, card, logEntry);
     }
 
-    function onRewind() {
-        if (!Session.canRewind()) return;
-        if (Session.rewind(currentDeck)) {
-            Config.saveDeck(currentDeck);
-            showTranslationFirst = rewindTranslationFirst; // restore the original card face
-            appState = 'SHOW_FRONT';
-            render();
+    /**
+     * Take the current card out of the session: 'bury' skips it until tomorrow, 'suspend'
+     * until it is unsuspended in the card editor. Both directions of the card go.
+     */
+    function onParkCard(action) {
+        if (appState !== 'SHOW_FRONT' && appState !== 'SHOW_BACK') return;
+        const item = Session.getCurrentItem();
+        if (!item) return;
+
+        const { deck, card } = item;
+        const before = captureRatingState(deck, card);
+        if (action === 'suspend') card.suspended = true;
+        else card.buried = Session.getTodayStr();
+        Session.removeCard(deck.name, card.id);
+        Config.saveDeck(deck);
+
+        const after = captureRatingState(deck, card);
+        const label = `${action === 'suspend' ? 'Suspend' : 'Bury'} "${card.word}"`;
+        Undo.record({
+            label,
+            deckName: deck.name,
+            kind: 'rating', // restores the session position like a rating does
+            undo: () => {
+                applyRatingState(deck.name, before);
+                if (Session.getSessionDeck(deck.name)) pendingTranslationFirst = before.translationFirst;
+            },
+            redo: () => applyRatingState(deck.name, after),
+            stillApplies: (synced, undone) => Undo.hasCard(synced, card.id, undone ? before.card : after.card)
+        });
+        updateState();
+        showMessage(action === 'suspend'
+            ? `Suspended "${card.word}" — unsuspend it in the card editor.`
+            : `Buried "${card.word}" until tomorrow.`, 'info', 3000);
+    }
+
+    /** A card just became a leech: say so, with a shortcut to rewrite it. */
+    function showLeechWarning(deck, card, logEntry) {
+        const lapses  = (logEntry.reverse ? card.reverse : card).lapses;
+        const actions = currentDeck && currentDeck.name === deck.name
+            ? [{ label: 'Edit Card', onClick: () => Dialogs.editCard(card.id) }]
+            : [];
+        showMessage(`"${card.word}" is a leech: forgotten ${lapses} times. ` +
+            `It was tagged "${Config.LEECH_TAG}"${card.suspended ? ' and suspended' : ''}. ` +
+            'Rewriting it, or adding an example or a hint, often helps.', 'warning', 0, actions);
+    }
+
+    function onEndCustomStudy() {
+        Session.endCustomSession();
+        updateState();
+    }
+
+    /**
+     * Study the due cards of every deck in one session.
+     */
+    function onStudyAllDue() {
+        if (Config.getDeckNames().length === 0) {
+            showMessage('No decks yet — create or import one first.', 'warning');
+            return;
+        }
+        Session.buildAllDueQueue(currentDeck);
+        if (currentDeck) Config.saveDeck(currentDeck); // persist day-reset changes
+        updateState();
+    }
+
+    /** Leave "Study All Due" for a regular session of the open deck. */
+    function onEndAllDue() {
+        if (currentDeck) openDeck(currentDeck.name);
+    }
+
+    /** Rebuild the main session, whichever kind it is. */
+    function rebuildSession() {
+        if (Session.isAllDue()) Session.buildAllDueQueue(currentDeck);
+        else if (currentDeck) Session.buildQueue(currentDeck);
+    }
+
+    // ========================
+    // Undo / redo
+    // ========================
+
+    function captureRatingState(deck, card) {
+        return {
+            card: JSON.parse(JSON.stringify(card)),
+            cardsReviewedToday: deck.cardsReviewedToday || 0,
+            newCardsToday: deck.newCardsToday || 0,
+            reviewsToday: deck.reviewsToday || 0,
+            session: Session.captureState(),
+            translationFirst: showTranslationFirst
+        };
+    }
+
+    function recordRatingUndo(deckName, before, after, logEntry) {
+        Undo.record({
+            label: `Rate "${before.card.word}" as ${logEntry.rating}`,
+            deckName,
+            kind: 'rating',
+            undo: () => {
+                applyRatingState(deckName, before);
+                Config.removeReviewLogEntry(deckName, logEntry.ts);
+                if (Session.getSessionDeck(deckName)) {
+                    pendingTranslationFirst = before.translationFirst; // show the card the same way again
+                }
+            },
+            redo: () => {
+                applyRatingState(deckName, after);
+                Config.appendReviewLog(deckName, logEntry);
+            },
+            stillApplies: (deck, undone) => Undo.hasCard(deck, before.card.id, undone ? before.card : after.card)
+        });
+    }
+
+    /**
+     * Put a rated card, the daily counters and (if still the same session) the queue position
+     * back into a captured state.
+     */
+    function applyRatingState(deckName, state) {
+        const inSession = Session.getSessionDeck(deckName);
+        const isCurrent = currentDeck && currentDeck.name === deckName;
+        const deck = inSession || (isCurrent ? currentDeck : Config.loadDeck(deckName));
+        if (!deck) return;
+
+        const card = deck.cards.find(c => c.id === state.card.id);
+        if (card) {
+            Object.keys(card).forEach(key => delete card[key]);
+            Object.assign(card, JSON.parse(JSON.stringify(state.card)));
+        }
+        deck.cardsReviewedToday = state.cardsReviewedToday;
+        deck.newCardsToday      = state.newCardsToday;
+        deck.reviewsToday       = state.reviewsToday;
+        Config.saveDeck(deck);
+
+        // A custom study session just carries on; the main session is rebuilt
+        if (inSession && !Session.restoreState(state.session) && !Session.isCustom()) {
+            rebuildSession();
+        }
+    }
+
+    function onUndo() {
+        const entry = Undo.undo();
+        if (entry) showMessage(`Undone: ${entry.label}`, 'info', 2000);
+    }
+
+    function onRedo() {
+        const entry = Undo.redo();
+        if (entry) showMessage(`Redone: ${entry.label}`, 'info', 2000);
+    }
+
+    /**
+     * Refresh the app after the undo history changed something.
+     */
+    function onUndoHistoryChange(entry, action) {
+        if (action === 'undo' || action === 'redo') {
+            // Also when the change was to a subdeck studied in the open deck's session
+            if ((currentDeck && entry.deckName === currentDeck.name) || Session.getSessionDeck(entry.deckName)) {
+                if (currentDeck && !Config.getDeckNames().includes(currentDeck.name)) {
+                    currentDeck = null; // an undone import removed the open deck
+                    if (Session.isAllDue()) rebuildSession();
+                } else if (entry.kind !== 'rating') {
+                    rebuildSession();
+                }
+            }
+            updateState();
+            Dialogs.refreshOpenDialogs();
+        } else {
+            renderUndoControls();
         }
     }
 
     function onExtendSession() {
-        if (!currentDeck) return;
+        if (!currentDeck && !Session.isAllDue()) return;
         const amount = parseInt(document.getElementById('extend-amount-main').value, 10) || 5;
         Session.extendSession(currentDeck, amount);
-        Config.saveDeck(currentDeck);
+        if (currentDeck) Config.saveDeck(currentDeck);
         updateState();
     }
 
@@ -247,6 +692,14 @@ const UI = (() => {
         const tag = document.activeElement.tagName;
         if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
 
+        // Undo / redo (also while the card editor or another modal is open)
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+            e.preventDefault();
+            if (e.key === 'y' || e.shiftKey) onRedo();
+            else onUndo();
+            return;
+        }
+
         // Don't fire when a modal is open
         const anyModalOpen = Array.from(document.querySelectorAll('.modal')).some(
             m => !m.classList.contains('hidden')
@@ -254,12 +707,23 @@ const UI = (() => {
         if (anyModalOpen) return;
 
         if (appState === 'SHOW_FRONT') {
-            if (e.key === ' ' || e.key === 'Enter') {
+            if (isChoiceActive()) {
+                const index = parseInt(e.key, 10) - 1;
+                if (index >= 0 && index < choice.options.length) onPickChoice(index);
+            } else if (e.key === ' ' || e.key === 'Enter') {
                 e.preventDefault();
                 onShowAnswer();
             }
         } else if (appState === 'SHOW_BACK') {
-            if (currentDeck.learningMode === 'simple') {
+            if (choice && choice.picked !== null) {
+                if (e.key === ' ' || e.key === 'Enter') {
+                    e.preventDefault();
+                    onChoiceContinue();
+                }
+            } else if (typedResult && (e.key === ' ' || e.key === 'Enter')) {
+                e.preventDefault();
+                onRate(typedResult.suggested);
+            } else if (getStudyDeck().learningMode === 'simple') {
                 if (e.key === '1') onRate('forgot');
                 if (e.key === '2') onRate('remembered');
             } else {
@@ -269,34 +733,125 @@ const UI = (() => {
                 if (e.key === '4') onRate('easy');
             }
         }
+
+        if (e.key === '-') onParkCard('bury');
+        if (e.key === '@') onParkCard('suspend');
     }
 
     // ========================
     // Message display
     // ========================
 
-    function showMessage(text, type, duration) {
+    /**
+     * Show a message at the top of the page. A duration of 0 keeps it until dismissed.
+     * `actions` adds buttons: [{ label, onClick }]; clicking one also dismisses the message.
+     */
+    function showMessage(text, type, duration, actions) {
         type     = type     !== undefined ? type     : 'info';
         duration = duration !== undefined ? duration : 5000;
 
         const area = document.getElementById('message-area');
         if (!area) return;
 
+        clearTimeout(messageTimer);
         area.className = 'message-area ' + type;
         area.textContent = text;
         area.classList.remove('hidden');
 
+        const hide = () => area.classList.add('hidden');
+        if ((actions && actions.length > 0) || duration <= 0) {
+            const row = document.createElement('div');
+            row.className = 'message-actions';
+            (actions || []).forEach(action => {
+                const btn = document.createElement('button');
+                btn.className   = 'control-button';
+                btn.textContent = action.label;
+                btn.addEventListener('click', () => { hide(); action.onClick(); });
+                row.appendChild(btn);
+            });
+            const close = document.createElement('button');
+            close.className   = 'control-button subtle-button';
+            close.textContent = 'Dismiss';
+            close.addEventListener('click', hide);
+            row.appendChild(close);
+            area.appendChild(row);
+        }
+
         if (duration > 0) {
-            setTimeout(() => area.classList.add('hidden'), duration);
+            messageTimer = setTimeout(hide, duration);
+        }
+    }
+
+    /**
+     * Tell the user when storage is nearly full or a save failed, with ways to free space.
+     */
+    function onStorageHealth(event, detail) {
+        const actions = [
+            { label: 'Manage Storage', onClick: Dialogs.openStorage },
+            { label: 'Back Up Everything', onClick: Dialogs.exportBackup }
+        ];
+        if (event === 'warning') {
+            showMessage(`Browser storage is ${Math.round(detail.ratio * 100)}% full ` +
+                `(${StorageHealth.formatSize(detail.usage)} of ${StorageHealth.formatSize(detail.quota)}). ` +
+                'Back up and free some space before saving fails.', 'warning', 0, actions);
+        } else {
+            showMessage(detail.full
+                ? `Storage is full: the ${detail.what} couldn't be saved. Your latest changes will be lost when you close the page.`
+                : `The ${detail.what} couldn't be saved (${detail.error && detail.error.message || 'storage error'}).`,
+            'error', 0, actions);
+        }
+    }
+
+    function onOfflineUpdate() {
+        showMessage('An update is available. Reload to start using the new version.', 'info', 0,
+            [{ label: 'Reload', onClick: Offline.applyUpdate }]);
+    }
+
+    /**
+     * A sync replaced or deleted a deck here. If the session studies it and the deck changed,
+     * the session's copy takes the synced data at once, so the next rating goes into the synced
+     * deck instead of overwriting it; the queue is rebuilt once the card on screen is done with.
+     * Undo entries the sync didn't make outdated are kept.
+     */
+    function onDeckSynced(name) {
+        const live = [currentDeck && currentDeck.name === name ? currentDeck : null, Session.getSessionDeck(name)]
+            .filter((deck, i, all) => deck && all.indexOf(deck) === i);
+        if (live.length === 0) return;
+
+        const stored = Config.loadDeck(name);
+        const synced = stored && Config.canonicalJson(stored);
+        if (synced && live.every(deck => Config.canonicalJson(deck) === synced)) return; // e.g. only its review log changed
+
+        Undo.dropOutdated(name, stored);
+        if (!stored) {
+            // Deleted: close it, or study the rest of the session without it
+            if (currentDeck && currentDeck.name === name) currentDeck = null;
+            sessionOutdated = false;
+            rebuildSession();
+            updateState();
+        } else {
+            live.forEach(deck => {
+                Object.keys(deck).forEach(key => delete deck[key]);
+                Object.assign(deck, JSON.parse(JSON.stringify(stored)));
+            });
+            const onScreen = (appState === 'SHOW_FRONT' || appState === 'SHOW_BACK') && Session.getCurrentItem();
+            sessionOutdated = true;
+            if (!onScreen) updateState();
         }
+        Dialogs.refreshOpenDialogs();
     }
 
     // ========================
     // Initialization
     // ========================
 
-    function init() {
-        Config.load();
+    async function init() {
+        await Config.init();
+        StorageHealth.setListener(onStorageHealth);
+        StorageHealth.init();
+        Offline.setListener(onOfflineUpdate);
+        Offline.init();
+        Sync.setListener(onDeckSynced);
         const cfg = Config.getConfig();
         applyTheme(cfg.theme);
 
@@ -305,16 +860,36 @@ const UI = (() => {
 
         // Header buttons
         document.getElementById('btn-manage-decks').addEventListener('click', Dialogs.openDeckManager);
+        document.getElementById('btn-study-all').addEventListener('click', onStudyAllDue);
         document.getElementById('btn-settings').addEventListener('click', Dialogs.openSettings);
+        document.getElementById('btn-stats').addEventListener('click', Dialogs.openStatistics);
         document.getElementById('btn-edit-cards').addEventListener('click', Dialogs.openCardEditor);
+        document.getElementById('btn-custom-study').addEventListener('click', Dialogs.openCustomStudy);
+        document.getElementById('btn-sync').addEventListener('click', Dialogs.openSync);
         document.getElementById('btn-toggle-theme').addEventListener('click', toggleTheme);
         document.getElementById('btn-info').addEventListener('click', () => Dialogs.openModal('info-modal'));
 
         // Session buttons
         document.getElementById('btn-show-answer').addEventListener('click', onShowAnswer);
+        document.getElementById('btn-check-answer').addEventListener('click', onShowAnswer);
+        document.getElementById('btn-choice-continue').addEventListener('click', onChoiceContinue);
+        document.getElementById('typed-answer-input').addEventListener('keydown', e => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            e.stopPropagation(); // don't let the same Enter accept the suggested rating
+            onShowAnswer();
+        });
         document.getElementById('btn-back-to-front').addEventListener('click', onBackToFront);
-        document.getElementById('btn-rewind').addEventListener('click', onRewind);
+        document.getElementById('btn-bury-card').addEventListener('click', () => onParkCard('bury'));
+        document.getElementById('btn-suspend-card').addEventListener('click', () => onParkCard('suspend'));
+        document.getElementById('btn-undo').addEventListener('click', onUndo);
+        document.getElementById('btn-redo').addEventListener('click', onRedo);
+        document.getElementById('btn-history').addEventListener('click', Dialogs.openHistory);
         document.getElementById('btn-extend-session-main').addEventListener('click', onExtendSession);
+        document.getElementById('btn-end-custom').addEventListener('click', onEndCustomStudy);
+        document.getElementById('btn-end-custom-complete').addEventListener('click', onEndCustomStudy);
+        document.getElementById('btn-end-all-due').addEventListener('click', onEndAllDue);
+        document.getElementById('btn-end-all-due-complete').addEventListener('click', onEndAllDue);
 
         // Rating buttons
         document.getElementById('btn-forgot').addEventListener('click',     () => onRate('forgot'));
@@ -326,9 +901,8 @@ const UI = (() => {
 
         // Card click — copy text to clipboard
         document.getElementById('card-display').addEventListener('click', () => {
-            const card = Session.getCurrentCard();
-            if (!card) return;
-            const text = appState === 'SHOW_FRONT' ? card.word : card.translation;
+            if (!Session.getCurrentCard()) return;
+            const text = document.getElementById('card-text').innerText;
             if (navigator.clipboard) {
                 navigator.clipboard.writeText(text).then(() => {
                     showMessage('Copied!', 'success', 1500);
@@ -339,12 +913,18 @@ const UI = (() => {
         // Keyboard shortcuts
         document.addEventListener('keydown', handleKeyDown);
 
+        Undo.setListener(onUndoHistoryChange);
+
         // Load last-used deck
         if (cfg.currentDeckName && Config.loadDeck(cfg.currentDeckName)) {
             openDeck(cfg.currentDeckName);
         } else {
             updateState();
         }
+
+        // Take in the other devices' changes in the background, if sync is set to run on
+        // opening; a deck being studied is brought up to date if it changed (see onDeckSynced)
+        if (Sync.isConfigured() && Sync.getState().auto) Dialogs.runSync();
     }
 
     document.addEventListener('DOMContentLoaded', init);
@@ -354,6 +934,7 @@ const UI = (() => {
         getCurrentDeck,
         setCurrentDeck,
         updateState,
+        rebuildSession,
         renderDeckStatus,
         showMessage,
         applyTheme
@@ -0,0 +1,221 @@
+/**
+ * undo.js — Undo/redo history
+ * Keeps a bounded stack of reversible actions (ratings, card edits, imports, resets).
+ *
+ * Every entry is { label, deckName, undo(), redo(), stillApplies(deck, undone) }. Entries for
+ * card and deck changes are built from snapshots with recordCardChange / recordDeckChange;
+ * ratings are recorded by the UI, which also has to restore the session position.
+ * stillApplies tells whether the entry can still be undone (or, if undone, redone) in the deck
+ * as it now is, after it was changed elsewhere (see dropOutdated).
+ */
+
+const Undo = (() => {
+    const MAX_ENTRIES = 50;
+
+    let undoStack = [];     // Applied actions, most recent last
+    let redoStack = [];     // Undone actions, most recently undone last
+    let listener  = null;   // Called with (entry, 'undo' | 'redo') after each change
+
+    // ========================
+    // Stack management
+    // ========================
+
+    function record(entry) {
+        entry.time = Date.now();
+        undoStack.push(entry);
+        if (undoStack.length > MAX_ENTRIES) undoStack.shift();
+        redoStack = [];
+        notify(entry, 'record');
+    }
+
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return null;
+        entry.undo();
+        redoStack.push(entry);
+        notify(entry, 'undo');
+        return entry;
+    }
+
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return null;
+        entry.redo();
+        undoStack.push(entry);
+        notify(entry, 'redo');
+        return entry;
+    }
+
+    function canUndo() { return undoStack.length > 0; }
+    function canRedo() { return redoStack.length > 0; }
+
+    function peekUndo() { return undoStack[undoStack.length - 1] || null; }
+    function peekRedo() { return redoStack[redoStack.length - 1] || null; }
+
+    /**
+     * History for display, most recent first.
+     * Returns [{ label, time, undone, steps }] where `steps` is how many undo (or redo)
+     * calls it takes to reach the state before (or after) that entry.
+     */
+    function getEntries() {
+        const redoable = redoStack.map((e, i) => ({
+            label: e.label, time: e.time, undone: true, steps: redoStack.length - i
+        })); // the bottom of the redo stack is the most recent action
+        const done = undoStack.map((e, i) => ({
+            label: e.label, time: e.time, undone: false, steps: undoStack.length - i
+        })).reverse();
+        return redoable.concat(done);
+    }
+
+    function clear() {
+        undoStack = [];
+        redoStack = [];
+        notify(null, 'clear');
+    }
+
+    /**
+     * A deck was changed or deleted (deck = null) outside the history, by a sync: drop its
+     * entries that no longer apply to it, and keep the rest.
+     */
+    function dropOutdated(deckName, deck) {
+        const applies = undone => e => e.deckName !== deckName || (!!e.stillApplies && e.stillApplies(deck, undone));
+        const count   = undoStack.length + redoStack.length;
+        undoStack = undoStack.filter(applies(false));
+        redoStack = redoStack.filter(applies(true));
+        if (undoStack.length + redoStack.length !== count) notify(null, 'drop');
+    }
+
+    function setListener(fn) {
+        listener = fn;
+    }
+
+    function notify(entry, action) {
+        if (listener) listener(entry, action);
+    }
+
+    // ========================
+    // Snapshot helpers
+    // ========================
+
+    /**
+     * The live deck object for a name: the open deck if it matches (so the session
+     * keeps pointing at the same object), otherwise a fresh copy from storage.
+     */
+    function getLiveDeck(deckName) {
+        const current = UI.getCurrentDeck();
+        if (current && current.name === deckName) return current;
+        return Session.getSessionDeck(deckName) || Config.loadDeck(deckName);
+    }
+
+    function clone(obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+    /** Is a card of the deck as a snapshot has it (null = not in the deck)? */
+    function hasCard(deck, cardId, snapshot) {
+        if (!deck) return false;
+        const card = deck.cards.find(c => c.id === cardId);
+        if (!card || !snapshot) return !card && !snapshot;
+        return Config.canonicalJson(card) === Config.canonicalJson(snapshot);
+    }
+
+    /**
+     * Put a single card back into the state it had in a snapshot (null = card doesn't exist).
+     */
+    function applyCardSnapshot(deckName, cardId, snapshot, index) {
+        const deck = getLiveDeck(deckName);
+        if (!deck) return;
+
+        const idx = deck.cards.findIndex(c => c.id === cardId);
+        if (snapshot === null) {
+            if (idx !== -1) deck.cards.splice(idx, 1);
+        } else if (idx === -1) {
+            deck.cards.splice(Math.min(index, deck.cards.length), 0, clone(snapshot));
+        } else {
+            const card = deck.cards[idx];
+            Object.keys(card).forEach(key => delete card[key]);
+            Object.assign(card, clone(snapshot));
+        }
+        Config.saveDeck(deck);
+    }
+
+    /**
+     * Record a change to one card. before/after are card snapshots, or null when the card
+     * didn't exist (added) or no longer exists (deleted). index is the card's position in the deck.
+     */
+    function recordCardChange(label, deckName, before, after, index) {
+        const cardId = (before || after).id;
+        before = before && clone(before);
+        after  = after && clone(after);
+        record({
+            label,
+            deckName,
+            kind: 'cards',
+            undo: () => applyCardSnapshot(deckName, cardId, before, index),
+            redo: () => applyCardSnapshot(deckName, cardId, after, index),
+            stillApplies: (deck, undone) => hasCard(deck, cardId, undone ? before : after)
+        });
+    }
+
+    /**
+     * Restore a whole deck from a JSON snapshot (null = deck doesn't exist).
+     */
+    function applyDeckSnapshot(deckName, snapshot) {
+        if (snapshot === null) {
+            Config.deleteDeck(deckName);
+            return;
+        }
+        const data = JSON.parse(snapshot);
+        const deck = getLiveDeck(deckName);
+        if (deck) {
+            Object.keys(deck).forEach(key => delete deck[key]);
+            Object.assign(deck, data);
+            Config.saveDeck(deck);
+        } else {
+            Config.saveDeck(data);
+        }
+    }
+
+    /**
+     * Record a change to a whole deck (bulk imports, resets, new decks).
+     * before/after are JSON strings from snapshotDeck(), or null when the deck didn't exist.
+     */
+    function recordDeckChange(label, deckName, before, after) {
+        record({
+            label,
+            deckName,
+            kind: 'deck',
+            undo: () => applyDeckSnapshot(deckName, before),
+            redo: () => applyDeckSnapshot(deckName, after),
+            stillApplies: (deck, undone) => {
+                const snapshot = undone ? before : after;
+                if (!deck || !snapshot) return !deck && !snapshot;
+                return Config.canonicalJson(deck) === Config.canonicalJson(JSON.parse(snapshot));
+            }
+        });
+    }
+
+    function snapshotDeck(deck) {
+        return deck ? JSON.stringify(deck) : null;
+    }
+
+    return {
+        MAX_ENTRIES,
+        record,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        peekUndo,
+        peekRedo,
+        getEntries,
+        clear,
+        dropOutdated,
+        setListener,
+        recordCardChange,
+        recordDeckChange,
+        snapshotDeck,
+        getLiveDeck,
+        hasCard
+    };
+})();